@@ -0,0 +1,458 @@
+// controllers/AdminUserController.js
+import User from "../models/user.js";
+import Order from "../models/order.js";
+import Session from "../models/session.js";
+import { SUPER_ADMIN_ROLE } from "../models/role.js";
+import asyncHandler from "express-async-handler";
+import { getUserPermissions, setUserRoles } from "../utils/permissions.js";
+import { revokeUserSessions } from "../utils/sessions.js";
+import { sendPasswordResetEmail, sendWelcomeEmail } from "../utils/email.js";
+import { escapeRegex } from "../utils/helpers.js";
+
+// Only admins may act on other admins, so delegated user managers can't lock them out
+const canManage = (req, user) => user.role !== SUPER_ADMIN_ROLE || req.user.role === SUPER_ADMIN_ROLE;
+
+// The fields an admin sees for a user in lists and detail views
+const toAdminView = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  avatar: user.avatar,
+  role: user.role,
+  roles: user.roles,
+  isVerified: user.isVerified,
+  isActive: user.isActive,
+  deactivatedAt: user.deactivatedAt,
+  isLocked: user.isLocked,
+  lockUntil: user.lockUntil,
+  loginAttempts: user.loginAttempts,
+  passwordResetRequired: user.passwordResetRequired,
+  twoFactorEnabled: user.twoFactorEnabled,
+  locale: user.locale,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+});
+
+class AdminUserController {
+  // desc    List users with search, filters and pagination
+  // route   GET /api/auth/admin/users
+  // access  Private (users.manage)
+  static getUsers = asyncHandler(async (req, res) => {
+    const {
+      search,
+      role,
+      isVerified,
+      isActive,
+      locked,
+      startDate,
+      endDate,
+      sort,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    const filter = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), "i");
+      filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+
+    // Matches the account role and extra roles alike
+    if (role) {
+      const roles = role.split(",");
+      filter.$and = [{ $or: [{ role: { $in: roles } }, { roles: { $in: roles } }] }];
+    }
+
+    if (isVerified !== undefined) filter.isVerified = isVerified === "true";
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+    if (locked !== undefined) {
+      filter.lockUntil = locked === "true" ? { $gt: new Date() } : { $not: { $gt: new Date() } };
+    }
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    let sortObj = {};
+    switch (sort) {
+      case "oldest":
+        sortObj = { createdAt: 1 };
+        break;
+      case "name":
+        sortObj = { name: 1 };
+        break;
+      case "last_login":
+        sortObj = { lastLogin: -1 };
+        break;
+      default:
+        sortObj = { createdAt: -1 };
+    }
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort(sortObj).skip(skip).limit(limitNum),
+      User.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: users.map(toAdminView),
+    });
+  });
+
+  // desc    Get a user's profile with permissions, order summary and active sessions
+  // route   GET /api/auth/admin/users/:id
+  // access  Private (users.manage)
+  static getUser = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const [permissions, [orderSummary], activeSessions] = await Promise.all([
+      getUserPermissions(user),
+      Order.aggregate([
+        { $match: { user: user._id } },
+        {
+          $group: {
+            _id: null,
+            orderCount: { $sum: 1 },
+            paidTotal: { $sum: { $cond: [{ $eq: ["$paymentStatus", "Paid"] }, "$totalPrice", 0] } },
+            lastOrderAt: { $max: "$createdAt" },
+          },
+        },
+      ]),
+      Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...toAdminView(user),
+        permissions: [...permissions],
+        emailPreferences: user.getEmailPreferences(),
+        socialAccounts: {
+          google: Boolean(user.googleId),
+          facebook: Boolean(user.facebookId),
+        },
+        orders: {
+          count: orderSummary?.orderCount || 0,
+          paidTotal: orderSummary?.paidTotal || 0,
+          lastOrderAt: orderSummary?.lastOrderAt || null,
+        },
+        activeSessions,
+      },
+    });
+  });
+
+  // desc    Get a user's orders
+  // route   GET /api/auth/admin/users/:id/orders
+  // access  Private (users.manage)
+  static getUserOrders = asyncHandler(async (req, res) => {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    if (!(await User.exists({ _id: req.params.id }))) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const filter = { user: req.params.id };
+    if (status) filter.status = { $in: status.split(",") };
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .select("orderNumber status paymentStatus totalPrice orderItems createdAt")
+        .populate("orderItems", "name quantity")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Order.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: orders,
+    });
+  });
+
+  // desc    Change a user's account role and/or extra roles
+  // route   PUT /api/auth/admin/users/:id/roles
+  // access  Private (users.manage, roles.manage)
+  static updateUserRoles = asyncHandler(async (req, res) => {
+    const { role, roles } = req.body;
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own roles",
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Granting or taking away admin is reserved for admins
+    const touchesAdmin = role !== undefined && (role === SUPER_ADMIN_ROLE || user.role === SUPER_ADMIN_ROLE);
+    if ((touchesAdmin || !canManage(req, user)) && req.user.role !== SUPER_ADMIN_ROLE) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can change admin roles",
+      });
+    }
+
+    if (roles !== undefined) {
+      await setUserRoles(user._id, roles);
+    }
+    if (role !== undefined && role !== user.role) {
+      await User.updateOne({ _id: user._id }, { role });
+    }
+
+    const updated = await User.findById(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "User roles updated",
+      data: {
+        ...toAdminView(updated),
+        permissions: [...(await getUserPermissions(updated))],
+      },
+    });
+  });
+
+  // desc    Deactivate a user and sign them out everywhere
+  // route   PUT /api/auth/admin/users/:id/deactivate
+  // access  Private (users.manage)
+  static deactivateUser = asyncHandler(async (req, res) => {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot deactivate your own account",
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!canManage(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can deactivate admins",
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "User is already deactivated",
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, { isActive: false, deactivatedAt: new Date() });
+    const sessionsRevoked = await revokeUserSessions(user._id, { reason: "account_deactivated" });
+
+    res.status(200).json({
+      success: true,
+      message: "User deactivated",
+      data: { id: user._id, isActive: false, sessionsRevoked },
+    });
+  });
+
+  // desc    Reactivate a deactivated user
+  // route   PUT /api/auth/admin/users/:id/reactivate
+  // access  Private (users.manage)
+  static reactivateUser = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!canManage(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can reactivate admins",
+      });
+    }
+
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, isActive: false },
+      { isActive: true, $unset: { deactivatedAt: 1 } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: "User is already active",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "User reactivated",
+      data: toAdminView(updated),
+    });
+  });
+
+  // desc    Clear failed login attempts and lift a lockout
+  // route   PUT /api/auth/admin/users/:id/unlock
+  // access  Private (users.manage)
+  static unlockUser = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!canManage(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can unlock admins",
+      });
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $unset: { loginAttempts: 1, lockUntil: 1 } },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "User unlocked",
+      data: toAdminView(updated),
+    });
+  });
+
+  // desc    Require a new password: signs the user out and emails a reset link
+  // route   POST /api/auth/admin/users/:id/force-password-reset
+  // access  Private (users.manage)
+  static forcePasswordReset = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!canManage(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can force admins to reset their password",
+      });
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    user.passwordResetRequired = true;
+    await user.save({ validateBeforeSave: false });
+
+    const sessionsRevoked = await revokeUserSessions(user._id, { reason: "password_reset" });
+
+    // The requirement stands even if the email fails; the user can request another link
+    let emailSent = true;
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (error) {
+      console.error("Failed to send password reset email:", error);
+      emailSent = false;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: emailSent
+        ? "Password reset required. A reset link was emailed to the user."
+        : "Password reset required, but the reset email could not be sent.",
+      data: { id: user._id, passwordResetRequired: true, sessionsRevoked, emailSent },
+    });
+  });
+
+  // desc    Send a new email verification link
+  // route   POST /api/auth/admin/users/:id/resend-verification
+  // access  Private (users.manage)
+  static resendVerification = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendWelcomeEmail(user, verificationToken);
+    } catch (error) {
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
+        success: false,
+        message: "Failed to send verification email",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${user.email}`,
+    });
+  });
+}
+
+export default AdminUserController;
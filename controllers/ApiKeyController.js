@@ -0,0 +1,137 @@
+// controllers/ApiKeyController.js
+import ApiKey, { API_KEY_SCOPES } from "../models/apiKey.js";
+import asyncHandler from "express-async-handler";
+import { createApiKey, rotateApiKey } from "../utils/apiKeys.js";
+
+class ApiKeyController {
+  // desc    List API keys
+  // route   GET /api/api-keys
+  // access  Private/Admin
+  static getApiKeys = asyncHandler(async (req, res) => {
+    const filter = {};
+    if (req.query.status === "active") filter.revokedAt = null;
+    if (req.query.status === "revoked") filter.revokedAt = { $ne: null };
+
+    const apiKeys = await ApiKey.find(filter)
+      .populate("createdBy", "name email")
+      .populate("revokedBy", "name email")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      scopes: API_KEY_SCOPES,
+      data: apiKeys,
+    });
+  });
+
+  // desc    Get an API key
+  // route   GET /api/api-keys/:id
+  // access  Private/Admin
+  static getApiKey = asyncHandler(async (req, res) => {
+    const apiKey = await ApiKey.findById(req.params.id)
+      .populate("createdBy", "name email")
+      .populate("revokedBy", "name email");
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: apiKey,
+    });
+  });
+
+  // desc    Create an API key; the key is only returned in this response
+  // route   POST /api/api-keys
+  // access  Private/Admin
+  static createApiKey = asyncHandler(async (req, res) => {
+    const { name, scopes, expiresAt } = req.body;
+    const { apiKey, key } = await createApiKey({ name, scopes: [...new Set(scopes)], expiresAt }, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: "API key created. Copy it now; it won't be shown again.",
+      data: { ...apiKey.toJSON(), key },
+    });
+  });
+
+  // desc    Rename a key or change its scopes or expiry
+  // route   PUT /api/api-keys/:id
+  // access  Private/Admin
+  static updateApiKey = asyncHandler(async (req, res) => {
+    const updates = {};
+    if (req.body.name !== undefined) updates.name = req.body.name;
+    if (req.body.scopes !== undefined) updates.scopes = [...new Set(req.body.scopes)];
+    if (req.body.expiresAt !== undefined) updates.expiresAt = req.body.expiresAt;
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found or revoked",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "API key updated",
+      data: apiKey,
+    });
+  });
+
+  // desc    Replace a key's secret; the old one stops working
+  // route   POST /api/api-keys/:id/rotate
+  // access  Private/Admin
+  static rotateApiKey = asyncHandler(async (req, res) => {
+    const rotated = await rotateApiKey(req.params.id);
+
+    if (!rotated) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found or revoked",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "API key rotated. Copy the new key now; it won't be shown again.",
+      data: { ...rotated.apiKey.toJSON(), key: rotated.key },
+    });
+  });
+
+  // desc    Revoke an API key
+  // route   DELETE /api/api-keys/:id
+  // access  Private/Admin
+  static revokeApiKey = asyncHandler(async (req, res) => {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found or already revoked",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "API key revoked",
+      data: apiKey,
+    });
+  });
+}
+
+export default ApiKeyController;
@@ -0,0 +1,393 @@
+// controllers/CartController.js
+import Cart, { CART_TOKEN_HEADER, MAX_LINE_QUANTITY } from "../models/cart.js";
+import Product from "../models/product.js";
+import asyncHandler from "express-async-handler";
+import { generateSecureRandom, hashString } from "../utils/helpers.js";
+import { calculateLinePrice, resolveSelection, roundPrice } from "../utils/pricing.js";
+import { applyPromotions } from "../utils/promotions.js";
+import { calculateTax, pricesIncludeTax } from "../utils/tax.js";
+
+const PRODUCT_CART_FIELDS =
+  "name image price discountPrice countInStock isActive variants colorMaterialOptions additionalServices versions category subCategory brand tags taxInfo";
+
+// Find the cart for the current user or guest token, optionally creating one
+const resolveCart = async (req, res, { create = false } = {}) => {
+  if (req.user) {
+    let cart = await Cart.findOne({ user: req.user._id });
+    if (!cart && create) {
+      cart = await Cart.create({ user: req.user._id, items: [] });
+    }
+    return cart;
+  }
+
+  const token = req.get(CART_TOKEN_HEADER);
+  if (token) {
+    const cart = await Cart.findByGuestToken(token);
+    if (cart || !create) return cart;
+  }
+
+  if (!create) return null;
+
+  // Start a new guest cart and hand its token to the client
+  const newToken = generateSecureRandom(48);
+  const cart = await Cart.create({ guestToken: hashString(newToken), items: [] });
+  res.set(CART_TOKEN_HEADER, newToken);
+  res.locals.cartToken = newToken;
+
+  return cart;
+};
+
+// Stock available for a product or the selected variant
+const availableStock = (product, variantId) => {
+  if (variantId) {
+    const variant = product.variants.id(variantId);
+    return Math.min(product.countInStock, variant ? variant.stock : 0);
+  }
+  return product.countInStock;
+};
+
+// Build the cart response with resolved product details and totals
+const formatCart = async (cart, req, res) => {
+  if (!cart) {
+    return {
+      id: null,
+      items: [],
+      itemCount: 0,
+      subtotal: 0,
+      couponCode: null,
+      discounts: [],
+      discountTotal: 0,
+      freeShipping: false,
+      tax: { pricesIncludeTax: pricesIncludeTax(), total: 0, breakdown: [] },
+      total: 0,
+    };
+  }
+
+  await cart.populate("items.product", PRODUCT_CART_FIELDS);
+
+  const pricedLines = [];
+  const items = cart.items
+    .filter((item) => item.product)
+    .map((item) => {
+      const product = item.product;
+      const line = {
+        id: item._id,
+        product: {
+          id: product._id,
+          name: product.name,
+          image: product.image,
+        },
+        quantity: item.quantity,
+      };
+
+      try {
+        const price = calculateLinePrice(product, item, item.quantity);
+        pricedLines.push({ product, ...price });
+
+        return {
+          ...line,
+          ...price.selection,
+          isAvailable: true,
+          inStock: availableStock(product, item.variant) >= item.quantity,
+          unitPrice: price.unitPrice,
+          lineTotal: price.lineTotal,
+          priceBreakdown: price.breakdown,
+        };
+      } catch (error) {
+        if (error.name !== "AppError") throw error;
+
+        // Keep lines whose product or options were switched off, but don't price them
+        return {
+          ...line,
+          isAvailable: false,
+          message: error.message,
+          unitPrice: 0,
+          lineTotal: 0,
+        };
+      }
+    });
+
+  let promotions;
+  let couponError;
+  try {
+    promotions = await applyPromotions(pricedLines, { couponCode: cart.couponCode, userId: cart.user });
+  } catch (error) {
+    if (error.name !== "AppError") throw error;
+
+    // Keep the coupon on the cart so it applies once the cart qualifies again
+    couponError = error.message;
+    promotions = await applyPromotions(pricedLines, { userId: cart.user });
+  }
+
+  // Tax location comes from ?country=&region= until a shipping address is known
+  const tax = await calculateTax(pricedLines, {
+    country: req.query.country,
+    region: req.query.region,
+    discountTotal: promotions.discountTotal,
+  });
+  const pricedItems = items.filter((item) => item.isAvailable);
+  tax.lines.forEach((line, index) => {
+    Object.assign(pricedItems[index], { taxRate: line.rate, tax: line.tax });
+  });
+  const discountedTotal = roundPrice(promotions.subtotal - promotions.discountTotal);
+
+  return {
+    id: cart._id,
+    ...(res?.locals.cartToken && { cartToken: res.locals.cartToken }),
+    items,
+    itemCount: items.reduce((total, item) => total + item.quantity, 0),
+    subtotal: promotions.subtotal,
+    couponCode: cart.couponCode || null,
+    ...(couponError && { couponError }),
+    discounts: promotions.discounts,
+    discountTotal: promotions.discountTotal,
+    freeShipping: promotions.freeShipping,
+    tax: {
+      pricesIncludeTax: tax.pricesIncludeTax,
+      country: tax.country || null,
+      region: tax.region || null,
+      total: tax.taxTotal,
+      breakdown: tax.breakdown,
+    },
+    totalExclTax: tax.netTotal,
+    totalInclTax: tax.grossTotal,
+    total: tax.pricesIncludeTax ? discountedTotal : roundPrice(discountedTotal + tax.taxTotal),
+  };
+};
+
+class CartController {
+  // desc    Get current cart
+  // route   GET /api/cart
+  // access  Public (guest token) or Private
+  static getCart = asyncHandler(async (req, res) => {
+    const cart = await resolveCart(req, res);
+
+    res.status(200).json({
+      success: true,
+      data: await formatCart(cart, req, res),
+    });
+  });
+
+  // desc    Add item to cart
+  // route   POST /api/cart/items
+  // access  Public (guest token) or Private
+  static addItem = asyncHandler(async (req, res) => {
+    const {
+      product: productId,
+      quantity = 1,
+      variant,
+      colorMaterialOptions = [],
+      additionalServices = [],
+      version,
+    } = req.body;
+
+    const product = await Product.findOne({ _id: productId, isActive: true });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const selection = { variant, colorMaterialOptions, additionalServices, version };
+    resolveSelection(product, selection);
+
+    const cart = await resolveCart(req, res, { create: true });
+    const line = cart.addItem({ product: product._id, quantity: Number(quantity), ...selection });
+
+    const available = availableStock(product, variant);
+    if (line.quantity > available) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient stock for ${product.name}. Available: ${available}, Requested: ${line.quantity}`,
+      });
+    }
+
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Item added to cart",
+      data: await formatCart(cart, req, res),
+    });
+  });
+
+  // desc    Update cart item quantity or selection
+  // route   PUT /api/cart/items/:itemId
+  // access  Public (guest token) or Private
+  static updateItem = asyncHandler(async (req, res) => {
+    const cart = await resolveCart(req, res);
+    const line = cart?.items.id(req.params.itemId);
+
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: "Cart item not found",
+      });
+    }
+
+    const product = await Product.findById(line.product);
+
+    if (!product) {
+      return res.status(400).json({
+        success: false,
+        message: "Product is no longer available",
+      });
+    }
+
+    ["variant", "colorMaterialOptions", "additionalServices", "version"].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        line[field] = req.body[field] || undefined;
+      }
+    });
+    if (req.body.quantity !== undefined) {
+      line.quantity = Number(req.body.quantity);
+    }
+
+    resolveSelection(product, line);
+
+    const available = availableStock(product, line.variant);
+    if (line.quantity > available) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient stock for ${product.name}. Available: ${available}, Requested: ${line.quantity}`,
+      });
+    }
+
+    // Fold the line into an identical one if the new selection already exists
+    const duplicate = cart.items.find(
+      (item) => !item._id.equals(line._id) && item.selectionKey() === line.selectionKey()
+    );
+    if (duplicate) {
+      duplicate.quantity = Math.min(duplicate.quantity + line.quantity, MAX_LINE_QUANTITY);
+      line.deleteOne();
+    }
+
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Cart updated",
+      data: await formatCart(cart, req, res),
+    });
+  });
+
+  // desc    Remove item from cart
+  // route   DELETE /api/cart/items/:itemId
+  // access  Public (guest token) or Private
+  static removeItem = asyncHandler(async (req, res) => {
+    const cart = await resolveCart(req, res);
+    const line = cart?.items.id(req.params.itemId);
+
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: "Cart item not found",
+      });
+    }
+
+    line.deleteOne();
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Item removed from cart",
+      data: await formatCart(cart, req, res),
+    });
+  });
+
+  // desc    Clear cart
+  // route   DELETE /api/cart
+  // access  Public (guest token) or Private
+  static clearCart = asyncHandler(async (req, res) => {
+    const cart = await resolveCart(req, res);
+
+    if (cart) {
+      cart.items = [];
+      cart.couponCode = undefined;
+      await cart.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Cart cleared",
+      data: await formatCart(cart, req, res),
+    });
+  });
+
+  // desc    Apply coupon to cart
+  // route   POST /api/cart/coupon
+  // access  Public (guest token) or Private
+  static applyCoupon = asyncHandler(async (req, res) => {
+    const cart = await resolveCart(req, res);
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Add items to your cart before applying a coupon",
+      });
+    }
+
+    cart.couponCode = req.body.code;
+    const data = await formatCart(cart, req, res);
+
+    if (data.couponError) {
+      return res.status(400).json({
+        success: false,
+        message: data.couponError,
+      });
+    }
+
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon applied",
+      data,
+    });
+  });
+
+  // desc    Remove coupon from cart
+  // route   DELETE /api/cart/coupon
+  // access  Public (guest token) or Private
+  static removeCoupon = asyncHandler(async (req, res) => {
+    const cart = await resolveCart(req, res);
+
+    if (cart?.couponCode) {
+      cart.couponCode = undefined;
+      await cart.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon removed",
+      data: await formatCart(cart, req, res),
+    });
+  });
+
+  // desc    Merge a guest cart into the logged in user's cart
+  // route   POST /api/cart/merge
+  // access  Private
+  static mergeCart = asyncHandler(async (req, res) => {
+    const token = req.body.cartToken || req.get(CART_TOKEN_HEADER);
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Cart token is required",
+      });
+    }
+
+    await Cart.mergeGuestCart(req.user._id, token);
+    const cart = await Cart.findOne({ user: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: "Cart merged",
+      data: await formatCart(cart, req, res),
+    });
+  });
+}
+
+export default CartController;
@@ -0,0 +1,94 @@
+// controllers/EmailOutboxController.js
+import EmailOutbox, { EMAIL_OUTBOX_STATUSES } from "../models/emailOutbox.js";
+import asyncHandler from "express-async-handler";
+import { requeueEmail } from "../utils/emailOutbox.js";
+
+class EmailOutboxController {
+  // desc    List outbox messages with a count per status
+  // route   GET /api/email-outbox
+  // access  Private/Admin
+  static getMessages = asyncHandler(async (req, res) => {
+    const { status, to, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = { $in: status.split(",") };
+    if (to) filter.to = to.toLowerCase();
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Bodies can be large; they are returned by the single-message endpoint
+    const [messages, total, statusCounts] = await Promise.all([
+      EmailOutbox.find(filter)
+        .select("-html -text")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      EmailOutbox.countDocuments(filter),
+      EmailOutbox.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    const counts = Object.fromEntries(EMAIL_OUTBOX_STATUSES.map((name) => [name, 0]));
+    for (const { _id, count } of statusCounts) counts[_id] = count;
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      counts,
+      data: messages,
+    });
+  });
+
+  // desc    Get an outbox message with its content
+  // route   GET /api/email-outbox/:id
+  // access  Private/Admin
+  static getMessage = asyncHandler(async (req, res) => {
+    const message = await EmailOutbox.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Email not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: message,
+    });
+  });
+
+  // desc    Queue a failed message to be sent again
+  // route   POST /api/email-outbox/:id/resend
+  // access  Private/Admin
+  static resendMessage = asyncHandler(async (req, res) => {
+    const message = await requeueEmail(req.params.id);
+
+    if (!message) {
+      const existing = await EmailOutbox.findById(req.params.id).select("status");
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: "Email not found",
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: `Only failed emails can be resent; this one is ${existing.status}`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Email queued for delivery",
+      data: message,
+    });
+  });
+}
+
+export default EmailOutboxController;
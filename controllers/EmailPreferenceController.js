@@ -0,0 +1,138 @@
+// controllers/EmailPreferenceController.js
+import User, { EMAIL_CATEGORIES, MARKETING_EMAIL_CATEGORIES } from "../models/user.js";
+import EmailConsent from "../models/emailConsent.js";
+import asyncHandler from "express-async-handler";
+import {
+  verifyUnsubscribeToken,
+  updateEmailPreferences,
+  unsubscribeWithToken,
+} from "../utils/emailPreferences.js";
+
+// Only the categories present in the request body
+const pickPreferences = (body) =>
+  Object.fromEntries(EMAIL_CATEGORIES.filter((category) => body[category] !== undefined).map((category) => [category, body[category]]));
+
+const getToken = (req) => req.query.token || req.body?.token;
+
+// Load the user an email link was sent to
+const findTokenUser = async (req) => {
+  const { userId } = verifyUnsubscribeToken(getToken(req));
+  return User.findById(userId);
+};
+
+const preferenceResponse = (user, preferences = user.getEmailPreferences()) => ({
+  email: user.email,
+  categories: EMAIL_CATEGORIES,
+  marketingCategories: MARKETING_EMAIL_CATEGORIES,
+  preferences,
+});
+
+class EmailPreferenceController {
+  // desc    Get my email preferences
+  // route   GET /api/email-preferences
+  // access  Private
+  static getPreferences = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: preferenceResponse(user),
+    });
+  });
+
+  // desc    Update my email preferences
+  // route   PUT /api/email-preferences
+  // access  Private
+  static updatePreferences = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+    const preferences = await updateEmailPreferences(user, pickPreferences(req.body), {
+      source: "preference_center",
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Email preferences updated",
+      data: preferenceResponse(user, preferences),
+    });
+  });
+
+  // desc    Get my consent history
+  // route   GET /api/email-preferences/history
+  // access  Private
+  static getConsentHistory = asyncHandler(async (req, res) => {
+    const history = await EmailConsent.find({ user: req.user.id })
+      .select("-user")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history,
+    });
+  });
+
+  // desc    Get email preferences from an email link
+  // route   GET /api/email-preferences/manage?token=
+  // access  Public (signed token)
+  static getPreferencesByToken = asyncHandler(async (req, res) => {
+    const user = await findTokenUser(req);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: preferenceResponse(user),
+    });
+  });
+
+  // desc    Update email preferences from an email link
+  // route   PUT /api/email-preferences/manage?token=
+  // access  Public (signed token)
+  static updatePreferencesByToken = asyncHandler(async (req, res) => {
+    const user = await findTokenUser(req);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const preferences = await updateEmailPreferences(user, pickPreferences(req.body), {
+      source: "preference_center",
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Email preferences updated",
+      data: preferenceResponse(user, preferences),
+    });
+  });
+
+  // desc    Unsubscribe from the category an email link was sent for. Also the
+  //         target of the List-Unsubscribe header's one-click POST.
+  // route   POST /api/email-preferences/unsubscribe?token=
+  // access  Public (signed token)
+  static unsubscribe = asyncHandler(async (req, res) => {
+    const oneClick = req.body?.["List-Unsubscribe"] === "One-Click";
+    const { user, category, preferences } = await unsubscribeWithToken(getToken(req), {
+      source: oneClick ? "one_click_unsubscribe" : "unsubscribe_link",
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "You have been unsubscribed",
+      data: { ...preferenceResponse(user, preferences), unsubscribed: category },
+    });
+  });
+}
+
+export default EmailPreferenceController;
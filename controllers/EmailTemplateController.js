@@ -0,0 +1,128 @@
+// controllers/EmailTemplateController.js
+import EmailTemplate from "../models/emailTemplate.js";
+import { SUPPORTED_LOCALES } from "../models/user.js";
+import asyncHandler from "express-async-handler";
+import {
+  EMAIL_TEMPLATE_NAMES,
+  TEMPLATE_SAMPLES,
+  DEFAULT_LOCALE,
+  resolveTemplate,
+  getFileTemplate,
+  validateTemplateSyntax,
+  renderTemplate,
+} from "../utils/emailTemplates.js";
+
+class EmailTemplateController {
+  // desc    List email templates and the locales they exist in
+  // route   GET /api/email-templates
+  // access  Private/Admin
+  static getAllTemplates = asyncHandler(async (req, res) => {
+    const overrides = await EmailTemplate.find({}).select("name locale isActive updatedAt updatedBy");
+
+    const templates = EMAIL_TEMPLATE_NAMES.map((name) => ({
+      name,
+      locales: SUPPORTED_LOCALES.map((locale) => {
+        const override = overrides.find((template) => template.name === name && template.locale === locale);
+        return {
+          locale,
+          hasFile: Boolean(getFileTemplate(name, locale)),
+          override: override || null,
+        };
+      }),
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates,
+    });
+  });
+
+  // desc    Get the template used for a locale, with its file and database versions
+  // route   GET /api/email-templates/:name?locale=
+  // access  Private/Admin
+  static getTemplate = asyncHandler(async (req, res) => {
+    const locale = req.query.locale || DEFAULT_LOCALE;
+    const active = await resolveTemplate(req.params.name, locale);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        active,
+        file: getFileTemplate(req.params.name, locale),
+        override: await EmailTemplate.findOne({ name: req.params.name, locale }),
+        sampleData: TEMPLATE_SAMPLES[req.params.name],
+      },
+    });
+  });
+
+  // desc    Create or update the database version of a template
+  // route   PUT /api/email-templates/:name/:locale
+  // access  Private/Admin
+  static saveTemplate = asyncHandler(async (req, res) => {
+    const { name, locale } = req.params;
+    const { subject, html, text, isActive } = req.body;
+
+    // Throws 404 for unknown template names
+    await resolveTemplate(name, locale);
+    validateTemplateSyntax({ subject, html, text });
+
+    const template = await EmailTemplate.findOneAndUpdate(
+      { name, locale },
+      { subject, html, text, isActive: isActive ?? true, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Email template saved successfully",
+      data: template,
+    });
+  });
+
+  // desc    Delete the database version of a template, going back to the file
+  // route   DELETE /api/email-templates/:name/:locale
+  // access  Private/Admin
+  static deleteTemplate = asyncHandler(async (req, res) => {
+    const template = await EmailTemplate.findOneAndDelete({ name: req.params.name, locale: req.params.locale });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Email template override not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Email template override deleted successfully",
+    });
+  });
+
+  // desc    Render a template with sample data; unsaved subject/html/text may be passed to preview a draft
+  // route   POST /api/email-templates/:name/preview?format=html
+  // access  Private/Admin
+  static previewTemplate = asyncHandler(async (req, res) => {
+    const { locale = DEFAULT_LOCALE, data = {}, subject, html, text } = req.body;
+    const draft = { subject, html, text };
+
+    validateTemplateSyntax(draft);
+    const template = await resolveTemplate(req.params.name, locale);
+    for (const [section, value] of Object.entries(draft)) {
+      if (value !== undefined) template[section] = value;
+    }
+
+    const rendered = renderTemplate(template, { ...TEMPLATE_SAMPLES[req.params.name], ...data });
+
+    if (req.query.format === "html") {
+      return res.status(200).type("html").send(rendered.html);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...rendered, locale: template.locale, source: template.source },
+    });
+  });
+}
+
+export default EmailTemplateController;
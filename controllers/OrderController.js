@@ -0,0 +1,596 @@
+// controllers/OrderController.js
+import mongoose from "mongoose";
+import Order from "../models/order.js";
+import OrderItem from "../models/order-Item.js";
+import Product from "../models/product.js";
+import ReturnRequest, { OPEN_RETURN_STATUSES } from "../models/returnRequest.js";
+import "../models/shipment.js"; // registers the model behind the order "shipments" virtual
+import asyncHandler from "express-async-handler";
+import { reserveStock, releaseStock } from "../utils/inventory.js";
+import { calculateLinePrice, snapshotSelection, roundPrice } from "../utils/pricing.js";
+import { applyPromotions, redeemPromotions, releasePromotions } from "../utils/promotions.js";
+import { calculateTax } from "../utils/tax.js";
+import { quoteShipping } from "../utils/shipping.js";
+import { changeOrderStatus } from "../utils/orderStatus.js";
+import { notifyOrder } from "../utils/orderNotifications.js";
+import { getProviderForOrder } from "../utils/payments/index.js";
+import { escapeRegex } from "../utils/helpers.js";
+import { refundCancelledOrder } from "../utils/returns.js";
+import { renderInvoicePdf, renderPackingSlipPdf } from "../utils/orderDocuments.js";
+
+// Order statuses derived from shipments rather than set by hand
+const SHIPPING_STATUSES = ["Partially Shipped", "Shipped", "Delivered"];
+
+// Send a generated PDF as a download
+const sendPdf = (res, buffer, filename) => {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Content-Length": buffer.length,
+    "Cache-Control": "private, no-store",
+  });
+  res.status(200).send(buffer);
+};
+
+class OrderController {
+  // desc    Get all orders with filtering and pagination
+  // route   GET /api/orders
+  // access  Private/Admin
+  static getAllOrders = asyncHandler(async (req, res) => {
+    const {
+      status,
+      paymentStatus,
+      user,
+      search,
+      startDate,
+      endDate,
+      sort,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    // Build filter object
+    const filter = {};
+
+    if (status) filter.status = { $in: status.split(",") };
+    if (paymentStatus) filter.paymentStatus = paymentStatus;
+    if (user) filter.user = user;
+    if (search) filter.orderNumber = { $regex: escapeRegex(search), $options: "i" };
+
+    // Date range filter
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    // Build sort object
+    let sortObj = {};
+    switch (sort) {
+      case "oldest":
+        sortObj = { createdAt: 1 };
+        break;
+      case "total_asc":
+        sortObj = { totalPrice: 1 };
+        break;
+      case "total_desc":
+        sortObj = { totalPrice: -1 };
+        break;
+      default:
+        sortObj = { createdAt: -1 };
+    }
+
+    // Pagination
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const orders = await Order.find(filter)
+      .populate("user", "name email phone")
+      .populate("orderItems")
+      .sort(sortObj)
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Order.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: orders,
+    });
+  });
+
+  // desc    Get single order
+  // route   GET /api/orders/:id
+  // access  Private (Own orders) or Admin
+  static getSingleOrder = asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id)
+      .populate("user", "name email phone")
+      .populate("statusHistory.changedBy", "name role")
+      .populate("shipments")
+      .populate({
+        path: "orderItems",
+        populate: { path: "product", select: "name image sku" },
+      });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: order,
+    });
+  });
+
+  // desc    Create new order
+  // route   POST /api/orders
+  // access  Private
+  static createOrder = asyncHandler(async (req, res) => {
+    const {
+      orderItems,
+      shippingAddress,
+      shippingMethod,
+      phone,
+      paymentMethod,
+      notes,
+      couponCode,
+    } = req.body;
+
+    // Build order item snapshots from current product data
+    const itemsData = [];
+    const pricedLines = [];
+    for (const item of orderItems) {
+      const product = await Product.findById(item.product);
+      const price = calculateLinePrice(product, item, item.quantity);
+      pricedLines.push({ product, ...price });
+
+      itemsData.push({
+        product: product._id,
+        name: product.name,
+        image: product.image,
+        sku: price.selection.variant?.sku || product.sku,
+        quantity: item.quantity,
+        ...snapshotSelection(price.selection),
+        price: price.unitPrice,
+      });
+    }
+
+    const promotions = await applyPromotions(pricedLines, {
+      couponCode,
+      userId: req.user._id,
+    });
+
+    const shipping = await quoteShipping(pricedLines, shippingAddress, {
+      subtotal: roundPrice(promotions.subtotal - promotions.discountTotal),
+      freeShipping: promotions.freeShipping,
+    });
+    const shippingQuote = shipping.methods.find(
+      (method) => method.method.toString() === shippingMethod
+    );
+
+    if (!shippingQuote) {
+      return res.status(400).json({
+        success: false,
+        message: shipping.methods.length
+          ? "Selected shipping method is not available for this address"
+          : "We do not ship to this address",
+        data: { availableMethods: shipping.methods },
+      });
+    }
+
+    const tax = await calculateTax(pricedLines, {
+      country: shippingAddress.country,
+      region: shippingAddress.state,
+      discountTotal: promotions.discountTotal,
+    });
+    tax.lines.forEach((line, index) => {
+      Object.assign(itemsData[index], {
+        taxClass: line.taxClass,
+        taxRate: line.rate,
+        taxAmount: line.tax,
+      });
+    });
+
+    // Atomically take the stock and promotion usage before anything is persisted
+    const orderId = new mongoose.Types.ObjectId();
+    await redeemPromotions(promotions.discounts, req.user._id, orderId);
+
+    try {
+      await reserveStock(itemsData);
+    } catch (error) {
+      await releasePromotions(orderId);
+      throw error;
+    }
+
+    let createdItems = [];
+    try {
+      createdItems = await OrderItem.insertMany(itemsData);
+    } catch (error) {
+      await releaseStock(itemsData);
+      await releasePromotions(orderId);
+      throw error;
+    }
+
+    const itemsPrice = roundPrice(
+      createdItems.reduce((total, item) => total + item.price * item.quantity, 0)
+    );
+    const discountPrice = Math.min(promotions.discountTotal, itemsPrice);
+    const taxPrice = tax.taxTotal;
+    const shippingPrice = shippingQuote.price;
+    // Inclusive prices already contain the tax, so it is only added on top for exclusive pricing
+    const taxToAdd = tax.pricesIncludeTax ? 0 : taxPrice;
+
+    try {
+      const order = await Order.create({
+        _id: orderId,
+        user: req.user._id,
+        orderItems: createdItems.map((item) => item._id),
+        shippingAddress,
+        shippingMethod: {
+          method: shippingQuote.method,
+          zone: shippingQuote.zone,
+          name: shippingQuote.name,
+          type: shippingQuote.type,
+          estimatedDays: shippingQuote.estimatedDays,
+        },
+        phone,
+        paymentMethod,
+        notes,
+        itemsPrice,
+        discountPrice,
+        couponCode: couponCode || undefined,
+        promotions: promotions.discounts,
+        taxPrice,
+        pricesIncludeTax: tax.pricesIncludeTax,
+        taxBreakdown: tax.breakdown,
+        shippingPrice,
+        totalPrice: roundPrice(itemsPrice - discountPrice + taxToAdd + shippingPrice),
+        stockReserved: true,
+      });
+
+      await order.populate("orderItems");
+      await notifyOrder("confirmation", order._id);
+
+      res.status(201).json({
+        success: true,
+        message: "Order placed successfully",
+        data: order,
+      });
+    } catch (error) {
+      // Don't leave orphaned order items, held stock or used coupons behind
+      await OrderItem.deleteMany({ _id: { $in: createdItems.map((item) => item._id) } });
+      await releaseStock(itemsData);
+      await releasePromotions(orderId);
+      throw error;
+    }
+  });
+
+  // desc    Update order status
+  // route   PUT /api/orders/:id/status
+  // access  Private/Admin
+  static updateOrderStatus = asyncHandler(async (req, res) => {
+    const { status, note } = req.body;
+
+    if (SHIPPING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `${status} is set from the order's shipments. Create or update a shipment instead.`,
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    // Returns restock item by item; marking the order Returned by hand would restock them again
+    if (status === "Returned" && (await ReturnRequest.exists({ order: order._id, status: { $in: OPEN_RETURN_STATUSES } }))) {
+      return res.status(400).json({
+        success: false,
+        message: "This order has return requests. It is marked Returned by the returns workflow once every item is received.",
+      });
+    }
+
+    if (status === "Cancelled" && order.canTransitionTo(status)) {
+      await refundCancelledOrder(order, req.user._id);
+    }
+
+    const updatedOrder = await changeOrderStatus(order, status, {
+      changedBy: req.user._id,
+      note,
+      update: status === "Cancelled" && note ? { cancellationReason: note } : {},
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Order status updated to ${status}`,
+      data: updatedOrder,
+    });
+  });
+
+  // desc    Update payment status of an offline (cash/bank transfer) order
+  // route   PUT /api/orders/:id/payment
+  // access  Private/Admin
+  static updatePaymentStatus = asyncHandler(async (req, res) => {
+    const { paymentStatus, paymentResult } = req.body;
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    // Online payments follow provider events; only offline payments are settled by hand
+    if (getProviderForOrder(order)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment status for ${order.paymentMethod} orders is set by the payment provider`,
+      });
+    }
+
+    if (["Refunded", "Partially Refunded"].includes(paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: "Refunds must be recorded through the returns workflow",
+      });
+    }
+
+    const wasPaid = order.paymentStatus === "Paid";
+    order.paymentStatus = paymentStatus;
+
+    if (paymentResult) {
+      order.paymentResult = paymentResult;
+    }
+
+    if (paymentStatus === "Paid" && !order.paidAt) {
+      order.paidAt = Date.now();
+    }
+
+    await order.save();
+
+    if (paymentStatus === "Paid" && !wasPaid) {
+      await notifyOrder("paymentReceived", order._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Payment status updated to ${paymentStatus}`,
+      data: order,
+    });
+  });
+
+  // desc    Cancel order (User can cancel their own pending orders)
+  // route   PUT /api/orders/:id/cancel
+  // access  Private
+  static cancelOrder = asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (req.user.role !== "admin" && order.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only cancel your own orders.",
+      });
+    }
+
+    if (!order.isCancellable) {
+      return res.status(400).json({
+        success: false,
+        message: `Order cannot be cancelled once it is ${order.status.toLowerCase()}`,
+      });
+    }
+
+    // Paid orders get their money back before the order is cancelled
+    await refundCancelledOrder(order, req.user._id);
+
+    const cancelledOrder = await changeOrderStatus(order, "Cancelled", {
+      changedBy: req.user._id,
+      note: reason,
+      update: { cancellationReason: reason },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Order cancelled successfully",
+      data: cancelledOrder,
+    });
+  });
+
+  // desc    Get logged in user's orders
+  // route   GET /api/orders/my-orders
+  // access  Private
+  static getUserOrders = asyncHandler(async (req, res) => {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const filter = { user: req.user._id };
+    if (status) filter.status = { $in: status.split(",") };
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const orders = await Order.find(filter)
+      .populate("orderItems")
+      .populate("shipments", "items carrier trackingNumber trackingUrl status shippedAt deliveredAt order")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Order.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: orders,
+    });
+  });
+
+  // desc    Get order statistics
+  // route   GET /api/orders/stats/overview
+  // access  Private/Admin
+  static getOrderStats = asyncHandler(async (req, res) => {
+    const sixMonthsAgo = new Date();
+    sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+
+    const [
+      totalOrders,
+      statusCounts,
+      paymentCounts,
+      revenue,
+      monthlySales,
+    ] = await Promise.all([
+      Order.countDocuments({}),
+      Order.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+      Order.aggregate([{ $group: { _id: "$paymentStatus", count: { $sum: 1 } } }]),
+      Order.aggregate([
+        { $match: { paymentStatus: "Paid" } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: "$totalPrice" },
+            average: { $avg: "$totalPrice" },
+          },
+        },
+      ]),
+      Order.aggregate([
+        { $match: { paymentStatus: "Paid", createdAt: { $gte: sixMonthsAgo } } },
+        {
+          $group: {
+            _id: { year: { $year: "$createdAt" }, month: { $month: "$createdAt" } },
+            orders: { $sum: 1 },
+            revenue: { $sum: "$totalPrice" },
+          },
+        },
+        { $sort: { "_id.year": 1, "_id.month": 1 } },
+      ]),
+    ]);
+
+    const toCountMap = (groups) =>
+      groups.reduce((map, group) => ({ ...map, [group._id]: group.count }), {});
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalOrders,
+        ordersByStatus: toCountMap(statusCounts),
+        ordersByPaymentStatus: toCountMap(paymentCounts),
+        totalRevenue: roundPrice(revenue[0]?.total || 0),
+        averageOrderValue: roundPrice(revenue[0]?.average || 0),
+        monthlySales: monthlySales.map((month) => ({
+          year: month._id.year,
+          month: month._id.month,
+          orders: month.orders,
+          revenue: roundPrice(month.revenue),
+        })),
+      },
+    });
+  });
+
+  // desc    Get order by order number
+  // route   GET /api/orders/order-number/:orderNumber
+  // access  Private (Own orders) or Admin
+  static getOrderByNumber = asyncHandler(async (req, res) => {
+    const order = await Order.findByOrderNumber(req.params.orderNumber)
+      .populate("user", "name email phone")
+      .populate("statusHistory.changedBy", "name role")
+      .populate("shipments")
+      .populate({
+        path: "orderItems",
+        populate: { path: "product", select: "name image sku" },
+      });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (req.user.role !== "admin" && order.user._id.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only access your own orders.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: order,
+    });
+  });
+
+  // desc    Download the invoice for an order
+  // route   GET /api/orders/:id/invoice.pdf
+  // access  Private (Own orders) or Admin
+  static getInvoice = asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id)
+      .populate("user", "name email")
+      .populate("orderItems");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (!(await order.assignInvoiceNumber())) {
+      return res.status(400).json({
+        success: false,
+        message: "Orders cancelled before they were invoiced don't get an invoice",
+      });
+    }
+
+    const pdf = await renderInvoicePdf(order);
+
+    sendPdf(res, pdf, `${order.invoiceNumber}.pdf`);
+  });
+
+  // desc    Download the packing slip for an order
+  // route   GET /api/orders/:id/packing-slip.pdf
+  // access  Private/Admin
+  static getPackingSlip = asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id)
+      .populate("user", "name")
+      .populate("orderItems");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const pdf = await renderPackingSlipPdf(order);
+
+    sendPdf(res, pdf, `packing-slip-${order.orderNumber}.pdf`);
+  });
+}
+
+export default OrderController;
@@ -0,0 +1,125 @@
+// controllers/PaymentController.js
+import Order from "../models/order.js";
+import Payment from "../models/payment.js";
+import asyncHandler from "express-async-handler";
+import {
+  payOrder,
+  captureOrderPayment,
+  getPaymentProvider,
+} from "../utils/payments/index.js";
+import { processWebhookEvent } from "../utils/payments/webhooks.js";
+
+// Payment status fields returned after a payment call
+const paymentSummary = (order) => ({
+  id: order._id,
+  orderNumber: order.orderNumber,
+  paymentStatus: order.paymentStatus,
+  paidAt: order.paidAt,
+  totalPrice: order.totalPrice,
+});
+
+class PaymentController {
+  // desc    Pay for an order through its payment provider
+  // route   POST /api/orders/:id/pay
+  // access  Private (Owner)
+  static payOrder = asyncHandler(async (req, res) => {
+    const order = req.order || (await Order.findById(req.params.id));
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const payment = await payOrder(order, req.body.paymentDetails);
+    const updatedOrder = await Order.findById(order._id);
+
+    if (payment.status === "failed") {
+      return res.status(402).json({
+        success: false,
+        message: payment.failureMessage || "Payment failed",
+        data: { payment, order: paymentSummary(updatedOrder) },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: payment.status === "captured" ? "Payment successful" : "Payment authorized",
+      data: { payment, order: paymentSummary(updatedOrder) },
+    });
+  });
+
+  // desc    Capture an authorized payment
+  // route   POST /api/orders/:id/capture
+  // access  Private/Admin
+  static captureOrder = asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const payment = await captureOrderPayment(order);
+    const updatedOrder = await Order.findById(order._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Payment captured",
+      data: { payment, order: paymentSummary(updatedOrder) },
+    });
+  });
+
+  // desc    Get payment transactions for an order
+  // route   GET /api/orders/:id/payments
+  // access  Private (Own orders) or Admin
+  static getOrderPayments = asyncHandler(async (req, res) => {
+    const payments = await Payment.find({ order: req.params.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      data: payments,
+    });
+  });
+
+  // desc    Receive a signed event from a payment provider
+  // route   POST /api/payments/webhook/:provider
+  // access  Public (verified by signature)
+  static handleWebhook = asyncHandler(async (req, res) => {
+    const provider = getPaymentProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown payment provider",
+      });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+
+    let event;
+    try {
+      event = provider.parseWebhook({ rawBody, headers: req.headers });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const { event: storedEvent, duplicate } = await processWebhookEvent(provider.name, event);
+
+    res.status(200).json({
+      success: true,
+      received: true,
+      duplicate,
+      status: storedEvent.status,
+    });
+  });
+}
+
+export default PaymentController;
@@ -1,7 +1,11 @@
 // controllers/ProductController.js
 import Product from "../models/product.js";
 import Category from "../models/category.js";
+import Wishlist from "../models/wishlist.js";
+import Review from "../models/review.js";
 import asyncHandler from "express-async-handler";
+import { calculateLinePrice } from "../utils/pricing.js";
+import { hasPermission } from "../utils/permissions.js";
 
 class ProductController {
   // @desc    Get all products with filtering, sorting, pagination
@@ -29,8 +33,8 @@ class ProductController {
     // Build filter object
     const filter = {};
 
-    // Admin can see inactive products, public cannot
-    if (req.user?.role === "admin") {
+    // Catalog staff can see inactive products, public cannot
+    if (await hasPermission(req, "catalog.view")) {
       if (active !== undefined) filter.isActive = active === "true";
     } else {
       filter.isActive = true;
@@ -117,8 +121,8 @@ class ProductController {
   static getSingleProduct = asyncHandler(async (req, res) => {
     const filter = { _id: req.params.id };
 
-    // Non-admin users can only see active products
-    if (!req.user || req.user.role !== "admin") {
+    // Only catalog staff can see inactive products
+    if (!(await hasPermission(req, "catalog.view"))) {
       filter.isActive = true;
     }
 
@@ -139,6 +143,39 @@ class ProductController {
     });
   });
 
+  // desc    Calculate price for a product with selected options
+  // route   GET /api/products/:id/price
+  // access  Public
+  static getProductPrice = asyncHandler(async (req, res) => {
+    const { variant, colorMaterialOptions, additionalServices, version, quantity = 1 } = req.query;
+
+    const product = await Product.findOne({ _id: req.params.id, isActive: true });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const price = calculateLinePrice(
+      product,
+      { variant, colorMaterialOptions, additionalServices, version },
+      parseInt(quantity, 10)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        product: product._id,
+        quantity: price.quantity,
+        unitPrice: price.unitPrice,
+        lineTotal: price.lineTotal,
+        breakdown: price.breakdown,
+      },
+    });
+  });
+
   // @desc    Create product
   // @route   POST /api/products
   // @access  Private/Admin
@@ -403,7 +440,7 @@ class ProductController {
   // route   PUT /api/products/:id/wishlist
   // access  Private
   static addToWishlist = asyncHandler(async (req, res) => {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findOne({ _id: req.params.id, isActive: true });
 
     if (!product) {
       return res.status(404).json({
@@ -412,12 +449,14 @@ class ProductController {
       });
     }
 
-    await product.addToWishlist();
+    // Adding the same product twice is a no-op
+    await Wishlist.addEntry(req.user._id, product._id);
+    const wishlistCount = await Wishlist.syncProductCount(product._id);
 
     res.status(200).json({
       success: true,
       message: "Product added to wishlist",
-      data: { wishlistCount: product.wishlistCount },
+      data: { wishlistCount, inWishlist: true },
     });
   });
 
@@ -434,12 +473,14 @@ class ProductController {
       });
     }
 
-    await product.removeFromWishlist();
+    // Removing a product that isn't on the wishlist is a no-op
+    await Wishlist.removeEntry(req.user._id, product._id);
+    const wishlistCount = await Wishlist.syncProductCount(product._id);
 
     res.status(200).json({
       success: true,
       message: "Product removed from wishlist",
-      data: { wishlistCount: product.wishlistCount },
+      data: { wishlistCount, inWishlist: false },
     });
   });
 
@@ -458,14 +499,14 @@ class ProductController {
 
     // Check if product is in any pending orders
     const Order = (await import("../models/order.js")).default;
-    const OrderItem = (await import("../models/OrderItem.js")).default;
+    const OrderItem = (await import("../models/order-Item.js")).default;
 
     const orderItems = await OrderItem.find({ product: req.params.id });
     if (orderItems.length > 0) {
       const orderIds = orderItems.map((item) => item._id);
       const pendingOrders = await Order.find({
         orderItems: { $in: orderIds },
-        status: { $in: ["Pending", "Processing", "Shipped"] },
+        status: { $in: ["Pending", "Processing", "Partially Shipped", "Shipped"] },
       });
 
       if (pendingOrders.length > 0) {
@@ -478,6 +519,8 @@ class ProductController {
     }
 
     await Product.findByIdAndDelete(req.params.id);
+    await Wishlist.deleteMany({ product: req.params.id });
+    await Review.deleteMany({ product: req.params.id });
 
     res.status(200).json({
       success: true,
@@ -491,8 +534,8 @@ class ProductController {
   static getProductCount = asyncHandler(async (req, res) => {
     const filter = {};
 
-    // Non-admin users only see active products
-    if (!req.user || req.user.role !== "admin") {
+    // Only catalog staff can see inactive products
+    if (!(await hasPermission(req, "catalog.view"))) {
       filter.isActive = true;
     }
 
@@ -508,7 +551,7 @@ class ProductController {
   // route   GET /api/products/stats/overview
   // access  Private/Admin
   static getProductStats = asyncHandler(async (req, res) => {
-    if (!req.user || req.user.role !== "admin") {
+    if (!(await hasPermission(req, "catalog.view"))) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
@@ -558,8 +601,8 @@ class ProductController {
 
     const filter = { isFeatured: true };
 
-    // Non-admin users only see active products
-    if (!req.user || req.user.role !== "admin") {
+    // Only catalog staff can see inactive products
+    if (!(await hasPermission(req, "catalog.view"))) {
       filter.isActive = true;
     }
 
@@ -585,8 +628,8 @@ class ProductController {
 
     const filter = { category: req.params.categoryId };
 
-    // Non-admin users only see active products
-    if (!req.user || req.user.role !== "admin") {
+    // Only catalog staff can see inactive products
+    if (!(await hasPermission(req, "catalog.view"))) {
       filter.isActive = true;
     }
 
@@ -658,8 +701,8 @@ class ProductController {
 
     const filter = { availabilityStatus: status };
 
-    // Non-admin users only see active products
-    if (!req.user || req.user.role !== "admin") {
+    // Only catalog staff can see inactive products
+    if (!(await hasPermission(req, "catalog.view"))) {
       filter.isActive = true;
     }
 
@@ -709,40 +752,6 @@ class ProductController {
     });
   });
 
-  // desc    Update product rating
-  // route   PUT /api/products/:id/rating
-  // access  Private
-  static updateProductRating = asyncHandler(async (req, res) => {
-    const { rating } = req.body;
-
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({
-        success: false,
-        message: "Rating must be between 1 and 5",
-      });
-    }
-
-    const product = await Product.findById(req.params.id);
-
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: "Product not found",
-      });
-    }
-
-    await product.updateRating(rating);
-
-    res.status(200).json({
-      success: true,
-      message: "Product rating updated",
-      data: { 
-        rating: product.rating, 
-        numReviews: product.numReviews 
-      },
-    });
-  });
-
   // desc    Bulk update product availability
   // route   PUT /api/products/bulk/availability
   // access  Private/Admin
@@ -0,0 +1,187 @@
+// controllers/PromotionController.js
+import Promotion from "../models/promotion.js";
+import PromotionRedemption from "../models/promotionRedemption.js";
+import asyncHandler from "express-async-handler";
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "code",
+  "type",
+  "value",
+  "maxDiscount",
+  "buyQuantity",
+  "getQuantity",
+  "getDiscountPercent",
+  "targets",
+  "minOrderValue",
+  "startsAt",
+  "endsAt",
+  "usageLimit",
+  "perUserLimit",
+  "isActive",
+];
+
+// Pick the editable fields from the request body; an empty code makes the promotion automatic
+const pickPromotionFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (fields.code === "" || fields.code === null) fields.code = undefined;
+  return fields;
+};
+
+class PromotionController {
+  // desc    Get all promotions
+  // route   GET /api/promotions
+  // access  Private/Admin
+  static getAllPromotions = asyncHandler(async (req, res) => {
+    const { type, isActive, search, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: "i" } },
+        { code: { $regex: search, $options: "i" } },
+      ];
+    }
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const promotions = await Promotion.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Promotion.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: promotions.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: promotions,
+    });
+  });
+
+  // desc    Get single promotion with usage
+  // route   GET /api/promotions/:id
+  // access  Private/Admin
+  static getPromotion = asyncHandler(async (req, res) => {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate("targets.categories", "name")
+      .populate("targets.subCategories", "name")
+      .populate("targets.products", "name");
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+
+    const [usage] = await PromotionRedemption.aggregate([
+      { $match: { promotion: promotion._id } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          totalDiscount: { $sum: "$amount" },
+          customers: { $addToSet: "$user" },
+        },
+      },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promotion,
+        usage: {
+          redemptions: usage?.redemptions || 0,
+          totalDiscount: usage?.totalDiscount || 0,
+          customers: usage?.customers.length || 0,
+        },
+      },
+    });
+  });
+
+  // desc    Create promotion
+  // route   POST /api/promotions
+  // access  Private/Admin
+  static createPromotion = asyncHandler(async (req, res) => {
+    const promotion = await Promotion.create({
+      ...pickPromotionFields(req.body),
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Promotion created successfully",
+      data: promotion,
+    });
+  });
+
+  // desc    Update promotion
+  // route   PUT /api/promotions/:id
+  // access  Private/Admin
+  static updatePromotion = asyncHandler(async (req, res) => {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+
+    promotion.set(pickPromotionFields(req.body));
+    await promotion.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Promotion updated successfully",
+      data: promotion,
+    });
+  });
+
+  // desc    Delete promotion (deactivates it if it has been used)
+  // route   DELETE /api/promotions/:id
+  // access  Private/Admin
+  static deletePromotion = asyncHandler(async (req, res) => {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+
+    // Keep used promotions so past orders and usage reports still resolve
+    if (await PromotionRedemption.exists({ promotion: promotion._id })) {
+      promotion.isActive = false;
+      await promotion.save();
+
+      return res.status(200).json({
+        success: true,
+        message: "Promotion has been used and was deactivated instead of deleted",
+        data: promotion,
+      });
+    }
+
+    await promotion.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Promotion deleted successfully",
+    });
+  });
+}
+
+export default PromotionController;
@@ -0,0 +1,375 @@
+// controllers/ReturnController.js
+import ReturnRequest from "../models/returnRequest.js";
+import Refund from "../models/refund.js";
+import Order from "../models/order.js";
+import OrderItem from "../models/order-Item.js";
+import asyncHandler from "express-async-handler";
+import {
+  calculateRefundAmount,
+  recordRefund,
+  restockReturnItems,
+  completeOrderReturn,
+  changeReturnStatus,
+} from "../utils/returns.js";
+
+// Customers can open returns for this many days after delivery
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 30;
+
+// Load the order items referenced by a return, keyed by ID
+const loadOrderItems = async (returnRequest) => {
+  const orderItems = await OrderItem.find({
+    _id: { $in: returnRequest.items.map((item) => item.orderItem) },
+  });
+  return new Map(orderItems.map((orderItem) => [String(orderItem._id), orderItem]));
+};
+
+class ReturnController {
+  // desc    Open a return request for delivered order items
+  // route   POST /api/returns
+  // access  Private
+  static createReturn = asyncHandler(async (req, res) => {
+    const { order: orderId, items, note } = req.body;
+
+    const order = await Order.findById(orderId).populate("orderItems");
+
+    if (!order || order.user.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.status !== "Delivered" || !order.deliveredAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Only delivered orders can be returned",
+      });
+    }
+
+    const windowEnds = new Date(order.deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (windowEnds < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `Returns must be opened within ${RETURN_WINDOW_DAYS} days of delivery`,
+      });
+    }
+
+    const alreadyReturned = await ReturnRequest.returnedQuantities(order._id);
+    const returnItems = [];
+
+    for (const item of items) {
+      const orderItem = order.orderItems.find((candidate) => candidate._id.toString() === item.orderItem);
+
+      if (!orderItem) {
+        return res.status(400).json({
+          success: false,
+          message: "Item does not belong to this order",
+        });
+      }
+
+      const requested = returnItems
+        .filter((line) => line.orderItem.equals(orderItem._id))
+        .reduce((total, line) => total + line.quantity, 0);
+      const returnable = orderItem.quantity - (alreadyReturned.get(String(orderItem._id)) || 0) - requested;
+
+      if (item.quantity > returnable) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${returnable} of ${orderItem.name} can be returned`,
+        });
+      }
+
+      returnItems.push({
+        orderItem: orderItem._id,
+        product: orderItem.product,
+        name: orderItem.name,
+        quantity: item.quantity,
+        reason: item.reason,
+      });
+    }
+
+    const returnRequest = await ReturnRequest.create({
+      order: order._id,
+      user: req.user._id,
+      items: returnItems,
+      customerNote: note,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Return request submitted",
+      data: returnRequest,
+    });
+  });
+
+  // desc    Get logged in user's return requests
+  // route   GET /api/returns/mine
+  // access  Private
+  static getMyReturns = asyncHandler(async (req, res) => {
+    const returns = await ReturnRequest.find({ user: req.user._id })
+      .populate("order", "orderNumber")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: returns.length,
+      data: returns,
+    });
+  });
+
+  // desc    Get all return requests
+  // route   GET /api/returns
+  // access  Private/Admin
+  static getAllReturns = asyncHandler(async (req, res) => {
+    const { status, order, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = { $in: status.split(",") };
+    if (order) filter.order = order;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const returns = await ReturnRequest.find(filter)
+      .populate("user", "name email")
+      .populate("order", "orderNumber totalPrice paymentStatus")
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await ReturnRequest.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: returns.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: returns,
+    });
+  });
+
+  // desc    Get single return request with its refunds
+  // route   GET /api/returns/:id
+  // access  Private (Owner) or Admin
+  static getReturn = asyncHandler(async (req, res) => {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate("user", "name email")
+      .populate("order", "orderNumber status paymentStatus itemsPrice discountPrice pricesIncludeTax totalPrice refundedAmount")
+      .populate("history.changedBy", "name role");
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found",
+      });
+    }
+
+    if (req.user.role !== "admin" && returnRequest.user._id.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only view your own returns.",
+      });
+    }
+
+    const [refunds, orderItems] = await Promise.all([
+      Refund.find({ returnRequest: returnRequest._id }).populate("processedBy", "name").sort({ createdAt: 1 }),
+      loadOrderItems(returnRequest),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        returnRequest,
+        suggestedRefund: calculateRefundAmount(returnRequest.order, returnRequest.items, orderItems),
+        refunds,
+      },
+    });
+  });
+
+  // desc    Approve return request
+  // route   PUT /api/returns/:id/approve
+  // access  Private/Admin
+  static approveReturn = asyncHandler(async (req, res) => {
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found",
+      });
+    }
+
+    const updated = await changeReturnStatus(returnRequest, "approved", {
+      changedBy: req.user._id,
+      note: req.body.note,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Return approved",
+      data: updated,
+    });
+  });
+
+  // desc    Reject return request
+  // route   PUT /api/returns/:id/reject
+  // access  Private/Admin
+  static rejectReturn = asyncHandler(async (req, res) => {
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found",
+      });
+    }
+
+    const updated = await changeReturnStatus(returnRequest, "rejected", {
+      changedBy: req.user._id,
+      note: req.body.note,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Return rejected",
+      data: updated,
+    });
+  });
+
+  // desc    Record returned goods as received, optionally restocking them
+  // route   PUT /api/returns/:id/receive
+  // access  Private/Admin
+  static receiveReturn = asyncHandler(async (req, res) => {
+    const { restock = [], note } = req.body;
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found",
+      });
+    }
+
+    // Claim the transition first so the goods can't be restocked twice
+    const updated = await changeReturnStatus(returnRequest, "received", {
+      changedBy: req.user._id,
+      note,
+    });
+
+    // `restock` is true for every item, or a list of return item IDs
+    const toRestock = updated.items.filter(
+      (item) => restock === true || (Array.isArray(restock) && restock.includes(item._id.toString()))
+    );
+
+    if (toRestock.length > 0) {
+      await restockReturnItems(toRestock, await loadOrderItems(updated));
+      await updated.save();
+    }
+
+    const order = await Order.findById(updated.order);
+    const orderReturned = order ? await completeOrderReturn(order, req.user._id) : false;
+
+    res.status(200).json({
+      success: true,
+      message: orderReturned ? "Return received and order marked as returned" : "Return received",
+      data: updated,
+    });
+  });
+
+  // desc    Refund a return request (partial or full)
+  // route   POST /api/returns/:id/refund
+  // access  Private/Admin
+  static refundReturn = asyncHandler(async (req, res) => {
+    const { amount, note } = req.body;
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found",
+      });
+    }
+
+    const order = await Order.findById(returnRequest.order);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const refundAmount = amount !== undefined
+      ? Number(amount)
+      : calculateRefundAmount(order, returnRequest.items, await loadOrderItems(returnRequest));
+
+    const from = returnRequest.status;
+    const updated = await changeReturnStatus(returnRequest, "refunded", {
+      changedBy: req.user._id,
+      note,
+      update: { refundAmount },
+    });
+
+    let result;
+    try {
+      result = await recordRefund(order, {
+        amount: refundAmount,
+        reason: note || `Refund for ${updated.rmaNumber}`,
+        processedBy: req.user._id,
+        returnRequest: updated._id,
+      });
+    } catch (error) {
+      // Put the return back so the refund can be retried
+      await ReturnRequest.updateOne(
+        { _id: updated._id, status: "refunded" },
+        { $set: { status: from, refundAmount: 0 }, $unset: { refundedAt: 1 }, $pop: { history: 1 } }
+      );
+      throw error;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Refunded ${result.refund.amount}`,
+      data: {
+        returnRequest: updated,
+        refund: result.refund,
+        order: {
+          id: result.order._id,
+          refundedAmount: result.order.refundedAmount,
+          paymentStatus: result.order.paymentStatus,
+        },
+      },
+    });
+  });
+
+  // desc    Close a received return without a refund
+  // route   PUT /api/returns/:id/close
+  // access  Private/Admin
+  static closeReturn = asyncHandler(async (req, res) => {
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found",
+      });
+    }
+
+    const updated = await changeReturnStatus(returnRequest, "closed", {
+      changedBy: req.user._id,
+      note: req.body.note,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Return closed",
+      data: updated,
+    });
+  });
+}
+
+export default ReturnController;
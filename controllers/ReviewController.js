@@ -0,0 +1,310 @@
+// controllers/ReviewController.js
+import mongoose from "mongoose";
+import Review from "../models/review.js";
+import Product from "../models/product.js";
+import asyncHandler from "express-async-handler";
+
+class ReviewController {
+  // desc    Get approved reviews for a product
+  // route   GET /api/products/:id/reviews
+  // access  Public
+  static getProductReviews = asyncHandler(async (req, res) => {
+    const { sort, rating, verified, page = 1, limit = 10 } = req.query;
+
+    const filter = { product: req.params.id, status: "approved" };
+    if (rating) filter.rating = Number(rating);
+    if (verified !== undefined) filter.isVerifiedPurchase = verified === "true";
+
+    let sortObj = {};
+    switch (sort) {
+      case "oldest":
+        sortObj = { createdAt: 1 };
+        break;
+      case "rating_desc":
+        sortObj = { rating: -1, createdAt: -1 };
+        break;
+      case "rating_asc":
+        sortObj = { rating: 1, createdAt: -1 };
+        break;
+      default:
+        sortObj = { createdAt: -1 };
+    }
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [reviews, total, distribution] = await Promise.all([
+      Review.find(filter)
+        .select("-moderatedBy -moderationNote")
+        .populate("user", "name avatar")
+        .sort(sortObj)
+        .skip(skip)
+        .limit(limitNum),
+      Review.countDocuments(filter),
+      Review.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(req.params.id), status: "approved" } },
+        { $group: { _id: "$rating", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      ratingDistribution: [5, 4, 3, 2, 1].reduce(
+        (map, stars) => ({
+          ...map,
+          [stars]: distribution.find((group) => group._id === stars)?.count || 0,
+        }),
+        {}
+      ),
+      data: reviews,
+    });
+  });
+
+  // desc    Create a review for a product
+  // route   POST /api/products/:id/reviews
+  // access  Private
+  static createReview = asyncHandler(async (req, res) => {
+    const { rating, title, body } = req.body;
+
+    const product = await Product.findOne({ _id: req.params.id, isActive: true });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const existing = await Review.findOne({ product: product._id, user: req.user._id });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "You have already reviewed this product. Edit your existing review instead.",
+        data: { reviewId: existing._id },
+      });
+    }
+
+    const review = await Review.create({
+      product: product._id,
+      user: req.user._id,
+      rating,
+      title,
+      body,
+      isVerifiedPurchase: await Review.hasVerifiedPurchase(req.user._id, product._id),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Review submitted and awaiting moderation",
+      data: review,
+    });
+  });
+
+  // desc    Rate a product (creates or updates the user's review)
+  // route   PUT /api/products/:id/rating
+  // access  Private
+  static rateProduct = asyncHandler(async (req, res) => {
+    const { rating } = req.body;
+
+    const product = await Product.findOne({ _id: req.params.id, isActive: true });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    let review = await Review.findOne({ product: product._id, user: req.user._id });
+    const wasApproved = review?.status === "approved";
+
+    if (!review) {
+      review = new Review({ product: product._id, user: req.user._id });
+    } else {
+      review.editedAt = Date.now();
+    }
+
+    review.rating = rating;
+    review.status = "pending";
+    review.isVerifiedPurchase = await Review.hasVerifiedPurchase(req.user._id, product._id);
+    await review.save();
+
+    if (wasApproved) {
+      await Review.syncProductRating(product._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Rating submitted and awaiting moderation",
+      data: review,
+    });
+  });
+
+  // desc    Get logged in user's reviews
+  // route   GET /api/reviews/mine
+  // access  Private
+  static getMyReviews = asyncHandler(async (req, res) => {
+    const reviews = await Review.find({ user: req.user._id })
+      .select("-moderatedBy")
+      .populate("product", "name image")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      data: reviews,
+    });
+  });
+
+  // desc    Update own review
+  // route   PUT /api/reviews/:id
+  // access  Private (Owner)
+  static updateReview = asyncHandler(async (req, res) => {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    if (review.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only edit your own reviews.",
+      });
+    }
+
+    const wasApproved = review.status === "approved";
+
+    ["rating", "title", "body"].forEach((field) => {
+      if (req.body[field] !== undefined) review[field] = req.body[field];
+    });
+
+    // Edited reviews go back through moderation
+    review.status = "pending";
+    review.editedAt = Date.now();
+    review.moderatedBy = undefined;
+    review.moderatedAt = undefined;
+    review.moderationNote = undefined;
+    review.isVerifiedPurchase = await Review.hasVerifiedPurchase(req.user._id, review.product);
+    await review.save();
+
+    if (wasApproved) {
+      await Review.syncProductRating(review.product);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Review updated and awaiting moderation",
+      data: review,
+    });
+  });
+
+  // desc    Delete review
+  // route   DELETE /api/reviews/:id
+  // access  Private (Owner) or Admin
+  static deleteReview = asyncHandler(async (req, res) => {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    if (req.user.role !== "admin" && review.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only delete your own reviews.",
+      });
+    }
+
+    await review.deleteOne();
+
+    if (review.status === "approved") {
+      await Review.syncProductRating(review.product);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Review deleted successfully",
+    });
+  });
+
+  // desc    Get reviews for moderation
+  // route   GET /api/reviews/moderation
+  // access  Private/Admin
+  static getModerationQueue = asyncHandler(async (req, res) => {
+    const { status = "pending", product, page = 1, limit = 20 } = req.query;
+
+    const filter = { status };
+    if (product) filter.product = product;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const reviews = await Review.find(filter)
+      .populate("user", "name email")
+      .populate("product", "name image")
+      .populate("moderatedBy", "name")
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Review.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: reviews,
+    });
+  });
+
+  // desc    Approve or reject a review
+  // route   PUT /api/reviews/:id/moderate
+  // access  Private/Admin
+  static moderateReview = asyncHandler(async (req, res) => {
+    const { status, note } = req.body;
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    review.status = status;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = Date.now();
+    review.moderationNote = note;
+    await review.save();
+
+    const { rating, numReviews } = await Review.syncProductRating(review.product);
+
+    res.status(200).json({
+      success: true,
+      message: `Review ${status}`,
+      data: {
+        review,
+        product: { rating, numReviews },
+      },
+    });
+  });
+}
+
+export default ReviewController;
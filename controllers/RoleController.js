@@ -0,0 +1,160 @@
+// controllers/RoleController.js
+import Role, { PERMISSIONS, SUPER_ADMIN_ROLE } from "../models/role.js";
+import User from "../models/user.js";
+import SecurityPolicy from "../models/securityPolicy.js";
+import asyncHandler from "express-async-handler";
+import { setUserRoles } from "../utils/permissions.js";
+
+class RoleController {
+  // desc    List roles with the number of users holding each
+  // route   GET /api/roles
+  // access  Private (roles.manage)
+  static getRoles = asyncHandler(async (req, res) => {
+    const [roles, holders] = await Promise.all([
+      Role.find().sort({ name: 1 }),
+      User.aggregate([
+        { $unwind: "$roles" },
+        { $group: { _id: "$roles", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const counts = Object.fromEntries(holders.map(holder => [holder._id, holder.count]));
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      permissions: PERMISSIONS,
+      superAdminRole: SUPER_ADMIN_ROLE,
+      data: roles.map(role => ({ ...role.toJSON(), userCount: counts[role.name] || 0 })),
+    });
+  });
+
+  // desc    Get a role
+  // route   GET /api/roles/:id
+  // access  Private (roles.manage)
+  static getRole = asyncHandler(async (req, res) => {
+    const role = await Role.findById(req.params.id)
+      .populate("createdBy", "name email")
+      .populate("updatedBy", "name email");
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    const userCount = await User.countDocuments({ roles: role.name });
+
+    res.status(200).json({
+      success: true,
+      data: { ...role.toJSON(), userCount },
+    });
+  });
+
+  // desc    Create a role
+  // route   POST /api/roles
+  // access  Private (roles.manage)
+  static createRole = asyncHandler(async (req, res) => {
+    const { name, description, permissions } = req.body;
+
+    if (await Role.exists({ name })) {
+      return res.status(400).json({
+        success: false,
+        message: "A role with this name already exists",
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Role created",
+      data: role,
+    });
+  });
+
+  // desc    Change a role's description or permissions
+  // route   PUT /api/roles/:id
+  // access  Private (roles.manage)
+  static updateRole = asyncHandler(async (req, res) => {
+    const updates = { updatedBy: req.user._id };
+    if (req.body.description !== undefined) updates.description = req.body.description;
+    if (req.body.permissions !== undefined) updates.permissions = [...new Set(req.body.permissions)];
+
+    const role = await Role.findByIdAndUpdate(req.params.id, updates, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Role updated",
+      data: role,
+    });
+  });
+
+  // desc    Delete a role and take it away from everyone holding it
+  // route   DELETE /api/roles/:id
+  // access  Private (roles.manage)
+  static deleteRole = asyncHandler(async (req, res) => {
+    const role = await Role.findByIdAndDelete(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    const [result] = await Promise.all([
+      User.updateMany({ roles: role.name }, { $pull: { roles: role.name } }),
+      SecurityPolicy.updateMany({}, { $pull: { twoFactorRequiredRoles: role.name } }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Role deleted",
+      data: { usersUpdated: result.modifiedCount },
+    });
+  });
+
+  // desc    Replace the extra roles a user holds
+  // route   PUT /api/roles/users/:userId
+  // access  Private (roles.manage)
+  static setUserRoles = asyncHandler(async (req, res) => {
+    const user = await setUserRoles(req.params.userId, req.body.roles);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "User roles updated",
+      data: {
+        id: user._id,
+        role: user.role,
+        roles: user.roles,
+      },
+    });
+  });
+}
+
+export default RoleController;
@@ -0,0 +1,66 @@
+// controllers/ShipmentController.js
+import Order from "../models/order.js";
+import Shipment from "../models/shipment.js";
+import asyncHandler from "express-async-handler";
+import { createShipment, updateShipment } from "../utils/shipments.js";
+
+class ShipmentController {
+  // desc    Ship some or all items of an order
+  // route   POST /api/orders/:id/shipments
+  // access  Private/Admin
+  static createShipment = asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id).populate("orderItems");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const { shipment, order: updatedOrder } = await createShipment(order, req.body, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: "Shipment created successfully",
+      data: { shipment, orderStatus: updatedOrder.status },
+    });
+  });
+
+  // desc    Get shipments and tracking details for an order
+  // route   GET /api/orders/:id/shipments
+  // access  Private (Own orders) or Admin
+  static getOrderShipments = asyncHandler(async (req, res) => {
+    const shipments = await Shipment.find({ order: req.params.id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: shipments.length,
+      data: shipments,
+    });
+  });
+
+  // desc    Update a shipment's status or tracking details
+  // route   PUT /api/orders/:id/shipments/:shipmentId
+  // access  Private/Admin
+  static updateShipment = asyncHandler(async (req, res) => {
+    const shipment = await Shipment.findOne({ _id: req.params.shipmentId, order: req.params.id });
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipment not found",
+      });
+    }
+
+    const { shipment: updatedShipment, order } = await updateShipment(shipment, req.body, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Shipment updated successfully",
+      data: { shipment: updatedShipment, orderStatus: order.status },
+    });
+  });
+}
+
+export default ShipmentController;
@@ -0,0 +1,182 @@
+// controllers/ShippingController.js
+import ShippingZone from "../models/shippingZone.js";
+import Cart, { CART_TOKEN_HEADER } from "../models/cart.js";
+import Product from "../models/product.js";
+import asyncHandler from "express-async-handler";
+import { calculateLinePrice, roundPrice } from "../utils/pricing.js";
+import { applyPromotions } from "../utils/promotions.js";
+import { quoteShipping } from "../utils/shipping.js";
+
+const ZONE_FIELDS = ["name", "countries", "regions", "methods", "isActive"];
+
+// Price the requested items, or the current cart's items when none are given
+const loadQuoteLines = async (req) => {
+  if (req.body.items?.length) {
+    const lines = [];
+    for (const item of req.body.items) {
+      const product = await Product.findById(item.product);
+      if (!product) continue;
+      lines.push({ product, ...calculateLinePrice(product, item, item.quantity) });
+    }
+    return { lines, couponCode: req.body.couponCode };
+  }
+
+  const token = req.get(CART_TOKEN_HEADER);
+  let cart = null;
+  if (req.user) {
+    cart = await Cart.findOne({ user: req.user._id });
+  } else if (token) {
+    cart = await Cart.findByGuestToken(token);
+  }
+
+  if (!cart) return { lines: [] };
+
+  await cart.populate("items.product");
+
+  const lines = [];
+  cart.items.forEach((item) => {
+    if (!item.product) return;
+    try {
+      lines.push({ product: item.product, ...calculateLinePrice(item.product, item, item.quantity) });
+    } catch (error) {
+      // Unavailable lines can't be ordered, so they don't ship either
+      if (error.name !== "AppError") throw error;
+    }
+  });
+
+  return { lines, couponCode: cart.couponCode };
+};
+
+class ShippingController {
+  // desc    Quote shipping methods for a cart and destination
+  // route   POST /api/shipping/quote
+  // access  Public (guest token) or Private
+  static getQuote = asyncHandler(async (req, res) => {
+    const { lines, couponCode } = await loadQuoteLines(req);
+
+    if (lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "There are no items to ship",
+      });
+    }
+
+    let promotions;
+    try {
+      promotions = await applyPromotions(lines, { couponCode, userId: req.user?._id });
+    } catch (error) {
+      if (error.name !== "AppError") throw error;
+      // An invalid coupon shouldn't block a shipping quote
+      promotions = await applyPromotions(lines, { userId: req.user?._id });
+    }
+
+    const quote = await quoteShipping(lines, req.body.address, {
+      subtotal: roundPrice(promotions.subtotal - promotions.discountTotal),
+      freeShipping: promotions.freeShipping,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        zone: quote.zone,
+        methods: quote.methods,
+      },
+    });
+  });
+
+  // desc    Get all shipping zones
+  // route   GET /api/shipping/zones
+  // access  Private/Admin
+  static getAllZones = asyncHandler(async (req, res) => {
+    const zones = await ShippingZone.find().sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: zones.length,
+      data: zones,
+    });
+  });
+
+  // desc    Get single shipping zone
+  // route   GET /api/shipping/zones/:id
+  // access  Private/Admin
+  static getZone = asyncHandler(async (req, res) => {
+    const zone = await ShippingZone.findById(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipping zone not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: zone,
+    });
+  });
+
+  // desc    Create shipping zone
+  // route   POST /api/shipping/zones
+  // access  Private/Admin
+  static createZone = asyncHandler(async (req, res) => {
+    const fields = {};
+    ZONE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const zone = await ShippingZone.create(fields);
+
+    res.status(201).json({
+      success: true,
+      message: "Shipping zone created successfully",
+      data: zone,
+    });
+  });
+
+  // desc    Update shipping zone
+  // route   PUT /api/shipping/zones/:id
+  // access  Private/Admin
+  static updateZone = asyncHandler(async (req, res) => {
+    const zone = await ShippingZone.findById(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipping zone not found",
+      });
+    }
+
+    ZONE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) zone[field] = req.body[field];
+    });
+    await zone.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping zone updated successfully",
+      data: zone,
+    });
+  });
+
+  // desc    Delete shipping zone
+  // route   DELETE /api/shipping/zones/:id
+  // access  Private/Admin
+  static deleteZone = asyncHandler(async (req, res) => {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipping zone not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping zone deleted successfully",
+    });
+  });
+}
+
+export default ShippingController;
@@ -0,0 +1,110 @@
+// controllers/TaxRuleController.js
+import TaxRule from "../models/taxRule.js";
+import asyncHandler from "express-async-handler";
+
+const EDITABLE_FIELDS = ["name", "country", "region", "taxClass", "taxCategory", "rate", "isActive"];
+
+class TaxRuleController {
+  // desc    Get all tax rules
+  // route   GET /api/tax-rules
+  // access  Private/Admin
+  static getAllTaxRules = asyncHandler(async (req, res) => {
+    const { country, taxClass, isActive } = req.query;
+
+    const filter = {};
+    if (country) filter.country = country.toUpperCase();
+    if (taxClass) filter.taxClass = taxClass;
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+
+    const rules = await TaxRule.find(filter).sort({ country: 1, region: 1, taxClass: 1, taxCategory: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules,
+    });
+  });
+
+  // desc    Get single tax rule
+  // route   GET /api/tax-rules/:id
+  // access  Private/Admin
+  static getTaxRule = asyncHandler(async (req, res) => {
+    const rule = await TaxRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax rule not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+    });
+  });
+
+  // desc    Create tax rule
+  // route   POST /api/tax-rules
+  // access  Private/Admin
+  static createTaxRule = asyncHandler(async (req, res) => {
+    const fields = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const rule = await TaxRule.create(fields);
+
+    res.status(201).json({
+      success: true,
+      message: "Tax rule created successfully",
+      data: rule,
+    });
+  });
+
+  // desc    Update tax rule
+  // route   PUT /api/tax-rules/:id
+  // access  Private/Admin
+  static updateTaxRule = asyncHandler(async (req, res) => {
+    const rule = await TaxRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax rule not found",
+      });
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Tax rule updated successfully",
+      data: rule,
+    });
+  });
+
+  // desc    Delete tax rule
+  // route   DELETE /api/tax-rules/:id
+  // access  Private/Admin
+  static deleteTaxRule = asyncHandler(async (req, res) => {
+    const rule = await TaxRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax rule not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Tax rule deleted successfully",
+    });
+  });
+}
+
+export default TaxRuleController;
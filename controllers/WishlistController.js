@@ -0,0 +1,63 @@
+// controllers/WishlistController.js
+import Wishlist from "../models/wishlist.js";
+import asyncHandler from "express-async-handler";
+
+class WishlistController {
+  // desc    Get logged in user's wishlist
+  // route   GET /api/wishlist
+  // access  Private
+  static getWishlist = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = { user: req.user._id };
+
+    const entries = await Wishlist.find(filter)
+      .populate({
+        path: "product",
+        select: "name image price discountPrice rating numReviews availabilityStatus isActive category",
+        populate: { path: "category", select: "name icon color" },
+      })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Wishlist.countDocuments(filter);
+
+    // Entries whose product was deleted are left out
+    const items = entries
+      .filter((entry) => entry.product)
+      .map((entry) => ({
+        id: entry._id,
+        addedAt: entry.createdAt,
+        product: entry.product,
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: items,
+    });
+  });
+
+  // desc    Recompute wishlist counts for all products from wishlist entries
+  // route   POST /api/wishlist/recount
+  // access  Private/Admin
+  static recountWishlistCounts = asyncHandler(async (req, res) => {
+    const result = await Wishlist.syncAllProductCounts();
+
+    res.status(200).json({
+      success: true,
+      message: "Wishlist counts recalculated",
+      data: result,
+    });
+  });
+}
+
+export default WishlistController;
@@ -1,12 +1,18 @@
 import crypto from 'crypto';
-import User from '../models/user.js';
-import { createAuthResponse, generateToken, verifyToken } from '../utils/jwt.js';
+import User, { MARKETING_EMAIL_CATEGORIES } from '../models/user.js';
+import Cart, { CART_TOKEN_HEADER } from '../models/cart.js';
+import Session from '../models/session.js';
+import { createAuthResponse, getTokenFromHeader, verifyToken, verifyRefreshToken } from '../utils/jwt.js';
+import { rotateRefreshToken, revokeSession, revokeUserSessions } from '../utils/sessions.js';
+import { createLoginResponse } from '../utils/twoFactor.js';
 import { 
   sendWelcomeEmail, 
   sendPasswordResetEmail, 
   sendPasswordChangeConfirmation,
   sendVerificationCode,
 } from '../utils/email.js';
+import { updateEmailPreferences } from '../utils/emailPreferences.js';
+import { getUserPermissions } from '../utils/permissions.js';
 import { asyncHandler, AppError, sendSuccessResponse } from '../middleware/errorMiddleware.js';
 
 /**
@@ -34,9 +40,18 @@ export const register = asyncHandler(async (req, res) => {
     password,
     acceptedTerms: acceptedTerms === 'true',
     acceptedPrivacy: acceptedPrivacy === 'true',
-    marketingEmails: marketingEmails === 'true',
+    marketingEmails: false,
   });
 
+  // Opting in at sign-up is recorded like any other consent
+  if (marketingEmails === 'true') {
+    await updateEmailPreferences(
+      user,
+      Object.fromEntries(MARKETING_EMAIL_CATEGORIES.map(category => [category, true])),
+      { source: 'registration', req }
+    );
+  }
+
   // Generate email verification token
   const verificationToken = user.createEmailVerificationToken();
   await user.save({ validateBeforeSave: false });
@@ -50,12 +65,11 @@ export const register = asyncHandler(async (req, res) => {
   }
 
   // Generate auth response
-  const authResponse = createAuthResponse(user);
-
-  res.status(201).json({
-    ...authResponse,
+  const authResponse = await createLoginResponse(user, req, {
     message: 'Registration successful! Please check your email to verify your account.',
   });
+
+  res.status(201).json(authResponse);
 });
 
 /**
@@ -73,29 +87,26 @@ export const login = asyncHandler(async (req, res) => {
   user.lastLogin = new Date();
   await user.save();
 
-  // Generate auth response
-  const authResponse = createAuthResponse(user);
-
-  // Adjust token expiry if "Remember Me" is checked
-  if (rememberMe) {
-    const payload = {
-      id: user._id,
-      email: user.email,
-      role: user.role,
-    };
-    
-    // Generate longer-lived token (30 days)
-    const longLivedToken = generateToken(payload, '30d');
-    authResponse.data.tokens.accessToken = longLivedToken;
-    authResponse.data.tokens.expiresIn = '30d';
-  }
-
-  res.json({
-    ...authResponse,
-    message: user.isVerified 
-      ? 'Login successful!' 
+  // "Remember me" keeps the session alive for 30 days instead of 7.
+  // Users with two-factor get a challenge here instead of tokens.
+  const authResponse = await createLoginResponse(user, req, {
+    rememberMe: rememberMe === true || rememberMe === 'true',
+    message: user.isVerified
+      ? 'Login successful!'
       : 'Login successful! Please verify your email for full access.',
   });
+
+  // Merge the guest cart built before logging in; with two-factor this waits for the code
+  const cartToken = req.body.cartToken || req.get(CART_TOKEN_HEADER);
+  if (cartToken && authResponse.data.tokens) {
+    try {
+      await Cart.mergeGuestCart(user._id, cartToken);
+    } catch (error) {
+      console.error('Failed to merge guest cart:', error);
+    }
+  }
+
+  res.json(authResponse);
 });
 
 /**
@@ -104,8 +115,25 @@ export const login = asyncHandler(async (req, res) => {
  * access  Private
  */
 export const logout = asyncHandler(async (req, res) => {
-  // In JWT implementation, logout is handled client-side
-    
+  // The session can be identified by the refresh token or the access token
+  let sessionId;
+  try {
+    if (req.body?.refreshToken) {
+      // An expired refresh token still identifies the session to end
+      sessionId = verifyRefreshToken(req.body.refreshToken, { ignoreExpiration: true }).sid;
+    } else if (getTokenFromHeader(req)) {
+      sessionId = verifyToken(getTokenFromHeader(req)).sid;
+    }
+  } catch (error) {
+    throw new AppError('Invalid token', 401);
+  }
+
+  if (!sessionId) {
+    throw new AppError('Refresh token or access token is required', 400);
+  }
+
+  await revokeSession(sessionId, 'logout');
+
   sendSuccessResponse(res, 200, 'Logout successful');
 });
 
@@ -126,11 +154,16 @@ export const getMe = asyncHandler(async (req, res) => {
         email: user.email,
         phone: user.phone,
         role: user.role,
+        roles: user.roles,
+        permissions: [...(await getUserPermissions(user))],
         isVerified: user.isVerified,
         avatar: user.avatar,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt,
         marketingEmails: user.marketingEmails,
+        emailPreferences: user.getEmailPreferences(),
+        locale: user.locale,
+        twoFactorEnabled: user.twoFactorEnabled,
       },
     },
   });
@@ -167,12 +200,9 @@ export const verifyEmail = asyncHandler(async (req, res) => {
   await user.save();
 
   // Generate auth response
-  const authResponse = createAuthResponse(user);
+  const authResponse = await createLoginResponse(user, req, { message: 'Email verified successfully!' });
 
-  res.json({
-    ...authResponse,
-    message: 'Email verified successfully!',
-  });
+  res.json(authResponse);
 });
 
 /**
@@ -274,6 +304,7 @@ export const resetPassword = asyncHandler(async (req, res) => {
   user.password = password;
   user.resetPasswordToken = undefined;
   user.resetPasswordExpire = undefined;
+  user.passwordResetRequired = false;
   user.loginAttempts = 0; // Reset login attempts
   user.lockUntil = undefined; // Unlock account if locked
   await user.save();
@@ -285,13 +316,13 @@ export const resetPassword = asyncHandler(async (req, res) => {
     console.error('Failed to send password change confirmation:', error);
   }
 
-  // Generate auth response
-  const authResponse = createAuthResponse(user);
+  // Sign out everywhere; whoever needed the reset may not be the only one with access
+  await revokeUserSessions(user._id, { reason: 'password_reset' });
 
-  res.json({
-    ...authResponse,
-    message: 'Password reset successful!',
-  });
+  // Generate auth response; a reset link doesn't replace the second factor
+  const authResponse = await createLoginResponse(user, req, { message: 'Password reset successful!' });
+
+  res.json(authResponse);
 });
 
 /**
@@ -316,6 +347,9 @@ export const changePassword = asyncHandler(async (req, res) => {
   user.password = password;
   await user.save();
 
+  // Sign out every other device
+  await revokeUserSessions(user._id, { reason: 'password_change', except: req.sessionId });
+
   // Send confirmation email
   try {
     await sendPasswordChangeConfirmation(user);
@@ -332,14 +366,21 @@ export const changePassword = asyncHandler(async (req, res) => {
  * access  Private
  */
 export const updateProfile = asyncHandler(async (req, res) => {
-  const { name, email, phone, marketingEmails } = req.body;
+  const { name, email, phone, marketingEmails, locale } = req.body;
 
   const user = await User.findById(req.user.id);
 
   // Update fields
   if (name) user.name = name;
   if (phone) user.phone = phone;
-  if (marketingEmails !== undefined) user.marketingEmails = marketingEmails;
+  if (marketingEmails !== undefined) {
+    await updateEmailPreferences(
+      user,
+      Object.fromEntries(MARKETING_EMAIL_CATEGORIES.map(category => [category, marketingEmails])),
+      { source: 'profile', req }
+    );
+  }
+  if (locale) user.locale = locale;
 
   // If email is being changed, require re-verification
   if (email && email !== user.email) {
@@ -385,27 +426,14 @@ export const refreshToken = asyncHandler(async (req, res) => {
     throw new AppError('Refresh token is required', 400);
   }
 
-  try {
-    // Verify refresh token
-    const decoded = verifyToken(refreshToken);
-    
-    // Get user
-    const user = await User.findById(decoded.id);
-    
-    if (!user || !user.isActive) {
-      throw new AppError('User not found or inactive', 401);
-    }
-
-    // Generate new tokens
-    const authResponse = createAuthResponse(user);
+  // The old refresh token is spent; reusing it revokes the session
+  const { user, tokens } = await rotateRefreshToken(refreshToken, req);
+  const authResponse = createAuthResponse(user, tokens);
 
-    res.json({
-      ...authResponse,
-      message: 'Token refreshed successfully!',
-    });
-  } catch (error) {
-    throw new AppError('Invalid refresh token', 401);
-  }
+  res.json({
+    ...authResponse,
+    message: 'Token refreshed successfully!',
+  });
 });
 
 /**
@@ -473,4 +501,65 @@ export const verifyCode = asyncHandler(async (req, res) => {
   await user.save();
 
   sendSuccessResponse(res, 200, 'Verification code validated successfully!');
-});
\ No newline at end of file
+});
+
+/**
+ * desc    List my active sessions
+ * route   GET /api/auth/sessions
+ * access  Private
+ */
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+  res.json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      browser: session.browser,
+      os: session.os,
+      ipAddress: session.ipAddress,
+      lastIpAddress: session.lastIpAddress || session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: String(session._id) === String(req.sessionId),
+    })),
+  });
+});
+
+/**
+ * desc    Sign out one of my sessions
+ * route   DELETE /api/auth/sessions/:sessionId
+ * access  Private
+ */
+export const revokeSessionById = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({ _id: req.params.sessionId, user: req.user._id, revokedAt: null });
+
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+
+  await revokeSession(session._id, 'signed_out_by_user');
+
+  sendSuccessResponse(res, 200, 'Session signed out');
+});
+
+/**
+ * desc    Sign out all my sessions except the current one
+ * route   DELETE /api/auth/sessions
+ * access  Private
+ */
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const count = await revokeUserSessions(req.user._id, {
+    reason: 'signed_out_by_user',
+    except: req.sessionId,
+  });
+
+  sendSuccessResponse(res, 200, `${count} other session(s) signed out`, { count });
+});
@@ -1,16 +1,70 @@
+import crypto from 'crypto';
 import passport from 'passport';
 import User from '../models/user.js';
-import { createAuthResponse } from '../utils/jwt.js';
+import Cart from '../models/cart.js';
+import { createLoginResponse } from '../utils/twoFactor.js';
 import { asyncHandler } from '../middleware/errorMiddleware.js';
 
+// The OAuth state and the guest cart token wait in a signed cookie during the provider round trip
+const OAUTH_STATE_COOKIE = 'oauth_state';
+const OAUTH_STATE_COOKIE_OPTIONS = {
+  signed: true,
+  httpOnly: true,
+  sameSite: 'lax', // sent on the provider's top-level redirect back
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth',
+};
+const OAUTH_STATE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Start the round trip with a random state tied to this browser
+const createOAuthState = (req, res) => {
+  const state = crypto.randomBytes(16).toString('hex');
+  res.cookie(OAUTH_STATE_COOKIE, { state, cartToken: req.query.cartToken }, {
+    ...OAUTH_STATE_COOKIE_OPTIONS,
+    maxAge: OAUTH_STATE_MAX_AGE_MS,
+  });
+  return state;
+};
+
+/**
+ * Check the state returned by the provider against the cookie, then drop the cookie.
+ * A missing or different state means the callback wasn't started by this browser.
+ * returns {Object|null} { cartToken } when the state matches
+ */
+const consumeOAuthState = (req, res) => {
+  const stored = req.signedCookies?.[OAUTH_STATE_COOKIE];
+  res.clearCookie(OAUTH_STATE_COOKIE, OAUTH_STATE_COOKIE_OPTIONS);
+
+  const expected = Buffer.from(String(stored?.state || ''));
+  const received = Buffer.from(String(req.query.state || ''));
+  if (!expected.length || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+  return { cartToken: stored.cartToken };
+};
+
+// Merge the guest cart built before logging in
+const mergeGuestCart = async (user, cartToken) => {
+  if (!cartToken) return;
+
+  try {
+    await Cart.mergeGuestCart(user._id, cartToken);
+  } catch (error) {
+    console.error('Failed to merge guest cart:', error);
+  }
+};
+
 /**
  * desc    Google OAuth login
  * route   GET /api/auth/google
  * access  Public
  */
-export const googleAuth = passport.authenticate('google', {
-  scope: ['profile', 'email'],
-});
+export const googleAuth = (req, res, next) => {
+  passport.authenticate('google', {
+    scope: ['profile', 'email'],
+    state: createOAuthState(req, res),
+  })(req, res, next);
+};
 
 /**
  * desc    Google OAuth callback
@@ -18,7 +72,12 @@ export const googleAuth = passport.authenticate('google', {
  * access  Public
  */
 export const googleCallback = asyncHandler(async (req, res, next) => {
-  passport.authenticate('google', { session: false }, (err, user, info) => {
+  const oauthState = consumeOAuthState(req, res);
+  if (!oauthState) {
+    return res.redirect(`${process.env.CLIENT_URL}/login?error=oauth_state&message=Authentication failed`);
+  }
+
+  passport.authenticate('google', { session: false }, async (err, user, info) => {
     if (err) {
       console.error('Google OAuth error:', err);
       return res.redirect(`${process.env.CLIENT_URL}/login?error=oauth_error&message=Authentication failed`);
@@ -28,14 +87,25 @@ export const googleCallback = asyncHandler(async (req, res, next) => {
       return res.redirect(`${process.env.CLIENT_URL}/login?error=oauth_failed&message=Authentication failed`);
     }
     
-    // Generate tokens
-    const authResponse = createAuthResponse(user);
+    // Generate tokens, or a two-factor challenge
+    let authResponse;
+    try {
+      authResponse = await createLoginResponse(user, req);
+    } catch (error) {
+      return res.redirect(`${process.env.CLIENT_URL}/login?error=login_refused&message=${encodeURIComponent(error.message)}`);
+    }
+
+    // With two-factor the cart waits in the guest token until the code is entered
+    if (authResponse.data.tokens) {
+      await mergeGuestCart(user, oauthState.cartToken);
+    }
     
     // Encode the response for URL
     const encodedData = encodeURIComponent(JSON.stringify({
       success: true,
-      user: authResponse.data.user,
-      tokens: authResponse.data.tokens,
+      ...(authResponse.data.twoFactorRequired
+        ? authResponse.data
+        : { user: authResponse.data.user, tokens: authResponse.data.tokens }),
     }));
     
     // Redirect to frontend with tokens
@@ -48,9 +118,12 @@ export const googleCallback = asyncHandler(async (req, res, next) => {
  * route   GET /api/auth/facebook
  * access  Public
  */
-export const facebookAuth = passport.authenticate('facebook', {
-  scope: ['email'],
-});
+export const facebookAuth = (req, res, next) => {
+  passport.authenticate('facebook', {
+    scope: ['email'],
+    state: createOAuthState(req, res),
+  })(req, res, next);
+};
 
 /**
  * desc    Facebook OAuth callback
@@ -58,7 +131,12 @@ export const facebookAuth = passport.authenticate('facebook', {
  * access  Public
  */
 export const facebookCallback = asyncHandler(async (req, res, next) => {
-  passport.authenticate('facebook', { session: false }, (err, user, info) => {
+  const oauthState = consumeOAuthState(req, res);
+  if (!oauthState) {
+    return res.redirect(`${process.env.CLIENT_URL}/login?error=oauth_state&message=Authentication failed`);
+  }
+
+  passport.authenticate('facebook', { session: false }, async (err, user, info) => {
     if (err) {
       console.error('Facebook OAuth error:', err);
       return res.redirect(`${process.env.CLIENT_URL}/login?error=oauth_error&message=Authentication failed`);
@@ -68,14 +146,25 @@ export const facebookCallback = asyncHandler(async (req, res, next) => {
       return res.redirect(`${process.env.CLIENT_URL}/login?error=oauth_failed&message=Authentication failed`);
     }
     
-    // Generate tokens
-    const authResponse = createAuthResponse(user);
+    // Generate tokens, or a two-factor challenge
+    let authResponse;
+    try {
+      authResponse = await createLoginResponse(user, req);
+    } catch (error) {
+      return res.redirect(`${process.env.CLIENT_URL}/login?error=login_refused&message=${encodeURIComponent(error.message)}`);
+    }
+
+    // With two-factor the cart waits in the guest token until the code is entered
+    if (authResponse.data.tokens) {
+      await mergeGuestCart(user, oauthState.cartToken);
+    }
     
     // Encode the response for URL
     const encodedData = encodeURIComponent(JSON.stringify({
       success: true,
-      user: authResponse.data.user,
-      tokens: authResponse.data.tokens,
+      ...(authResponse.data.twoFactorRequired
+        ? authResponse.data
+        : { user: authResponse.data.user, tokens: authResponse.data.tokens }),
     }));
     
     // Redirect to frontend with tokens
@@ -0,0 +1,223 @@
+import User from '../models/user.js';
+import Cart, { CART_TOKEN_HEADER } from '../models/cart.js';
+import SecurityPolicy from '../models/securityPolicy.js';
+import { createAuthResponse, verifyChallengeToken } from '../utils/jwt.js';
+import { startSession } from '../utils/sessions.js';
+import {
+  isTwoFactorRequired,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  disableTwoFactor,
+} from '../utils/twoFactor.js';
+import { asyncHandler, AppError, sendSuccessResponse } from '../middleware/errorMiddleware.js';
+
+/**
+ * Refuse to finish a login that is waiting on two-factor when the account was
+ * deactivated or an admin forced a password reset after the challenge was issued
+ */
+const assertCanFinishLogin = (user) => {
+  if (!user.isActive) {
+    throw new AppError('Login has expired. Please log in again.', 401);
+  }
+  if (user.passwordResetRequired) {
+    throw new AppError('Your password must be reset before you can log in. Check your email for a reset link or request a new one.', 403);
+  }
+};
+
+/**
+ * Finish a login that was waiting on two-factor: merge the guest cart built
+ * before logging in and start the session
+ */
+const finishTwoFactorLogin = async (user, req, challenge) => {
+  const cartToken = req.body.cartToken || req.get(CART_TOKEN_HEADER);
+  if (cartToken) {
+    try {
+      await Cart.mergeGuestCart(user._id, cartToken);
+    } catch (error) {
+      console.error('Failed to merge guest cart:', error);
+    }
+  }
+
+  return createAuthResponse(user, await startSession(user, req, { rememberMe: challenge.rememberMe }));
+};
+
+/**
+ * desc    Get my two-factor status
+ * route   GET /api/auth/2fa
+ * access  Private
+ */
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: req.user.twoFactorEnabled,
+      enabledAt: req.user.twoFactorEnabledAt,
+      required: await isTwoFactorRequired(req.user),
+      recoveryCodesRemaining: req.user.twoFactorEnabled ? await countRecoveryCodes(req.user) : 0,
+    },
+  });
+});
+
+/**
+ * desc    Start two-factor setup; returns the secret, otpauth URI and a QR code
+ * route   POST /api/auth/2fa/setup
+ * access  Private, or with a setup challenge token from login
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const setup = await beginTwoFactorSetup(req.user);
+
+  sendSuccessResponse(res, 200, 'Scan the QR code with your authenticator app, then confirm with a code', setup);
+});
+
+/**
+ * desc    Confirm two-factor setup with a code; returns one-time recovery codes
+ * route   POST /api/auth/2fa/enable
+ * access  Private, or with a setup challenge token from login
+ */
+export const confirmTwoFactor = asyncHandler(async (req, res) => {
+  // Check before enabling, so the recovery codes aren't lost to a refused login
+  if (req.twoFactorChallenge) {
+    assertCanFinishLogin(req.user);
+  }
+
+  const recoveryCodes = await enableTwoFactor(req.user, req.body.code);
+
+  // Setting up two-factor was the last step of a login
+  if (req.twoFactorChallenge) {
+    const authResponse = await finishTwoFactorLogin(req.user, req, req.twoFactorChallenge);
+
+    return res.json({
+      ...authResponse,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { ...authResponse.data, recoveryCodes },
+    });
+  }
+
+  sendSuccessResponse(res, 200, 'Two-factor authentication enabled. Store your recovery codes somewhere safe.', {
+    recoveryCodes,
+  });
+});
+
+/**
+ * desc    Finish logging in with a code or recovery code
+ * route   POST /api/auth/2fa/verify
+ * access  Public (challenge token)
+ */
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let challenge;
+  try {
+    challenge = verifyChallengeToken(challengeToken, 'verify');
+  } catch (error) {
+    throw new AppError('Login has expired. Please log in again.', 401);
+  }
+
+  const user = await User.findById(challenge.id);
+  if (!user || !user.twoFactorEnabled) {
+    throw new AppError('Login has expired. Please log in again.', 401);
+  }
+
+  assertCanFinishLogin(user);
+
+  if (user.isLocked) {
+    throw new AppError('Account temporarily locked due to too many failed login attempts', 423);
+  }
+
+  if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+    await user.incLoginAttempts();
+    throw new AppError(recoveryCode ? 'Invalid recovery code' : 'Invalid verification code', 401);
+  }
+
+  if (user.loginAttempts > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  const authResponse = await finishTwoFactorLogin(user, req, challenge);
+
+  res.json({
+    ...authResponse,
+    message: recoveryCode
+      ? `Login successful! You have ${await countRecoveryCodes(user)} recovery codes left.`
+      : 'Login successful!',
+  });
+});
+
+/**
+ * desc    Replace my recovery codes
+ * route   POST /api/auth/2fa/recovery-codes
+ * access  Private
+ */
+export const resetRecoveryCodes = asyncHandler(async (req, res) => {
+  if (!req.user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!(await verifySecondFactor(req.user, { code: req.body.code }))) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  const recoveryCodes = await regenerateRecoveryCodes(req.user);
+
+  sendSuccessResponse(res, 200, 'New recovery codes generated. The old ones no longer work.', { recoveryCodes });
+});
+
+/**
+ * desc    Turn off two-factor authentication
+ * route   POST /api/auth/2fa/disable
+ * access  Private
+ */
+export const turnOffTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!req.user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (await isTwoFactorRequired(req.user)) {
+    throw new AppError('Two-factor authentication is required for your account', 403);
+  }
+
+  // Accounts created through social login have no password to check
+  const user = await User.findById(req.user.id).select('+password');
+  if (user.password && !(await user.matchPassword(password || ''))) {
+    throw new AppError('Password is incorrect', 400);
+  }
+
+  if (!(await verifySecondFactor(req.user, { code, recoveryCode }))) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  await disableTwoFactor(req.user);
+
+  sendSuccessResponse(res, 200, 'Two-factor authentication disabled');
+});
+
+/**
+ * desc    Get the security policy
+ * route   GET /api/auth/security-policy
+ * access  Private/Admin
+ */
+export const getSecurityPolicy = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await SecurityPolicy.getPolicy(),
+  });
+});
+
+/**
+ * desc    Update the security policy
+ * route   PUT /api/auth/security-policy
+ * access  Private/Admin
+ */
+export const updateSecurityPolicy = asyncHandler(async (req, res) => {
+  const policy = await SecurityPolicy.updatePolicy(
+    { twoFactorRequiredRoles: req.body.twoFactorRequiredRoles },
+    req.user._id
+  );
+
+  sendSuccessResponse(res, 200, 'Security policy updated', policy);
+});
@@ -1,6 +1,7 @@
 // middleware/validation.js
 import { body, validationResult } from 'express-validator';
-import User from '../models/user.js';
+import User, { SUPPORTED_LOCALES, USER_ROLES } from '../models/user.js';
+import Role from '../models/role.js';
 
 // Utility function to handle validation errors
 export const handleValidationErrors = (req, res, next) => {
@@ -208,6 +209,17 @@ export const validateUpdateProfile = [
       }
       return true;
     }),
+
+  body('locale')
+    .optional()
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(`Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`),
+
+  body('marketingEmails')
+    .optional()
+    .isBoolean()
+    .withMessage('Marketing emails must be true or false')
+    .toBoolean(),
     
   handleValidationErrors,
 ];
@@ -221,4 +233,75 @@ export const validateVerificationCode = [
     .withMessage('Verification code must contain only numbers'),
     
   handleValidationErrors,
-];
\ No newline at end of file
+];
+// Authenticator app code validation
+const totpCode = (field = 'code') =>
+  body(field)
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be the 6 digits shown in your authenticator app');
+
+// Confirm two-factor setup / replace recovery codes validation
+export const validateTwoFactorCode = [
+  totpCode(),
+  handleValidationErrors,
+];
+
+// Second login step validation
+export const validateTwoFactorLogin = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Provide the 6-digit code from your authenticator app or a recovery code'),
+
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code'),
+
+  handleValidationErrors,
+];
+
+// Turn off two-factor validation
+export const validateDisableTwoFactor = [
+  body('password')
+    .optional()
+    .isString(),
+
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Provide the 6-digit code from your authenticator app or a recovery code'),
+
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code'),
+
+  handleValidationErrors,
+];
+
+// Security policy validation
+export const validateSecurityPolicy = [
+  body('twoFactorRequiredRoles')
+    .isArray()
+    .withMessage('twoFactorRequiredRoles must be an array'),
+
+  body('twoFactorRequiredRoles.*')
+    .custom(async (value) => {
+      if (!USER_ROLES.includes(value) && !(await Role.exists({ name: value }))) {
+        throw new Error(`Unknown role: ${value}`);
+      }
+      return true;
+    }),
+
+  handleValidationErrors,
+];
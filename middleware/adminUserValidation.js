@@ -0,0 +1,103 @@
+// middleware/adminUserValidation.js
+import { body, query, validationResult } from 'express-validator';
+import { USER_ROLES } from '../models/user.js';
+import { ORDER_STATUSES } from '../models/order.js';
+
+// Utility function to handle validation errors
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errorMessages,
+    });
+  }
+  next();
+};
+
+const paginationRules = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+// User list query validation
+export const validateUserQuery = [
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot be more than 100 characters'),
+
+  query('role')
+    .optional()
+    .matches(/^[a-z0-9-]+(,[a-z0-9-]+)*$/)
+    .withMessage('Role must be a comma-separated list of role names'),
+
+  query(['isVerified', 'isActive', 'locked'])
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Must be true or false'),
+
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Must be a valid date'),
+
+  query('sort')
+    .optional()
+    .isIn(['newest', 'oldest', 'name', 'last_login'])
+    .withMessage('Sort must be one of: newest, oldest, name, last_login'),
+
+  ...paginationRules,
+  handleValidationErrors,
+];
+
+// User orders query validation
+export const validateUserOrdersQuery = [
+  query('status')
+    .optional()
+    .custom((value) => value.split(',').every(status => ORDER_STATUSES.includes(status)))
+    .withMessage(`Status must be one or more of: ${ORDER_STATUSES.join(', ')}`),
+
+  ...paginationRules,
+  handleValidationErrors,
+];
+
+// Role change validation
+export const validateUserRoleChange = [
+  body('role')
+    .optional()
+    .isIn(USER_ROLES)
+    .withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+
+  body('roles')
+    .optional()
+    .isArray()
+    .withMessage('Roles must be an array'),
+
+  body('roles.*')
+    .isString()
+    .withMessage('Role names must be strings')
+    .trim()
+    .toLowerCase(),
+
+  body()
+    .custom((value) => value.role !== undefined || value.roles !== undefined)
+    .withMessage('Provide role, roles or both'),
+
+  handleValidationErrors,
+];
@@ -0,0 +1,65 @@
+// middleware/apiKeyValidation.js
+import { body, validationResult } from 'express-validator';
+import { API_KEY_SCOPES } from '../models/apiKey.js';
+
+// Utility function to handle validation errors
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errorMessages,
+    });
+  }
+  next();
+};
+
+// Shared rules for creating and updating a key
+const apiKeyRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+
+    field('scopes')
+      .isArray({ min: 1 })
+      .withMessage('Scopes must be a non-empty array'),
+
+    body('scopes.*')
+      .isIn(API_KEY_SCOPES)
+      .withMessage(`Scope must be one of: ${API_KEY_SCOPES.join(', ')}`),
+
+    body('expiresAt')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Expiry must be a valid date')
+      .custom((value) => {
+        if (new Date(value) <= new Date()) {
+          throw new Error('Expiry must be in the future');
+        }
+        return true;
+      }),
+  ];
+};
+
+// Create API key validation
+export const validateCreateApiKey = [
+  ...apiKeyRules(true),
+  handleValidationErrors,
+];
+
+// Update API key validation
+export const validateUpdateApiKey = [
+  ...apiKeyRules(false),
+  handleValidationErrors,
+];
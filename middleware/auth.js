@@ -1,11 +1,60 @@
 //middleware/auth.js
-import { getTokenFromHeader, verifyToken } from '../utils/jwt.js';
+import { getTokenFromHeader, verifyToken, verifyChallengeToken } from '../utils/jwt.js';
 import User from '../models/user.js';
+import { isSessionActive } from '../utils/sessions.js';
+import { API_KEY_HEADER, authenticateApiKey } from '../utils/apiKeys.js';
+import { hasPermission } from '../utils/permissions.js';
+
+/**
+ * Let a route be called with an API key that has the given scope.
+ * Must come before protect/optionalAuth; routes without it reject API keys.
+ * @param {string} scope - One of API_KEY_SCOPES
+ */
+export const allowApiKey = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+// Authenticate a request made with an API key, enforcing the route's scope
+const protectWithApiKey = async (req, res, next) => {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used on this route.',
+    });
+  }
+
+  try {
+    const { apiKey, user } = await authenticateApiKey(req.get(API_KEY_HEADER), req);
+
+    if (!apiKey.scopes.includes(req.apiKeyScope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing the ${req.apiKeyScope} scope.`,
+      });
+    }
+
+    req.user = user;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error during authentication.',
+    });
+  }
+};
 
 /**
  * Protect routes - require authentication
  */
 export const protect = async (req, res, next) => {
+  if (req.get(API_KEY_HEADER)) {
+    return protectWithApiKey(req, res, next);
+  }
+
   try {
     // Get token from header
     const token = getTokenFromHeader(req);
@@ -19,6 +68,14 @@ export const protect = async (req, res, next) => {
     
     // Verify token
     const decoded = verifyToken(token);
+
+    // Tokens stop working as soon as their session is signed out
+    if (!(await isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been signed out. Please log in again.',
+      });
+    }
     
     // Get user from token
     const user = await User.findById(decoded.id).select('-password');
@@ -37,8 +94,9 @@ export const protect = async (req, res, next) => {
       });
     }
     
-    // Add user to request
+    // Add user and the session the token belongs to to request
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error.message);
@@ -64,6 +122,37 @@ export const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Protect two-factor setup routes. Besides a normal access token they accept the
+ * setup challenge token that login returns when the user's role requires two-factor.
+ */
+export const protectOrTwoFactorEnrollment = async (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const decoded = verifyChallengeToken(req.body.challengeToken, 'enroll');
+    const user = await User.findById(decoded.id).select('-password');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token invalid. User not found.',
+      });
+    }
+
+    req.user = user;
+    req.twoFactorChallenge = decoded;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Login has expired. Please log in again.',
+    });
+  }
+};
+
 /**
  * Require email verification
  */
@@ -79,10 +168,13 @@ export const requireVerification = (req, res, next) => {
 
 /**
  * Authorize specific roles
+ * API key requests were already checked against the route's scope by protect.
  * @param {...string} roles - Allowed roles
  */
 export const authorize = (...roles) => {
   return (req, res, next) => {
+    if (req.apiKey) return next();
+
     if (!roles.includes(req.user.role)) {
       return res.status(403).json({
         success: false,
@@ -93,19 +185,52 @@ export const authorize = (...roles) => {
   };
 };
 
+/**
+ * Require permissions, granted by any of the user's roles
+ * API key requests were already checked against the route's scope by protect.
+ * @param {...string} permissions - Required permissions, all of them
+ */
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (req.apiKey) return next();
+
+    try {
+      for (const permission of permissions) {
+        if (!(await hasPermission(req, permission))) {
+          return res.status(403).json({
+            success: false,
+            message: `Access denied. Required permission: ${permission}`,
+          });
+        }
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 /**
  * Optional authentication - doesn't fail if no token
  */
 export const optionalAuth = async (req, res, next) => {
+  // A key sent to a route that accepts keys must be valid
+  if (req.get(API_KEY_HEADER) && req.apiKeyScope) {
+    return protectWithApiKey(req, res, next);
+  }
+
   try {
     const token = getTokenFromHeader(req);
     
     if (token) {
       const decoded = verifyToken(token);
-      const user = await User.findById(decoded.id).select('-password');
+      const user = await isSessionActive(decoded.sid, decoded.id)
+        ? await User.findById(decoded.id).select('-password')
+        : null;
       
       if (user && user.isActive) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
   } catch (error) {
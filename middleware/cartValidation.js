@@ -0,0 +1,122 @@
+// middleware/cartValidation.js
+import { body, param, query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import { MAX_LINE_QUANTITY } from '../models/cart.js';
+
+// Utility function to handle validation errors
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errorMessages,
+    });
+  }
+  next();
+};
+
+// Shared rules for the selected options on a cart line
+const selectionRules = () => [
+  body('variant')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid variant ID format'),
+
+  body('colorMaterialOptions')
+    .optional()
+    .isArray()
+    .withMessage('Color/material options must be an array'),
+
+  body('colorMaterialOptions.*')
+    .isMongoId()
+    .withMessage('Invalid color/material option ID format'),
+
+  body('additionalServices')
+    .optional()
+    .isArray()
+    .withMessage('Additional services must be an array'),
+
+  body('additionalServices.*')
+    .isMongoId()
+    .withMessage('Invalid service ID format'),
+
+  body('version')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid version ID format'),
+];
+
+// Add to cart validation
+export const validateAddToCart = [
+  body('product')
+    .custom((value) => {
+      if (!mongoose.isValidObjectId(value)) {
+        throw new Error('Invalid product ID format');
+      }
+      return true;
+    }),
+
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: MAX_LINE_QUANTITY })
+    .withMessage(`Quantity must be between 1 and ${MAX_LINE_QUANTITY}`),
+
+  ...selectionRules(),
+
+  handleValidationErrors,
+];
+
+// Update cart item validation
+export const validateUpdateCartItem = [
+  param('itemId')
+    .isMongoId()
+    .withMessage('Invalid cart item ID format'),
+
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: MAX_LINE_QUANTITY })
+    .withMessage(`Quantity must be between 1 and ${MAX_LINE_QUANTITY}`),
+
+  ...selectionRules(),
+
+  handleValidationErrors,
+];
+
+// Cart item ID parameter validation
+export const validateCartItemId = [
+  param('itemId')
+    .isMongoId()
+    .withMessage('Invalid cart item ID format'),
+
+  handleValidationErrors,
+];
+
+// Apply coupon validation
+export const validateApplyCoupon = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Coupon code is required')
+    .isLength({ max: 30 })
+    .withMessage('Coupon code cannot exceed 30 characters'),
+
+  handleValidationErrors,
+];
+
+// Tax location query validation
+export const validateTaxLocation = [
+  query(['country', 'region'])
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 60 })
+    .withMessage('Country and region must be between 2 and 60 characters'),
+
+  handleValidationErrors,
+];
@@ -0,0 +1,53 @@
+// middleware/emailOutboxValidation.js
+import { query, validationResult } from 'express-validator';
+import { EMAIL_OUTBOX_STATUSES } from '../models/emailOutbox.js';
+
+// Utility function to handle validation errors
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errorMessages,
+    });
+  }
+  next();
+};
+
+// Outbox listing validation
+export const validateOutboxQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('status')
+    .optional()
+    .custom((value) => {
+      const statuses = value.split(',');
+      if (!statuses.every(status => EMAIL_OUTBOX_STATUSES.includes(status))) {
+        throw new Error(`Status must be one of: ${EMAIL_OUTBOX_STATUSES.join(', ')}`);
+      }
+      return true;
+    }),
+
+  query('to')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Recipient filter must be an email address'),
+
+  handleValidationErrors,
+];
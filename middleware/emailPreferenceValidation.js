@@ -0,0 +1,67 @@
+// middleware/emailPreferenceValidation.js
+import { body, check, validationResult } from 'express-validator';
+import { EMAIL_CATEGORIES } from '../models/user.js';
+
+// Utility function to handle validation errors
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errorMessages,
+    });
+  }
+  next();
+};
+
+// Unsubscribe token, from the link's query string or the request body
+const tokenRule = () =>
+  check('token')
+    .isString()
+    .withMessage('Token is required')
+    .bail()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Invalid token');
+
+const preferenceRules = () => [
+  body()
+    .custom((value) => {
+      if (!EMAIL_CATEGORIES.some(category => value?.[category] !== undefined)) {
+        throw new Error(`Provide at least one of: ${EMAIL_CATEGORIES.join(', ')}`);
+      }
+      return true;
+    }),
+
+  ...EMAIL_CATEGORIES.map(category =>
+    body(category)
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage(`${category} must be true or false`)
+  ),
+];
+
+// Update preferences validation
+export const validateUpdatePreferences = [
+  ...preferenceRules(),
+  handleValidationErrors,
+];
+
+// Token validation for the links in emails
+export const validatePreferenceToken = [
+  tokenRule(),
+  handleValidationErrors,
+];
+
+// Update preferences through an email link
+export const validateUpdatePreferencesByToken = [
+  tokenRule(),
+  ...preferenceRules(),
+  handleValidationErrors,
+];
@@ -0,0 +1,89 @@
+// middleware/emailTemplateValidation.js
+import { body, param, query, validationResult } from 'express-validator';
+import { SUPPORTED_LOCALES } from '../models/user.js';
+
+// Utility function to handle validation errors
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errorMessages,
+    });
+  }
+  next();
+};
+
+const localeMessage = `Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`;
+
+// Template sources are HTML, so they are length-checked but never stripped of tags
+const sourceRule = (name, max) =>
+  body(name)
+    .isString()
+    .withMessage(`${name} must be a string`)
+    .isLength({ min: 1, max })
+    .withMessage(`${name} must be between 1 and ${max} characters`);
+
+// Get template validation
+export const validateTemplateQuery = [
+  query('locale')
+    .optional()
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(localeMessage),
+
+  handleValidationErrors,
+];
+
+// Save template validation
+export const validateSaveTemplate = [
+  param('locale')
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(localeMessage),
+
+  sourceRule('subject', 300),
+  sourceRule('html', 100000),
+  sourceRule('text', 50000),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+// Delete template validation
+export const validateTemplateLocale = [
+  param('locale')
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(localeMessage),
+
+  handleValidationErrors,
+];
+
+// Preview validation; subject, html and text are optional drafts
+export const validatePreviewTemplate = [
+  body('locale')
+    .optional()
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(localeMessage),
+
+  body('data')
+    .optional()
+    .isObject()
+    .withMessage('Data must be an object'),
+
+  sourceRule('subject', 300).optional(),
+  sourceRule('html', 100000).optional(),
+  sourceRule('text', 50000).optional(),
+
+  handleValidationErrors,
+];
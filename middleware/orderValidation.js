@@ -0,0 +1,214 @@
+// middleware/orderValidation.js
+import { body, param, query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import Product from '../models/product.js';
+import { ORDER_STATUSES, PAYMENT_STATUSES, PAYMENT_METHODS } from '../models/order.js';
+
+// Utility function to handle validation errors
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errorMessages,
+    });
+  }
+  next();
+};
+
+// MongoDB ObjectId validation
+export const validateObjectId = (paramName = 'id') => [
+  param(paramName)
+    .custom((value) => {
+      if (!mongoose.isValidObjectId(value)) {
+        throw new Error(`Invalid ${paramName} format`);
+      }
+      return true;
+    }),
+  handleValidationErrors,
+];
+
+// Order creation validation
+export const validateOrder = [
+  body('orderItems')
+    .isArray({ min: 1 })
+    .withMessage('Order must contain at least one item'),
+
+  body('orderItems.*.product')
+    .custom(async (value) => {
+      if (!mongoose.isValidObjectId(value)) {
+        throw new Error('Invalid product ID format');
+      }
+      const product = await Product.findById(value);
+      if (!product) {
+        throw new Error('Product does not exist');
+      }
+      if (!product.isActive) {
+        throw new Error('Product is not active');
+      }
+      return true;
+    }),
+
+  body('orderItems.*.quantity')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100'),
+
+  body('orderItems.*.variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID format'),
+
+  body('orderItems.*.colorMaterialOptions.*')
+    .isMongoId()
+    .withMessage('Invalid color/material option ID format'),
+
+  body('orderItems.*.additionalServices.*')
+    .isMongoId()
+    .withMessage('Invalid service ID format'),
+
+  body('orderItems.*.version')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid version ID format'),
+
+  body('shippingAddress.street')
+    .trim()
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Street address must be between 5 and 100 characters'),
+
+  body('shippingAddress.city')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('City must be between 2 and 50 characters'),
+
+  body('shippingAddress.state')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('State cannot exceed 50 characters'),
+
+  body('shippingAddress.postalCode')
+    .trim()
+    .isLength({ min: 3, max: 20 })
+    .withMessage('Postal code must be between 3 and 20 characters'),
+
+  body('shippingAddress.country')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Country must be between 2 and 50 characters'),
+
+  body('phone')
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number'),
+
+  body('paymentMethod')
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage('Invalid payment method'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+
+  body('shippingMethod')
+    .isMongoId()
+    .withMessage('Please choose a valid shipping method'),
+
+  body('couponCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Coupon code cannot exceed 30 characters'),
+
+  handleValidationErrors,
+];
+
+// Order status update validation
+export const validateOrderStatus = [
+  body('status')
+    .isIn(ORDER_STATUSES)
+    .withMessage('Invalid order status'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  handleValidationErrors,
+];
+
+// Payment status update validation
+export const validatePaymentStatus = [
+  body('paymentStatus')
+    .isIn(PAYMENT_STATUSES)
+    .withMessage('Invalid payment status'),
+
+  handleValidationErrors,
+];
+
+// Online payment validation
+export const validatePayOrder = [
+  body('paymentDetails')
+    .optional()
+    .isObject()
+    .withMessage('Payment details must be an object'),
+
+  body('paymentDetails.token')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Payment token cannot exceed 200 characters'),
+
+  handleValidationErrors,
+];
+
+// Order list query validation
+export const validateOrderQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('status')
+    .optional()
+    .custom((value) => {
+      const statuses = value.split(',');
+      if (!statuses.every(status => ORDER_STATUSES.includes(status))) {
+        throw new Error('Invalid order status filter');
+      }
+      return true;
+    }),
+
+  query('paymentStatus')
+    .optional()
+    .isIn(PAYMENT_STATUSES)
+    .withMessage('Invalid payment status filter'),
+
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+
+  handleValidationErrors,
+];
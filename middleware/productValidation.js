@@ -36,81 +36,6 @@ export const validateObjectId = (paramName = 'id') => [
   handleValidationErrors,
 ];
 
-// Order validation (temporary - should be moved to separate file)
-export const validateOrder = [
-  body('orderItems')
-    .isArray({ min: 1 })
-    .withMessage('Order must contain at least one item'),
-    
-  body('orderItems.*.product')
-    .custom(async (value) => {
-      if (!mongoose.isValidObjectId(value)) {
-        throw new Error('Invalid product ID format');
-      }
-      const product = await Product.findById(value);
-      if (!product) {
-        throw new Error('Product does not exist');
-      }
-      if (!product.isActive) {
-        throw new Error('Product is not active');
-      }
-      return true;
-    }),
-    
-  body('orderItems.*.quantity')
-    .isInt({ min: 1, max: 100 })
-    .withMessage('Quantity must be between 1 and 100'),
-    
-  body('shippingAddress.street')
-    .trim()
-    .isLength({ min: 5, max: 100 })
-    .withMessage('Street address must be between 5 and 100 characters'),
-    
-  body('shippingAddress.city')
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('City must be between 2 and 50 characters'),
-    
-  body('shippingAddress.postalCode')
-    .trim()
-    .isLength({ min: 3, max: 20 })
-    .withMessage('Postal code must be between 3 and 20 characters'),
-    
-  body('shippingAddress.country')
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Country must be between 2 and 50 characters'),
-    
-  body('phone')
-    .isMobilePhone()
-    .withMessage('Please provide a valid phone number'),
-    
-  body('paymentMethod')
-    .optional()
-    .isIn(['Credit Card', 'Debit Card', 'PayPal', 'Stripe', 'Cash on Delivery', 'Bank Transfer'])
-    .withMessage('Invalid payment method'),
-    
-  handleValidationErrors,
-];
-
-// Order status update validation
-export const validateOrderStatus = [
-  body('status')
-    .isIn(['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled', 'Returned'])
-    .withMessage('Invalid order status'),
-    
-  handleValidationErrors,
-];
-
-// Payment status update validation
-export const validatePaymentStatus = [
-  body('paymentStatus')
-    .isIn(['Pending', 'Processing', 'Paid', 'Failed', 'Refunded', 'Partially Refunded'])
-    .withMessage('Invalid payment status'),
-    
-  handleValidationErrors,
-];
-
 // Category validation
 export const validateCategory = [
   body('name')
@@ -583,8 +508,8 @@ export const validateProduct = [
 // Rating validation
 export const validateRating = [
   body('rating')
-    .isFloat({ min: 1, max: 5 })
-    .withMessage('Rating must be between 1 and 5'),
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5'),
     
   handleValidationErrors,
 ];
@@ -707,4 +632,29 @@ export const validateProductQuery = [
     .withMessage('Search term must be between 1 and 100 characters'),
     
   handleValidationErrors,
-];
\ No newline at end of file
+];
+
+// Price calculation query validation
+export const validatePriceQuery = [
+  query('quantity')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100'),
+    
+  query(['variant', 'version'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid option ID format'),
+    
+  query(['colorMaterialOptions', 'additionalServices'])
+    .optional()
+    .custom((value) => {
+      const ids = String(value).split(',');
+      if (!ids.every(id => mongoose.isValidObjectId(id.trim()))) {
+        throw new Error('Invalid option ID format');
+      }
+      return true;
+    }),
+    
+  handleValidationErrors,
+];
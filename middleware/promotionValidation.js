@@ -0,0 +1,147 @@
+// middleware/promotionValidation.js
+import { body, query, validationResult } from 'express-validator';
+import { PROMOTION_TYPES } from '../models/promotion.js';
+
+// Utility function to handle validation errors
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errorMessages,
+    });
+  }
+  next();
+};
+
+// Shared rules for create and update; `required` toggles the fields a new promotion needs
+const promotionRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Promotion name must be between 2 and 100 characters'),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+
+    body('code')
+      .optional({ values: 'falsy' })
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage('Coupon code must be 3-30 letters, numbers, dashes or underscores'),
+
+    field('type')
+      .isIn(PROMOTION_TYPES)
+      .withMessage(`Type must be one of: ${PROMOTION_TYPES.join(', ')}`),
+
+    body('value')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Value must be a positive number'),
+
+    body('maxDiscount')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('Maximum discount must be a positive number'),
+
+    body(['buyQuantity', 'getQuantity'])
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Buy and get quantities must be positive integers'),
+
+    body('getDiscountPercent')
+      .optional()
+      .isFloat({ min: 1, max: 100 })
+      .withMessage('Discount percent must be between 1 and 100'),
+
+    body('targets')
+      .optional()
+      .isObject()
+      .withMessage('Targets must be an object'),
+
+    body(['targets.categories', 'targets.subCategories', 'targets.products', 'targets.brands', 'targets.tags'])
+      .optional()
+      .isArray()
+      .withMessage('Each target must be an array'),
+
+    body(['targets.categories.*', 'targets.subCategories.*', 'targets.products.*'])
+      .isMongoId()
+      .withMessage('Invalid target ID format'),
+
+    body(['targets.brands.*', 'targets.tags.*'])
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Brands and tags must be non-empty strings'),
+
+    body('minOrderValue')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum order value must be a positive number'),
+
+    body(['startsAt', 'endsAt'])
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Dates must be valid ISO 8601 dates'),
+
+    body(['usageLimit', 'perUserLimit'])
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Usage limits must be positive integers'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+  ];
+};
+
+// Create promotion validation
+export const validateCreatePromotion = [
+  ...promotionRules(true),
+  handleValidationErrors,
+];
+
+// Update promotion validation
+export const validateUpdatePromotion = [
+  ...promotionRules(false),
+  handleValidationErrors,
+];
+
+// Promotion list query validation
+export const validatePromotionQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('type')
+    .optional()
+    .isIn(PROMOTION_TYPES)
+    .withMessage('Invalid promotion type'),
+
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+
+  handleValidationErrors,
+];
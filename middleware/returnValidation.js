@@ -0,0 +1,128 @@
+// middleware/returnValidation.js
+import { body, query, validationResult } from 'express-validator';
+import { RETURN_STATUSES, RETURN_REASONS } from '../models/returnRequest.js';
+
+// Utility function to handle validation errors
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errorMessages,
+    });
+  }
+  next();
+};
+
+// Optional note on a status change
+const noteRule = () =>
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters');
+
+// Create return request validation
+export const validateCreateReturn = [
+  body('order')
+    .isMongoId()
+    .withMessage('Invalid order ID format'),
+
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one item is required'),
+
+  body('items.*.orderItem')
+    .isMongoId()
+    .withMessage('Invalid order item ID format'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
+
+  body('items.*.reason')
+    .isIn(RETURN_REASONS)
+    .withMessage(`Reason must be one of: ${RETURN_REASONS.join(', ')}`),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters'),
+
+  handleValidationErrors,
+];
+
+// Approve, reject and close validation
+export const validateReturnDecision = [
+  noteRule(),
+  handleValidationErrors,
+];
+
+// Receive return validation
+export const validateReceiveReturn = [
+  body('restock')
+    .optional()
+    .custom((value) => {
+      const valid = typeof value === 'boolean' ||
+        (Array.isArray(value) && value.every(id => /^[0-9a-fA-F]{24}$/.test(id)));
+      if (!valid) {
+        throw new Error('Restock must be true, false or a list of return item IDs');
+      }
+      return true;
+    }),
+
+  noteRule(),
+
+  handleValidationErrors,
+];
+
+// Refund validation (amount defaults to the value of the returned items)
+export const validateRefund = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Refund amount must be greater than 0'),
+
+  noteRule(),
+
+  handleValidationErrors,
+];
+
+// Return list query validation
+export const validateReturnQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('status')
+    .optional()
+    .custom((value) => {
+      const invalid = value.split(',').filter(status => !RETURN_STATUSES.includes(status));
+      if (invalid.length > 0) {
+        throw new Error(`Invalid return status: ${invalid.join(', ')}`);
+      }
+      return true;
+    }),
+
+  query('order')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid order ID format'),
+
+  handleValidationErrors,
+];
@@ -0,0 +1,123 @@
+// middleware/reviewValidation.js
+import { body, query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import { REVIEW_STATUSES } from '../models/review.js';
+
+// Utility function to handle validation errors
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errorMessages,
+    });
+  }
+  next();
+};
+
+// Create review validation
+export const validateCreateReview = [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5'),
+
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Review title must be between 3 and 100 characters'),
+
+  body('body')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Review must be between 10 and 2000 characters'),
+
+  handleValidationErrors,
+];
+
+// Update review validation
+export const validateUpdateReview = [
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5'),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Review title must be between 3 and 100 characters'),
+
+  body('body')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Review must be between 10 and 2000 characters'),
+
+  handleValidationErrors,
+];
+
+// Moderation decision validation
+export const validateModerateReview = [
+  body('status')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Status must be approved or rejected'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Moderation note cannot exceed 500 characters'),
+
+  handleValidationErrors,
+];
+
+// Review list query validation
+export const validateReviewQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating filter must be between 1 and 5'),
+
+  query('verified')
+    .optional()
+    .isBoolean()
+    .withMessage('Verified must be true or false'),
+
+  query('status')
+    .optional()
+    .isIn(REVIEW_STATUSES)
+    .withMessage('Invalid review status'),
+
+  query('product')
+    .optional()
+    .custom((value) => {
+      if (!mongoose.isValidObjectId(value)) {
+        throw new Error('Invalid product ID format');
+      }
+      return true;
+    }),
+
+  query('sort')
+    .optional()
+    .isIn(['newest', 'oldest', 'rating_desc', 'rating_asc'])
+    .withMessage('Invalid sort option'),
+
+  handleValidationErrors,
+];
@@ -0,0 +1,81 @@
+// middleware/roleValidation.js
+import { body, validationResult } from 'express-validator';
+import { PERMISSIONS } from '../models/role.js';
+
+// Utility function to handle validation errors
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errorMessages,
+    });
+  }
+  next();
+};
+
+const permissionRules = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot be more than 200 characters'),
+
+  body('permissions.*')
+    .isIn(PERMISSIONS)
+    .withMessage(`Permission must be one of: ${PERMISSIONS.join(', ')}`),
+];
+
+// Create role validation
+export const validateCreateRole = [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9-]{1,49}$/)
+    .withMessage('Role name must be 2-50 lowercase letters, numbers or hyphens, starting with a letter'),
+
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+
+  ...permissionRules,
+  handleValidationErrors,
+];
+
+// Update role validation
+export const validateUpdateRole = [
+  body('name')
+    .not()
+    .exists()
+    .withMessage('Roles cannot be renamed'),
+
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+
+  ...permissionRules,
+  handleValidationErrors,
+];
+
+// Assign roles validation
+export const validateUserRoles = [
+  body('roles')
+    .isArray()
+    .withMessage('Roles must be an array'),
+
+  body('roles.*')
+    .isString()
+    .withMessage('Role names must be strings')
+    .trim()
+    .toLowerCase(),
+
+  handleValidationErrors,
+];
@@ -79,8 +79,20 @@ export const validateStockAvailability = async (req, res, next) => {
           message: `Insufficient stock for ${product.name}. Available: ${product.countInStock}, Requested: ${item.quantity}`
         });
       }
+      
+      if (item.variant) {
+        const variant = product.variants.id(item.variant);
+        
+        if (variant && variant.stock < item.quantity) {
+          return res.status(400).json({
+            success: false,
+            message: `Insufficient stock for ${product.name} (${variant.value}). Available: ${variant.stock}, Requested: ${item.quantity}`
+          });
+        }
+      }
     }
     
+    // This is only an early check; stock is reserved atomically when the order is created
     next();
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,84 @@
+// middleware/shipmentValidation.js
+import { body, validationResult } from 'express-validator';
+import { SHIPMENT_STATUSES } from '../models/shipment.js';
+
+// Utility function to handle validation errors
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errorMessages,
+    });
+  }
+  next();
+};
+
+// Shared tracking rules for create and update; `required` toggles the fields a new shipment needs
+const trackingRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('carrier')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Carrier must be between 1 and 100 characters'),
+
+    body('trackingNumber')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Tracking number cannot exceed 100 characters'),
+
+    body('trackingUrl')
+      .optional()
+      .trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('Tracking URL must be a valid http(s) URL'),
+
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters'),
+  ];
+};
+
+// Create shipment validation
+export const validateCreateShipment = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one item is required'),
+
+  body('items.*.orderItem')
+    .isMongoId()
+    .withMessage('Invalid order item ID format'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
+
+  ...trackingRules(true),
+
+  handleValidationErrors,
+];
+
+// Update shipment validation
+export const validateUpdateShipment = [
+  body('status')
+    .optional()
+    .isIn(SHIPMENT_STATUSES)
+    .withMessage(`Status must be one of: ${SHIPMENT_STATUSES.join(', ')}`),
+
+  ...trackingRules(false),
+
+  handleValidationErrors,
+];
@@ -0,0 +1,136 @@
+// middleware/shippingValidation.js
+import { body, validationResult } from 'express-validator';
+import { SHIPPING_METHOD_TYPES } from '../models/shippingZone.js';
+import { MAX_LINE_QUANTITY } from '../models/cart.js';
+
+// Utility function to handle validation errors
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errorMessages,
+    });
+  }
+  next();
+};
+
+// Shipping quote validation (items are optional; the current cart is used without them)
+export const validateShippingQuote = [
+  body('address.country')
+    .trim()
+    .notEmpty()
+    .withMessage('Destination country is required'),
+
+  body('address.state')
+    .optional()
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage('State cannot exceed 60 characters'),
+
+  body('address.postalCode')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Postal code cannot exceed 20 characters'),
+
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1, max: MAX_LINE_QUANTITY })
+    .withMessage(`Quantity must be between 1 and ${MAX_LINE_QUANTITY}`),
+
+  handleValidationErrors,
+];
+
+// Shared rules for create and update; `required` toggles the fields a new zone needs
+const zoneRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Zone name must be between 2 and 100 characters'),
+
+    field('countries')
+      .isArray({ min: 1 })
+      .withMessage('At least one country is required'),
+
+    body(['countries.*', 'regions.*'])
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Countries and regions must be non-empty strings'),
+
+    body('regions')
+      .optional()
+      .isArray()
+      .withMessage('Regions must be an array'),
+
+    body('methods')
+      .optional()
+      .isArray()
+      .withMessage('Methods must be an array'),
+
+    body('methods.*.name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Method name must be between 2 and 100 characters'),
+
+    body('methods.*.type')
+      .isIn(SHIPPING_METHOD_TYPES)
+      .withMessage(`Method type must be one of: ${SHIPPING_METHOD_TYPES.join(', ')}`),
+
+    body([
+      'methods.*.baseRate',
+      'methods.*.ratePerKg',
+      'methods.*.freeThreshold',
+      'methods.*.maxWeight',
+    ])
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('Rates, thresholds and weights must be positive numbers'),
+
+    body('methods.*.dimensionalDivisor')
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage('Dimensional divisor must be at least 1'),
+
+    body(['methods.*.estimatedDays.min', 'methods.*.estimatedDays.max'])
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Estimated days must be positive integers'),
+
+    body(['isActive', 'methods.*.isActive'])
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+  ];
+};
+
+// Create shipping zone validation
+export const validateCreateZone = [
+  ...zoneRules(true),
+  handleValidationErrors,
+];
+
+// Update shipping zone validation
+export const validateUpdateZone = [
+  ...zoneRules(false),
+  handleValidationErrors,
+];
@@ -0,0 +1,92 @@
+// middleware/taxRuleValidation.js
+import { body, query, validationResult } from 'express-validator';
+import { TAX_RULE_CLASSES } from '../models/taxRule.js';
+
+// Utility function to handle validation errors
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errorMessages,
+    });
+  }
+  next();
+};
+
+// Shared rules for create and update; `required` toggles the fields a new rule needs
+const taxRuleRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Tax rule name must be between 2 and 100 characters'),
+
+    field('country')
+      .trim()
+      .isLength({ min: 2, max: 60 })
+      .withMessage('Country must be between 2 and 60 characters'),
+
+    body('region')
+      .optional()
+      .trim()
+      .isLength({ max: 60 })
+      .withMessage('Region cannot exceed 60 characters'),
+
+    body('taxClass')
+      .optional()
+      .isIn(TAX_RULE_CLASSES)
+      .withMessage(`Tax class must be one of: ${TAX_RULE_CLASSES.join(', ')}`),
+
+    body('taxCategory')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Tax category cannot exceed 50 characters'),
+
+    field('rate')
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Tax rate must be between 0 and 100'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+  ];
+};
+
+// Create tax rule validation
+export const validateCreateTaxRule = [
+  ...taxRuleRules(true),
+  handleValidationErrors,
+];
+
+// Update tax rule validation
+export const validateUpdateTaxRule = [
+  ...taxRuleRules(false),
+  handleValidationErrors,
+];
+
+// Tax rule list query validation
+export const validateTaxRuleQuery = [
+  query('taxClass')
+    .optional()
+    .isIn(TAX_RULE_CLASSES)
+    .withMessage('Invalid tax class'),
+
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+
+  handleValidationErrors,
+];
@@ -0,0 +1,68 @@
+// models/ApiKey.js
+import mongoose from 'mongoose';
+
+// What a key may be used for; routes declare the scope they need with allowApiKey
+export const API_KEY_SCOPES = ['products:read', 'products:write', 'orders:read', 'orders:write'];
+
+// Key for server-to-server integrations. Only a hash of the key is stored;
+// the key itself is shown once when created or rotated.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Start of the key, to tell keys apart without revealing them
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [String],
+    enum: API_KEY_SCOPES,
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'An API key needs at least one scope'
+    }
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  rotatedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Admin who created the key; requests made with it act on their behalf
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+apiKeySchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// Virtual for whether the key is accepted
+apiKeySchema.virtual('isActive').get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+apiKeySchema.index({ createdBy: 1, createdAt: -1 });
+
+export default mongoose.model('ApiKey', apiKeySchema);
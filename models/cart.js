@@ -0,0 +1,161 @@
+// models/Cart.js
+import mongoose from 'mongoose';
+import { hashString } from '../utils/helpers.js';
+
+// Guest carts are removed after 30 days without activity
+const GUEST_CART_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+export const MAX_LINE_QUANTITY = 100;
+
+// Request header carrying the raw guest cart token
+export const CART_TOKEN_HEADER = 'X-Cart-Token';
+
+// Key identifying a product + selection combination, used to merge identical lines
+export const buildSelectionKey = (item) => {
+  const ids = (values) => (values || []).map(String).sort().join(',');
+
+  return [
+    String(item.product?._id || item.product),
+    item.variant ? String(item.variant) : '',
+    ids(item.colorMaterialOptions),
+    ids(item.additionalServices),
+    item.version ? String(item.version) : ''
+  ].join('|');
+};
+
+// Sub-schema for a cart line
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    default: 1,
+    min: [1, 'Quantity must be at least 1'],
+    max: [MAX_LINE_QUANTITY, `Quantity cannot exceed ${MAX_LINE_QUANTITY}`]
+  },
+  // Selections refer to the _id of the matching sub-document on the product
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  colorMaterialOptions: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  additionalServices: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  version: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+cartItemSchema.methods.selectionKey = function() {
+  return buildSelectionKey(this);
+};
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true
+  },
+  // SHA-256 hash of the guest cart token (the raw token is only ever given to the client)
+  guestToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  items: [cartItemSchema],
+  // Coupon code entered by the shopper, re-validated whenever the cart is priced
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+cartSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// Virtual for total number of units in the cart
+cartSchema.virtual('itemCount').get(function () {
+  return (this.items || []).reduce((total, item) => total + item.quantity, 0);
+});
+
+// TTL index so abandoned guest carts clean themselves up
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Pre-save middleware to keep guest carts alive while they are in use
+cartSchema.pre('save', function(next) {
+  this.expiresAt = this.user ? undefined : new Date(Date.now() + GUEST_CART_TTL_MS);
+  next();
+});
+
+// Instance method to add a line, merging it into an identical existing line
+cartSchema.methods.addItem = function(item) {
+  const key = buildSelectionKey(item);
+  const existing = this.items.find(line => line.selectionKey() === key);
+
+  if (existing) {
+    existing.quantity = Math.min(existing.quantity + item.quantity, MAX_LINE_QUANTITY);
+    return existing;
+  }
+
+  this.items.push(item);
+  return this.items[this.items.length - 1];
+};
+
+// Static method to find a guest cart by its raw token
+cartSchema.statics.findByGuestToken = function(token) {
+  return this.findOne({ guestToken: hashString(token), user: { $exists: false } });
+};
+
+// Static method to merge a guest cart into a user's cart and delete the guest cart
+cartSchema.statics.mergeGuestCart = async function(userId, token) {
+  if (!token) return null;
+
+  const guestCart = await this.findByGuestToken(token);
+  if (!guestCart) return null;
+
+  let userCart = await this.findOne({ user: userId });
+  if (!userCart) {
+    userCart = new this({ user: userId, items: [] });
+  }
+
+  guestCart.items.forEach(item => {
+    userCart.addItem({
+      product: item.product,
+      quantity: item.quantity,
+      variant: item.variant,
+      colorMaterialOptions: item.colorMaterialOptions,
+      additionalServices: item.additionalServices,
+      version: item.version
+    });
+  });
+
+  if (!userCart.couponCode && guestCart.couponCode) {
+    userCart.couponCode = guestCart.couponCode;
+  }
+
+  await userCart.save();
+  await guestCart.deleteOne();
+
+  return userCart;
+};
+
+export default mongoose.model('Cart', cartSchema);
@@ -0,0 +1,58 @@
+// models/EmailConsent.js
+import mongoose from 'mongoose';
+import { EMAIL_CATEGORIES } from './user.js';
+
+// Where a consent change came from
+export const CONSENT_SOURCES = [
+  'registration',
+  'profile',
+  'preference_center',
+  'unsubscribe_link',
+  'one_click_unsubscribe',
+];
+
+// One opt-in or opt-out of an email category. Records are never changed, so
+// together they are the audit trail of a user's consent.
+const emailConsentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Address the consent was given for, kept in case the user changes it later
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true
+  },
+  category: {
+    type: String,
+    enum: EMAIL_CATEGORIES,
+    required: [true, 'Category is required']
+  },
+  granted: {
+    type: Boolean,
+    required: [true, 'Granted is required']
+  },
+  source: {
+    type: String,
+    enum: CONSENT_SOURCES,
+    required: [true, 'Source is required']
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+emailConsentSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+emailConsentSchema.index({ user: 1, createdAt: -1 });
+emailConsentSchema.index({ category: 1, createdAt: -1 });
+
+export default mongoose.model('EmailConsent', emailConsentSchema);
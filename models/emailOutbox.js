@@ -0,0 +1,71 @@
+// models/EmailOutbox.js
+import mongoose from 'mongoose';
+
+export const EMAIL_OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'retrying', 'dead'];
+
+// Sent messages are kept this long for inspection, then removed
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// Email waiting to be delivered (or already delivered) by the outbox worker
+const emailOutboxSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true,
+    lowercase: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required']
+  },
+  html: String,
+  text: String,
+  // Template the message was rendered from, for filtering
+  template: String,
+  // Extra mail headers, e.g. List-Unsubscribe
+  headers: {
+    type: Map,
+    of: String
+  },
+  status: {
+    type: String,
+    enum: EMAIL_OUTBOX_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is delivering the message
+  lockedAt: Date,
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  deadAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+emailOutboxSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ to: 1, createdAt: -1 });
+emailOutboxSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: SENT_RETENTION_SECONDS, partialFilterExpression: { status: 'sent' } }
+);
+
+export default mongoose.model('EmailOutbox', emailOutboxSchema);
@@ -0,0 +1,51 @@
+// models/EmailTemplate.js
+import mongoose from 'mongoose';
+import { SUPPORTED_LOCALES } from './user.js';
+
+// Admin edited version of an email template; overrides the file template with the same name and locale
+const emailTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true
+  },
+  locale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    required: [true, 'Locale is required']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    maxlength: [300, 'Subject cannot exceed 300 characters']
+  },
+  html: {
+    type: String,
+    required: [true, 'HTML body is required']
+  },
+  text: {
+    type: String,
+    required: [true, 'Text body is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+emailTemplateSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+emailTemplateSchema.index({ name: 1, locale: 1 }, { unique: true });
+
+export default mongoose.model('EmailTemplate', emailTemplateSchema);
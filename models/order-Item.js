@@ -0,0 +1,104 @@
+// models/OrderItem.js
+import mongoose from 'mongoose';
+
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // Snapshot of product details at the time of purchase
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  image: {
+    type: String,
+    default: ''
+  },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Selected variant (size, color, etc.)
+  variant: {
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    name: String,
+    value: String,
+    sku: String,
+    additionalPrice: Number
+  },
+  // Selected color/material choices
+  colorMaterialOptions: [{
+    _id: false,
+    optionId: mongoose.Schema.Types.ObjectId,
+    type: { type: String },
+    name: String,
+    value: String,
+    additionalPrice: Number
+  }],
+  // Selected additional services
+  additionalServices: [{
+    _id: false,
+    serviceId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    price: Number
+  }],
+  // Selected product version
+  version: {
+    versionId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    version: String,
+    additionalPrice: Number
+  },
+  // Unit price including all selected options and services
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  // Units already packed into shipments
+  shippedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Shipped quantity cannot be negative']
+  },
+  // Tax charged on this line after order discounts, for invoicing
+  taxClass: String,
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+orderItemSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// Virtual for line total
+orderItemSchema.virtual('lineTotal').get(function () {
+  return Math.round(this.price * this.quantity * 100) / 100;
+});
+
+orderItemSchema.index({ product: 1 });
+
+export default mongoose.model('OrderItem', orderItemSchema);
@@ -0,0 +1,383 @@
+// models/Order.js
+import mongoose from 'mongoose';
+import Counter from './counter.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+
+export const ORDER_STATUSES = ['Pending', 'Processing', 'Partially Shipped', 'Shipped', 'Delivered', 'Cancelled', 'Returned'];
+// Statuses each status may move to; Cancelled and Returned are final
+export const ORDER_STATUS_TRANSITIONS = {
+  Pending: ['Processing', 'Cancelled'],
+  Processing: ['Partially Shipped', 'Shipped', 'Cancelled'],
+  'Partially Shipped': ['Shipped'],
+  Shipped: ['Delivered', 'Returned'],
+  Delivered: ['Returned'],
+  Cancelled: [],
+  Returned: []
+};
+export const PAYMENT_STATUSES = ['Pending', 'Processing', 'Paid', 'Failed', 'Refunded', 'Partially Refunded'];
+const INVOICE_CLAIM_ATTEMPTS = 20;
+const INVOICE_CLAIM_RETRY_MS = 100;
+// A claim older than this belongs to a request that died before assigning the number
+const STALE_INVOICE_LOCK_MS = 60 * 1000;
+export const PAYMENT_METHODS = ['Credit Card', 'Debit Card', 'PayPal', 'Stripe', 'Cash on Delivery', 'Bank Transfer'];
+
+// Sub-schema for shipping address
+const addressSchema = new mongoose.Schema({
+  street: {
+    type: String,
+    required: [true, 'Street address is required'],
+    trim: true
+  },
+  apartment: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  postalCode: {
+    type: String,
+    required: [true, 'Postal code is required'],
+    trim: true
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true
+  }
+}, { _id: false });
+
+// Sub-schema for the shipping method chosen at checkout
+const shippingMethodSchema = new mongoose.Schema({
+  method: mongoose.Schema.Types.ObjectId,
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingZone'
+  },
+  name: String,
+  type: {
+    type: String
+  },
+  estimatedDays: {
+    min: Number,
+    max: Number
+  }
+}, { _id: false });
+
+// Sub-schema for a status change
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  from: {
+    type: String,
+    enum: ORDER_STATUSES
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Sub-schema for tax grouped by rate
+const taxLineSchema = new mongoose.Schema({
+  name: String,
+  rate: Number,
+  taxableAmount: Number,
+  amount: Number
+}, { _id: false });
+
+// Sub-schema for a promotion applied to the order
+const promotionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  name: String,
+  code: String,
+  type: String,
+  amount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  orderItems: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem',
+    required: true
+  }],
+  shippingAddress: {
+    type: addressSchema,
+    required: [true, 'Shipping address is required']
+  },
+  shippingMethod: shippingMethodSchema,
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true
+  },
+  paymentMethod: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    default: 'Cash on Delivery'
+  },
+  paymentStatus: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'Pending'
+  },
+  // Raw result returned by the payment gateway
+  paymentResult: {
+    id: String,
+    status: String,
+    updateTime: String,
+    emailAddress: String
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'Pending'
+  },
+
+  // Price breakdown
+  itemsPrice: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: [0, 'Items price cannot be negative']
+  },
+  discountPrice: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  taxPrice: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: [0, 'Tax price cannot be negative']
+  },
+  // Whether item prices already included taxPrice (tax-inclusive pricing)
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  },
+  taxBreakdown: [taxLineSchema],
+  shippingPrice: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: [0, 'Shipping price cannot be negative']
+  },
+  totalPrice: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: [0, 'Total price cannot be negative']
+  },
+  // Set while a payment request is talking to the provider, see payOrder
+  paymentLockedAt: Date,
+  // Sum of all Refund records for this order
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  },
+
+  // Promotions applied when the order was placed
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  promotions: [promotionSchema],
+
+  // Whether this order currently holds stock (cleared once stock is restored)
+  stockReserved: {
+    type: Boolean,
+    default: false
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  statusHistory: [statusHistorySchema],
+
+  // Sequential invoice number, assigned when the invoice is first issued
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  invoicedAt: Date,
+  // Set while an invoice number is being assigned, see assignInvoiceNumber
+  invoiceLockedAt: Date,
+
+  // Lifecycle timestamps
+  paidAt: Date,
+  shippedAt: Date,
+  deliveredAt: Date,
+  cancelledAt: Date,
+  returnedAt: Date,
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+orderSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// Virtual for the order's shipments (populate to read tracking details)
+orderSchema.virtual('shipments', {
+  ref: 'Shipment',
+  localField: '_id',
+  foreignField: 'order',
+  options: { sort: { createdAt: 1 } }
+});
+
+// Virtual to check if order has been paid
+orderSchema.virtual('isPaid').get(function () {
+  return this.paymentStatus === 'Paid';
+});
+
+// Virtual to check if order can still be cancelled by the customer
+orderSchema.virtual('isCancellable').get(function () {
+  return ['Pending', 'Processing'].includes(this.status);
+});
+
+// Instance method to check whether the order may move to a status
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to give the order an invoice number, e.g. INV-2025-000042.
+// Every order gets one whatever its payment status, since cash on delivery and bank
+// transfer orders stay unpaid until they are settled; only an order cancelled before
+// it was invoiced never gets one. The order is claimed before the counter moves, so
+// concurrent or repeated requests never use up a number and the invoice series stays
+// gapless. Resolves to null for a cancelled order without an invoice.
+orderSchema.methods.assignInvoiceNumber = async function() {
+  if (this.invoiceNumber) return this.invoiceNumber;
+
+  const eligible = { status: { $ne: 'Cancelled' } };
+
+  for (let attempt = 0; attempt < INVOICE_CLAIM_ATTEMPTS; attempt++) {
+    const lockedAt = new Date();
+    const claimed = await this.constructor.findOneAndUpdate(
+      {
+        _id: this._id,
+        invoiceNumber: { $exists: false },
+        ...eligible,
+        $or: [
+          { invoiceLockedAt: null },
+          { invoiceLockedAt: { $lt: new Date(lockedAt.getTime() - STALE_INVOICE_LOCK_MS) } },
+        ],
+      },
+      { invoiceLockedAt: lockedAt }
+    );
+
+    if (claimed) {
+      const seq = await Counter.next('invoiceNumber');
+      const invoiceNumber = `INV-${lockedAt.getFullYear()}-${String(seq).padStart(6, '0')}`;
+
+      await this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { invoiceNumber, invoicedAt: lockedAt }, $unset: { invoiceLockedAt: 1 } }
+      );
+
+      this.invoiceNumber = invoiceNumber;
+      this.invoicedAt = lockedAt;
+      return invoiceNumber;
+    }
+
+    const current = await this.constructor.findById(this._id).select('invoiceNumber invoicedAt status');
+    if (current?.invoiceNumber) {
+      this.invoiceNumber = current.invoiceNumber;
+      this.invoicedAt = current.invoicedAt;
+      return this.invoiceNumber;
+    }
+    if (!current || current.status === 'Cancelled') {
+      return null;
+    }
+
+    // Another request is assigning the number right now
+    await new Promise(resolve => setTimeout(resolve, INVOICE_CLAIM_RETRY_MS));
+  }
+
+  throw new AppError('The invoice number is still being assigned. Please try again shortly.', 503);
+};
+
+// Indexes for better performance (orderNumber and invoiceNumber indexes are defined by unique: true)
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ status: 1 });
+orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ createdAt: -1 });
+
+// Pre-validate middleware to assign a human-readable order number, e.g. ORD-20250119-00042
+orderSchema.pre('validate', async function(next) {
+  if (!this.isNew) return next();
+
+  // Every order's history starts with the status it was created in
+  if (this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.user, note: 'Order placed' });
+  }
+
+  if (this.orderNumber) return next();
+
+  try {
+    const seq = await Counter.next('orderNumber');
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    this.orderNumber = `ORD-${date}-${String(seq).padStart(5, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Static methods
+orderSchema.statics.findByOrderNumber = function(orderNumber) {
+  return this.findOne({ orderNumber: orderNumber.toUpperCase() });
+};
+
+export default mongoose.model('Order', orderSchema);
@@ -0,0 +1,78 @@
+// models/Payment.js
+import mongoose from 'mongoose';
+
+export const PAYMENT_TRANSACTION_STATUSES = [
+  'pending',
+  'authorized',
+  'captured',
+  'failed',
+  'partially_refunded',
+  'refunded'
+];
+
+// One document per provider transaction on an order
+const paymentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  provider: {
+    type: String,
+    required: [true, 'Payment provider is required']
+  },
+  transactionId: {
+    type: String,
+    required: [true, 'Transaction ID is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_TRANSACTION_STATUSES,
+    default: 'pending'
+  },
+  capturedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Provider refund IDs already counted in refundedAmount
+  refundIds: {
+    type: [String],
+    default: []
+  },
+  failureMessage: String,
+  authorizedAt: Date,
+  capturedAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+paymentSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+paymentSchema.index({ provider: 1, transactionId: 1 }, { unique: true });
+paymentSchema.index({ order: 1, createdAt: -1 });
+
+export default mongoose.model('Payment', paymentSchema);
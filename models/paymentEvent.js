@@ -0,0 +1,63 @@
+// models/PaymentEvent.js
+import mongoose from 'mongoose';
+
+export const PAYMENT_EVENT_STATUSES = [
+  'received',
+  'processing',
+  'processed',
+  'ignored',
+  'failed'
+];
+
+// Every webhook event received from a payment provider, kept for auditing and deduplication
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Payment provider is required']
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  transactionId: String,
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_EVENT_STATUSES,
+    default: 'received'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  processedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+paymentEventSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('PaymentEvent', paymentEventSchema);
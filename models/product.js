@@ -247,7 +247,7 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Number of reviews cannot be negative']
   },
   
-  // Wishlist count
+  // Wishlist count (derived from Wishlist entries, see Wishlist.syncProductCount)
   wishlistCount: {
     type: Number,
     default: 0,
@@ -520,27 +520,73 @@ productSchema.statics.findByAvailability = function(status) {
   return this.find({ availabilityStatus: status, isActive: true });
 };
 
+// Atomically decrement stock for a product (and variant if given).
+// Resolves to null when there is not enough stock, so concurrent checkouts can never oversell.
+productSchema.statics.reserveStock = async function(productId, quantity, variantId) {
+  const filter = { _id: productId, countInStock: { $gte: quantity } };
+  const update = { $inc: { countInStock: -quantity } };
+
+  if (variantId) {
+    filter.variants = { $elemMatch: { _id: variantId, isActive: true, stock: { $gte: quantity } } };
+    update.$inc['variants.$.stock'] = -quantity;
+  }
+
+  const product = await this.findOneAndUpdate(filter, update, { new: true });
+  if (product) await product.syncAvailabilityStatus();
+
+  return product;
+};
+
+// Atomically put stock back for a product (and variant if it still exists)
+productSchema.statics.releaseStock = async function(productId, quantity, variantId) {
+  let product = null;
+
+  if (variantId) {
+    product = await this.findOneAndUpdate(
+      { _id: productId, 'variants._id': variantId },
+      { $inc: { countInStock: quantity, 'variants.$.stock': quantity } },
+      { new: true }
+    );
+  }
+
+  if (!product) {
+    product = await this.findOneAndUpdate(
+      { _id: productId },
+      { $inc: { countInStock: quantity } },
+      { new: true }
+    );
+  }
+
+  if (product) await product.syncAvailabilityStatus();
+
+  return product;
+};
+
 // Instance methods
 productSchema.methods.updateStock = function(quantity) {
   this.countInStock = Math.max(0, this.countInStock + quantity);
   return this.save();
 };
 
-productSchema.methods.addToWishlist = function() {
-  this.wishlistCount += 1;
-  return this.save();
-};
+// Statuses that are derived from stock levels (others are set manually and left alone)
+const STOCK_DERIVED_STATUSES = ['in_stock', 'low_stock', 'out_of_stock'];
 
-productSchema.methods.removeFromWishlist = function() {
-  this.wishlistCount = Math.max(0, this.wishlistCount - 1);
-  return this.save();
-};
+productSchema.methods.syncAvailabilityStatus = async function() {
+  if (!STOCK_DERIVED_STATUSES.includes(this.availabilityStatus)) return this;
 
-productSchema.methods.updateRating = function(newRating) {
-  const totalRating = this.rating * this.numReviews + newRating;
-  this.numReviews += 1;
-  this.rating = totalRating / this.numReviews;
-  return this.save();
+  let status = 'in_stock';
+  if (this.countInStock === 0) {
+    status = 'out_of_stock';
+  } else if (this.countInStock <= this.lowStockThreshold) {
+    status = 'low_stock';
+  }
+
+  if (status !== this.availabilityStatus) {
+    this.availabilityStatus = status;
+    await this.constructor.updateOne({ _id: this._id }, { availabilityStatus: status });
+  }
+
+  return this;
 };
 
 export default mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -0,0 +1,196 @@
+// models/Promotion.js
+import mongoose from 'mongoose';
+
+export const PROMOTION_TYPES = ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'];
+
+// Which products a promotion applies to. Empty targets mean the whole order.
+const targetSchema = new mongoose.Schema({
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  subCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubCategory'
+  }],
+  brands: [{
+    type: String,
+    trim: true
+  }],
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }]
+}, { _id: false });
+
+// A promotion with a code is a coupon; without a code it applies automatically
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true,
+    maxlength: [30, 'Coupon code cannot exceed 30 characters']
+  },
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: [true, 'Promotion type is required']
+  },
+  // Percentage (0-100) for percentage promotions, amount for fixed promotions
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative']
+  },
+  // Cap for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Buy X get Y: for every buyQuantity units, getQuantity more units get getDiscountPercent off
+  buyQuantity: {
+    type: Number,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+  getQuantity: {
+    type: Number,
+    min: [1, 'Get quantity must be at least 1']
+  },
+  getDiscountPercent: {
+    type: Number,
+    default: 100,
+    min: [1, 'Discount must be at least 1%'],
+    max: [100, 'Discount cannot exceed 100%']
+  },
+  targets: {
+    type: targetSchema,
+    default: () => ({})
+  },
+
+  // Conditions
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order value cannot be negative']
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: Date,
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per user limit must be at least 1']
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+promotionSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// Virtual for whether the promotion applies automatically
+promotionSchema.virtual('isAutomatic').get(function () {
+  return !this.code;
+});
+
+// Virtual for whether the promotion has any product targeting
+promotionSchema.virtual('isTargeted').get(function () {
+  const targets = this.targets || {};
+  return ['categories', 'subCategories', 'brands', 'tags', 'products']
+    .some(key => (targets[key] || []).length > 0);
+});
+
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+// Pre-validate middleware to check type-specific fields
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (!this.value || this.value > 100)) {
+    this.invalidate('value', 'Percentage must be between 1 and 100');
+  }
+
+  if (this.type === 'fixed' && !this.value) {
+    this.invalidate('value', 'Fixed discount amount is required');
+  }
+
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Buy and get quantities are required for buy X get Y promotions');
+  }
+
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+
+  next();
+});
+
+// Instance method to check whether a product is targeted by this promotion
+promotionSchema.methods.appliesToProduct = function(product) {
+  if (!this.isTargeted) return true;
+
+  const targets = this.targets;
+  const hasId = (ids, id) => !!id && ids.some(target => target.equals(id._id || id));
+
+  return hasId(targets.products, product._id) ||
+    hasId(targets.categories, product.category) ||
+    hasId(targets.subCategories, product.subCategory) ||
+    (!!product.brand && targets.brands.some(brand => brand.toLowerCase() === product.brand.toLowerCase())) ||
+    (product.tags || []).some(tag => targets.tags.includes(String(tag).toLowerCase()));
+};
+
+// Static method to find promotions that are currently running
+promotionSchema.statics.findRunning = function(filter = {}) {
+  const now = new Date();
+  return this.find({
+    ...filter,
+    isActive: true,
+    startsAt: { $lte: now },
+    $or: [{ endsAt: null }, { endsAt: { $gt: now } }]
+  });
+};
+
+// Static method to find a coupon by its code
+promotionSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+export default mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,34 @@
+// models/PromotionRedemption.js
+import mongoose from 'mongoose';
+
+// One document per promotion used by an order, for per-user limits and reporting
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: [true, 'Promotion is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  code: String,
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+promotionRedemptionSchema.index({ promotion: 1, user: 1 });
+promotionRedemptionSchema.index({ order: 1 });
+
+export default mongoose.model('PromotionRedemption', promotionRedemptionSchema);
@@ -0,0 +1,49 @@
+// models/Refund.js
+import mongoose from 'mongoose';
+
+// Append-only record of money given back on an order
+const refundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be positive']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Empty for refunds reported by the payment provider
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the money was sent back through a payment provider
+  provider: String,
+  providerRefundId: String,
+  // Order payment status after this refund
+  paymentStatus: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+refundSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+refundSchema.index({ order: 1, createdAt: 1 });
+refundSchema.index({ providerRefundId: 1 }, { sparse: true });
+
+export default mongoose.model('Refund', refundSchema);
@@ -0,0 +1,168 @@
+// models/ReturnRequest.js
+import mongoose from 'mongoose';
+import Counter from './counter.js';
+
+export const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunded', 'closed'];
+export const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+// Statuses each status may move to; rejected, refunded and closed are final
+export const RETURN_STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'refunded', 'rejected'],
+  received: ['refunded', 'closed'],
+  rejected: [],
+  refunded: [],
+  closed: []
+};
+
+// Statuses whose items count against what can still be returned
+export const OPEN_RETURN_STATUSES = ['requested', 'approved', 'received', 'refunded', 'closed'];
+
+// Sub-schema for a returned order item
+const returnItemSchema = new mongoose.Schema({
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem',
+    required: [true, 'Order item is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  name: String,
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: [true, 'Return reason is required']
+  },
+  // Set when the goods are received back
+  restocked: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Sub-schema for a status change
+const returnHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'At least one item is required'
+    }
+  },
+  customerNote: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    default: 'requested'
+  },
+  history: [returnHistorySchema],
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Lifecycle timestamps
+  approvedAt: Date,
+  rejectedAt: Date,
+  receivedAt: Date,
+  refundedAt: Date,
+  closedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+returnRequestSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ status: 1, createdAt: 1 });
+
+// Pre-validate middleware to assign an RMA number, e.g. RMA-20250119-00042
+returnRequestSchema.pre('validate', async function(next) {
+  if (!this.isNew) return next();
+
+  if (this.history.length === 0) {
+    this.history.push({ status: this.status, changedBy: this.user, note: this.customerNote });
+  }
+
+  if (this.rmaNumber) return next();
+
+  try {
+    const seq = await Counter.next('rmaNumber');
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    this.rmaNumber = `RMA-${date}-${String(seq).padStart(5, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance method to check whether the return may move to a status
+returnRequestSchema.methods.canTransitionTo = function(status) {
+  return (RETURN_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Static method to total the quantities already requested per order item
+returnRequestSchema.statics.returnedQuantities = async function(orderId) {
+  const totals = await this.aggregate([
+    { $match: { order: new mongoose.Types.ObjectId(String(orderId)), status: { $in: OPEN_RETURN_STATUSES } } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.orderItem', quantity: { $sum: '$items.quantity' } } }
+  ]);
+
+  return new Map(totals.map(({ _id, quantity }) => [String(_id), quantity]));
+};
+
+export default mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,99 @@
+// models/Review.js
+import mongoose from 'mongoose';
+import Product from './product.js';
+import Order from './order.js';
+import OrderItem from './order-Item.js';
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot exceed 5']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Review title cannot exceed 100 characters']
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters']
+  },
+  // Set when the author has a delivered order containing this product
+  isVerifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
+
+  // Moderation
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Moderation note cannot exceed 500 characters']
+  },
+  editedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+reviewSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// One review per user per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+// Static method to check whether a user has received this product in a delivered order
+reviewSchema.statics.hasVerifiedPurchase = async function(userId, productId) {
+  const orders = await Order.find({ user: userId, status: 'Delivered' }).select('orderItems');
+  if (orders.length === 0) return false;
+
+  const itemIds = orders.flatMap(order => order.orderItems);
+  return !!(await OrderItem.exists({ _id: { $in: itemIds }, product: productId }));
+};
+
+// Static method to recompute a product's rating and numReviews from approved reviews
+reviewSchema.statics.syncProductRating = async function(productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+    { $group: { _id: '$product', rating: { $avg: '$rating' }, numReviews: { $sum: 1 } } }
+  ]);
+
+  const rating = stats ? stats.rating : 0;
+  const numReviews = stats ? stats.numReviews : 0;
+
+  await Product.updateOne({ _id: productId }, { rating, numReviews });
+
+  return { rating, numReviews };
+};
+
+export default mongoose.model('Review', reviewSchema);
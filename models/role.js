@@ -0,0 +1,58 @@
+// models/Role.js
+import mongoose from 'mongoose';
+
+// Everything a role can be allowed to do
+export const PERMISSIONS = [
+  'catalog.view', // see inactive products and catalog statistics
+  'catalog.edit',
+  'catalog.delete',
+  'orders.refund',
+  'roles.manage',
+  'users.manage',
+];
+
+// Admins hold every permission, so no role may take this name
+export const SUPER_ADMIN_ROLE = 'admin';
+
+// A named set of permissions. Users get the permissions of their account role
+// (customer, seller) when a role of that name exists, plus those of every
+// role in their roles list.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    immutable: true,
+    match: [/^[a-z][a-z0-9-]{1,49}$/, 'Role name may only contain lowercase letters, numbers and hyphens'],
+    validate: {
+      validator: (value) => value !== SUPER_ADMIN_ROLE,
+      message: `The ${SUPER_ADMIN_ROLE} role is built in and cannot be redefined`
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  permissions: {
+    type: [String],
+    enum: PERMISSIONS,
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+export default mongoose.model('Role', roleSchema);
@@ -0,0 +1,43 @@
+// models/SecurityPolicy.js
+import mongoose from 'mongoose';
+
+const POLICY_KEY = 'default';
+
+// Store-wide security settings, kept in a single document
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: POLICY_KEY,
+    unique: true
+  },
+  // Users with any of these roles, account roles or Role names, must set up
+  // two-factor authentication to log in
+  twoFactorRequiredRoles: {
+    type: [String],
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Static method to get the policy, with defaults when none has been saved
+securityPolicySchema.statics.getPolicy = async function() {
+  return (await this.findOne({ key: POLICY_KEY })) || new this({ key: POLICY_KEY });
+};
+
+// Static method to change the policy
+securityPolicySchema.statics.updatePolicy = function(changes, updatedBy) {
+  return this.findOneAndUpdate(
+    { key: POLICY_KEY },
+    { ...changes, updatedBy },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+export default mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,69 @@
+// models/Session.js
+import mongoose from 'mongoose';
+
+export const SESSION_REVOKE_REASONS = ['logout', 'reuse_detected', 'password_reset', 'password_change', 'signed_out_by_user', 'account_deactivated'];
+
+// A login and the family of refresh tokens issued for it. Only the latest
+// refresh token (tokenId) is valid; presenting an older one revokes the session.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // jti of the current refresh token
+  tokenId: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Device the session was started on
+  device: {
+    type: String,
+    enum: ['mobile', 'tablet', 'desktop'],
+    default: 'desktop'
+  },
+  browser: String,
+  os: String,
+  userAgent: String,
+  ipAddress: String,
+  // Address the session was last refreshed from
+  lastIpAddress: String,
+  rememberMe: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: SESSION_REVOKE_REASONS
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+sessionSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// Virtual for whether refresh tokens of this session are still accepted
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Remove sessions a day after they can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('Session', sessionSchema);
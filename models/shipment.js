@@ -0,0 +1,94 @@
+// models/Shipment.js
+import mongoose from 'mongoose';
+
+export const SHIPMENT_STATUSES = ['shipped', 'in_transit', 'delivered'];
+// Statuses each status may move to; delivered is final
+export const SHIPMENT_STATUS_TRANSITIONS = {
+  shipped: ['in_transit', 'delivered'],
+  in_transit: ['delivered'],
+  delivered: []
+};
+
+// Sub-schema for the quantity of an order item packed in this shipment
+const shipmentItemSchema = new mongoose.Schema({
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem',
+    required: [true, 'Order item is required']
+  },
+  name: String,
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  }
+}, { _id: false });
+
+// One box/parcel sent for an order
+const shipmentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  items: {
+    type: [shipmentItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A shipment must contain at least one item'
+    }
+  },
+  carrier: {
+    type: String,
+    required: [true, 'Carrier is required'],
+    trim: true,
+    maxlength: [100, 'Carrier cannot exceed 100 characters']
+  },
+  trackingNumber: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Tracking number cannot exceed 100 characters']
+  },
+  trackingUrl: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'shipped'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  shippedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+shipmentSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// Instance method to check whether the shipment may move to a status
+shipmentSchema.methods.canTransitionTo = function(status) {
+  return (SHIPMENT_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+shipmentSchema.index({ order: 1, createdAt: 1 });
+shipmentSchema.index({ trackingNumber: 1 });
+
+export default mongoose.model('Shipment', shipmentSchema);
@@ -0,0 +1,133 @@
+// models/ShippingZone.js
+import mongoose from 'mongoose';
+
+export const SHIPPING_METHOD_TYPES = ['flat_rate', 'weight_based', 'dimensional_weight', 'free_over_threshold'];
+
+// Matches any country not covered by a more specific zone
+export const REST_OF_WORLD = '*';
+
+// Sub-schema for a shipping method offered in a zone.
+// Weights are in kg and dimensions in cm, matching Product.shipping.
+const shippingMethodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Method name is required'],
+    trim: true,
+    maxlength: [100, 'Method name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: SHIPPING_METHOD_TYPES,
+    required: [true, 'Method type is required']
+  },
+  // Flat price, base price for weight pricing, or price below the free threshold
+  baseRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Base rate cannot be negative']
+  },
+  ratePerKg: {
+    type: Number,
+    default: 0,
+    min: [0, 'Rate per kg cannot be negative']
+  },
+  // cm³ per kg used to turn volume into dimensional weight
+  dimensionalDivisor: {
+    type: Number,
+    default: 5000,
+    min: [1, 'Dimensional divisor must be at least 1']
+  },
+  freeThreshold: {
+    type: Number,
+    min: [0, 'Free shipping threshold cannot be negative']
+  },
+  maxWeight: {
+    type: Number,
+    min: [0, 'Maximum weight cannot be negative']
+  },
+  // Limit the method to these Product.shipping.shippingClass values (empty means any)
+  shippingClasses: [{
+    type: String,
+    trim: true
+  }],
+  estimatedDays: {
+    min: { type: Number, min: 0 },
+    max: { type: Number, min: 0 }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+  // Country names or codes as they appear in shipping addresses, or "*" for rest of world
+  countries: [{
+    type: String,
+    trim: true,
+    uppercase: true
+  }],
+  // Optional states/regions within those countries (empty means the whole country)
+  regions: [{
+    type: String,
+    trim: true,
+    uppercase: true
+  }],
+  methods: [shippingMethodSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+shippingZoneSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+shippingZoneSchema.index({ countries: 1, isActive: 1 });
+
+// Pre-validate middleware to require at least one country
+shippingZoneSchema.pre('validate', function(next) {
+  if (!this.countries || this.countries.length === 0) {
+    this.invalidate('countries', 'At least one country is required');
+  }
+
+  (this.methods || []).forEach((method, index) => {
+    if (method.type === 'free_over_threshold' && method.freeThreshold === undefined) {
+      this.invalidate(`methods.${index}.freeThreshold`, 'Free shipping threshold is required');
+    }
+  });
+
+  next();
+});
+
+// Static method to find the most specific active zone for an address
+shippingZoneSchema.statics.findForAddress = async function(country, region) {
+  const zones = await this.find({
+    isActive: true,
+    countries: { $in: [country, REST_OF_WORLD] }
+  });
+
+  // Region zones beat country zones, which beat the rest-of-world zone
+  const score = (zone) => {
+    if (!zone.countries.includes(country)) return 0;
+    return zone.regions.length > 0 ? 2 : 1;
+  };
+
+  return zones
+    .filter(zone => zone.regions.length === 0 || zone.regions.includes(region))
+    .sort((a, b) => score(b) - score(a))[0] || null;
+};
+
+export default mongoose.model('ShippingZone', shippingZoneSchema);
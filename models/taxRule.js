@@ -0,0 +1,78 @@
+// models/TaxRule.js
+import mongoose from 'mongoose';
+
+// Exempt products are never taxed, so rules only exist for the other classes
+export const TAX_RULE_CLASSES = ['standard', 'reduced', 'zero'];
+
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rule name is required'],
+    trim: true,
+    maxlength: [100, 'Tax rule name cannot exceed 100 characters']
+  },
+  // Country and region are matched case-insensitively against the shipping address
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true,
+    uppercase: true
+  },
+  // Empty region means the rule applies to the whole country
+  region: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: ''
+  },
+  taxClass: {
+    type: String,
+    enum: TAX_RULE_CLASSES,
+    default: 'standard'
+  },
+  // Optional Product.taxInfo.taxCategory this rule is limited to (e.g. "books")
+  taxCategory: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Tax rate is required'],
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100%']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+taxRuleSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// Only one rule per jurisdiction, class and category
+taxRuleSchema.index({ country: 1, region: 1, taxClass: 1, taxCategory: 1 }, { unique: true });
+
+// Pre-save middleware to keep zero-rated rules at 0%
+taxRuleSchema.pre('save', function(next) {
+  if (this.taxClass === 'zero') {
+    this.rate = 0;
+  }
+  next();
+});
+
+// Static method to get the active rules for a country, including all its regions
+taxRuleSchema.statics.findForCountry = function(country) {
+  if (!country) return Promise.resolve([]);
+  return this.find({ country: String(country).trim().toUpperCase(), isActive: true });
+};
+
+export default mongoose.model('TaxRule', taxRuleSchema);
@@ -3,6 +3,13 @@ import bcryptjs from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 
+export const SUPPORTED_LOCALES = ['en', 'es', 'fr'];
+// Account types; permissions come from roles, see models/role.js
+export const USER_ROLES = ['customer', 'admin', 'seller'];
+// Kinds of email a user can opt in to or out of
+export const EMAIL_CATEGORIES = ['newsletter', 'priceDrops', 'backInStock', 'orderUpdates'];
+export const MARKETING_EMAIL_CATEGORIES = ['newsletter', 'priceDrops', 'backInStock'];
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -38,9 +45,14 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['customer', 'admin', 'seller'],
+    enum: USER_ROLES,
     default: 'customer',
   },
+  // Extra roles on top of the account role, by Role name
+  roles: {
+    type: [String],
+    default: [],
+  },
   isVerified: {
     type: Boolean,
     default: false,
@@ -68,6 +80,12 @@ const userSchema = new mongoose.Schema({
   // Password reset
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Set by an admin; password login is refused until the password is reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false,
+  },
+  deactivatedAt: Date,
   // Login attempts and account locking
   loginAttempts: {
     type: Number,
@@ -85,11 +103,49 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
-  // Marketing preferences
+  // Marketing preferences. This single opt-in predates emailPreferences and is
+  // only used for marketing categories the user hasn't chosen yet.
   marketingEmails: {
     type: Boolean,
     default: true,
   },
+  // Per-category opt-ins; unset categories fall back to the defaults in getEmailPreferences
+  emailPreferences: {
+    newsletter: Boolean,
+    priceDrops: Boolean,
+    backInStock: Boolean,
+    orderUpdates: Boolean,
+  },
+  // Two-factor authentication (TOTP). Secrets are encrypted, recovery codes hashed.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorEnabledAt: Date,
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  // Secret generated by setup, until the first code confirms it
+  twoFactorPendingSecret: {
+    type: String,
+    select: false,
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  // Time step of the last accepted code, so a code can't be used twice
+  twoFactorLastStep: {
+    type: Number,
+    select: false,
+  },
+  // Language for emails and documents
+  locale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: 'en',
+  },
 }, {
   timestamps: true,
   toJSON: {
@@ -101,6 +157,10 @@ const userSchema = new mongoose.Schema({
       delete ret.emailVerificationExpire;
       delete ret.loginAttempts;
       delete ret.lockUntil;
+      delete ret.twoFactorSecret;
+      delete ret.twoFactorPendingSecret;
+      delete ret.twoFactorRecoveryCodes;
+      delete ret.twoFactorLastStep;
       delete ret.__v;
       return ret;
     },
@@ -112,6 +172,8 @@ const userSchema = new mongoose.Schema({
 // userSchema.index({ phone: 1 });
 userSchema.index({ isVerified: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ roles: 1 });
+userSchema.index({ role: 1, isActive: 1 });
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
@@ -139,6 +201,25 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// Instance method to get the effective opt-in for every email category
+userSchema.methods.getEmailPreferences = function() {
+  return Object.fromEntries(EMAIL_CATEGORIES.map(category => {
+    const chosen = this.emailPreferences?.[category];
+    if (typeof chosen === 'boolean') return [category, chosen];
+    return [category, category === 'orderUpdates' ? true : Boolean(this.marketingEmails)];
+  }));
+};
+
+// Instance method to check whether the user wants emails of a category
+userSchema.methods.wantsEmail = function(category) {
+  return this.getEmailPreferences()[category] === true;
+};
+
+// Instance method to list every role the user holds
+userSchema.methods.getRoleNames = function() {
+  return [...new Set([this.role, ...(this.roles || [])])];
+};
+
 // Instance method to check password
 userSchema.methods.matchPassword = async function(enteredPassword) {
   if (!this.password) return false;
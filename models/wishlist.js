@@ -0,0 +1,79 @@
+// models/Wishlist.js
+import mongoose from 'mongoose';
+import Product from './product.js';
+
+// One document per (user, product) pair
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for id
+wishlistSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+
+// A product can only be on a user's wishlist once
+wishlistSchema.index({ user: 1, product: 1 }, { unique: true });
+wishlistSchema.index({ user: 1, createdAt: -1 });
+wishlistSchema.index({ product: 1 });
+
+// Static method to add a product to a user's wishlist (no-op if already there)
+wishlistSchema.statics.addEntry = async function(userId, productId) {
+  try {
+    await this.updateOne(
+      { user: userId, product: productId },
+      { $setOnInsert: { user: userId, product: productId } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent request inserted the same entry first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Static method to remove a product from a user's wishlist (no-op if not there)
+wishlistSchema.statics.removeEntry = function(userId, productId) {
+  return this.deleteOne({ user: userId, product: productId });
+};
+
+// Static method to set a product's wishlistCount from the real entries
+wishlistSchema.statics.syncProductCount = async function(productId) {
+  const count = await this.countDocuments({ product: productId });
+  await Product.updateOne({ _id: productId }, { wishlistCount: count });
+  return count;
+};
+
+// Static method to recompute wishlistCount for every product
+wishlistSchema.statics.syncAllProductCounts = async function() {
+  const counts = await this.aggregate([
+    { $group: { _id: '$product', count: { $sum: 1 } } }
+  ]);
+
+  if (counts.length > 0) {
+    await Product.bulkWrite(counts.map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { wishlistCount: count } }
+    })));
+  }
+
+  const reset = await Product.updateMany(
+    { _id: { $nin: counts.map(({ _id }) => _id) }, wishlistCount: { $ne: 0 } },
+    { wishlistCount: 0 }
+  );
+
+  return { productsWithEntries: counts.length, productsReset: reset.modifiedCount };
+};
+
+export default mongoose.model('Wishlist', wishlistSchema);
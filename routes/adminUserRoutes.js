@@ -0,0 +1,94 @@
+// routes/adminUserRoutes.js
+import express from 'express';
+import AdminUserController from '../controllers/AdminUserController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+  validateUserQuery,
+  validateUserOrdersQuery,
+  validateUserRoleChange
+} from '../middleware/adminUserValidation.js';
+import { validateObjectId } from '../middleware/orderValidation.js';
+import { sanitizeInput } from '../middleware/security.js';
+
+const router = express.Router();
+
+router.use(protect, requirePermission('users.manage'));
+
+// desc    List users
+// route   GET /api/auth/admin/users
+// access  Private (users.manage)
+router.get('/',
+  sanitizeInput,
+  validateUserQuery,
+  AdminUserController.getUsers
+);
+
+// desc    Get a user's profile
+// route   GET /api/auth/admin/users/:id
+// access  Private (users.manage)
+router.get('/:id',
+  validateObjectId('id'),
+  AdminUserController.getUser
+);
+
+// desc    Get a user's orders
+// route   GET /api/auth/admin/users/:id/orders
+// access  Private (users.manage)
+router.get('/:id/orders',
+  validateObjectId('id'),
+  validateUserOrdersQuery,
+  AdminUserController.getUserOrders
+);
+
+// desc    Change a user's roles
+// route   PUT /api/auth/admin/users/:id/roles
+// access  Private (users.manage, roles.manage)
+router.put('/:id/roles',
+  requirePermission('roles.manage'),
+  validateObjectId('id'),
+  sanitizeInput,
+  validateUserRoleChange,
+  AdminUserController.updateUserRoles
+);
+
+// desc    Deactivate a user
+// route   PUT /api/auth/admin/users/:id/deactivate
+// access  Private (users.manage)
+router.put('/:id/deactivate',
+  validateObjectId('id'),
+  AdminUserController.deactivateUser
+);
+
+// desc    Reactivate a user
+// route   PUT /api/auth/admin/users/:id/reactivate
+// access  Private (users.manage)
+router.put('/:id/reactivate',
+  validateObjectId('id'),
+  AdminUserController.reactivateUser
+);
+
+// desc    Unlock a user locked out by failed logins
+// route   PUT /api/auth/admin/users/:id/unlock
+// access  Private (users.manage)
+router.put('/:id/unlock',
+  validateObjectId('id'),
+  AdminUserController.unlockUser
+);
+
+// desc    Force a password reset
+// route   POST /api/auth/admin/users/:id/force-password-reset
+// access  Private (users.manage)
+router.post('/:id/force-password-reset',
+  validateObjectId('id'),
+  AdminUserController.forcePasswordReset
+);
+
+// desc    Resend the verification email
+// route   POST /api/auth/admin/users/:id/resend-verification
+// access  Private (users.manage)
+router.post('/:id/resend-verification',
+  validateObjectId('id'),
+  AdminUserController.resendVerification
+);
+
+export default router;
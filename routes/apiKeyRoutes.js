@@ -0,0 +1,62 @@
+// routes/apiKeyRoutes.js
+import express from 'express';
+import ApiKeyController from '../controllers/ApiKeyController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validateCreateApiKey, validateUpdateApiKey } from '../middleware/apiKeyValidation.js';
+import { validateObjectId } from '../middleware/orderValidation.js';
+import { sanitizeInput } from '../middleware/security.js';
+
+const router = express.Router();
+
+// Keys can't be managed with a key
+router.use(protect, authorize('admin'));
+
+// desc    List API keys
+// route   GET /api/api-keys
+// access  Private/Admin
+router.get('/', ApiKeyController.getApiKeys);
+
+// desc    Create an API key
+// route   POST /api/api-keys
+// access  Private/Admin
+router.post('/',
+  sanitizeInput,
+  validateCreateApiKey,
+  ApiKeyController.createApiKey
+);
+
+// desc    Get an API key
+// route   GET /api/api-keys/:id
+// access  Private/Admin
+router.get('/:id',
+  validateObjectId('id'),
+  ApiKeyController.getApiKey
+);
+
+// desc    Update an API key
+// route   PUT /api/api-keys/:id
+// access  Private/Admin
+router.put('/:id',
+  validateObjectId('id'),
+  sanitizeInput,
+  validateUpdateApiKey,
+  ApiKeyController.updateApiKey
+);
+
+// desc    Rotate an API key
+// route   POST /api/api-keys/:id/rotate
+// access  Private/Admin
+router.post('/:id/rotate',
+  validateObjectId('id'),
+  ApiKeyController.rotateApiKey
+);
+
+// desc    Revoke an API key
+// route   DELETE /api/api-keys/:id
+// access  Private/Admin
+router.delete('/:id',
+  validateObjectId('id'),
+  ApiKeyController.revokeApiKey
+);
+
+export default router;
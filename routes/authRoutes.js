@@ -13,6 +13,9 @@ import {
   refreshToken,
   sendVerificationCodeEmail,
   verifyCode,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
 } from "../controllers/authController.js";
 
 import {
@@ -26,6 +29,17 @@ import {
   unlinkFacebookAccount,
 } from "../controllers/socialAuthController.js";
 
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  verifyTwoFactorLogin,
+  resetRecoveryCodes,
+  turnOffTwoFactor,
+  getSecurityPolicy,
+  updateSecurityPolicy,
+} from "../controllers/twoFactorController.js";
+
 import {
   validateRegister,
   validateLogin,
@@ -36,9 +50,14 @@ import {
   validateChangePassword,
   validateUpdateProfile,
   validateVerificationCode,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateDisableTwoFactor,
+  validateSecurityPolicy,
 } from "../middleware/User-Validation.js";
+import { validateObjectId } from "../middleware/orderValidation.js";
 
-import { protect, requireVerification, authorize } from "../middleware/auth.js";
+import { protect, protectOrTwoFactorEnrollment, requireVerification, authorize } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -71,6 +90,34 @@ router.put("/change-password", protect, validateChangePassword, changePassword);
 router.post("/send-verification-code", protect, sendVerificationCodeEmail);
 router.post("/verify-code", protect, validateVerificationCode, verifyCode);
 
+// Protected routes - Sessions and devices
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions", protect, revokeOtherSessions);
+router.delete(
+  "/sessions/:sessionId",
+  protect,
+  validateObjectId("sessionId"),
+  revokeSessionById
+);
+
+// Two-factor authentication
+router.post("/2fa/verify", validateTwoFactorLogin, verifyTwoFactorLogin);
+router.get("/2fa", protect, getTwoFactorStatus);
+router.post("/2fa/setup", protectOrTwoFactorEnrollment, setupTwoFactor);
+router.post("/2fa/enable", protectOrTwoFactorEnrollment, validateTwoFactorCode, confirmTwoFactor);
+router.post("/2fa/recovery-codes", protect, validateTwoFactorCode, resetRecoveryCodes);
+router.post("/2fa/disable", protect, validateDisableTwoFactor, turnOffTwoFactor);
+
+// Admin routes - Security policy
+router.get("/security-policy", protect, authorize("admin"), getSecurityPolicy);
+router.put(
+  "/security-policy",
+  protect,
+  authorize("admin"),
+  validateSecurityPolicy,
+  updateSecurityPolicy
+);
+
 // Social Authentication Routes - Google
 router.get("/google", googleAuth);
 router.get("/google/callback", googleCallback);
@@ -85,12 +132,6 @@ router.post("/link-facebook", protect, linkFacebookAccount);
 router.delete("/unlink-google", protect, unlinkGoogleAccount);
 router.delete("/unlink-facebook", protect, unlinkFacebookAccount);
 
-// Admin routes (example)
-router.get("/admin/users", protect, authorize("admin"), async (req, res) => {
-  // This would be in a separate admin controller
-  res.json({ message: "Admin users endpoint" });
-});
-
 // Health check for auth service
 router.get("/health", (req, res) => {
   res.json({
@@ -0,0 +1,92 @@
+// routes/cartRoutes.js
+import express from 'express';
+import CartController from '../controllers/CartController.js';
+import { protect, optionalAuth } from '../middleware/auth.js';
+import {
+  validateAddToCart,
+  validateUpdateCartItem,
+  validateCartItemId,
+  validateApplyCoupon,
+  validateTaxLocation
+} from '../middleware/cartValidation.js';
+import { sanitizeInput } from '../middleware/security.js';
+
+const router = express.Router();
+
+// Guests are identified by the X-Cart-Token header, logged in users by their JWT.
+// Every endpoint returns the priced cart; ?country=&region= select the tax location.
+
+// desc    Get current cart
+// route   GET /api/cart
+// access  Public (guest token) or Private
+router.get('/',
+  optionalAuth,
+  validateTaxLocation,
+  CartController.getCart
+);
+
+// desc    Clear cart
+// route   DELETE /api/cart
+// access  Public (guest token) or Private
+router.delete('/',
+  optionalAuth,
+  CartController.clearCart
+);
+
+// desc    Add item to cart
+// route   POST /api/cart/items
+// access  Public (guest token) or Private
+router.post('/items',
+  optionalAuth,
+  sanitizeInput,
+  validateAddToCart,
+  CartController.addItem
+);
+
+// desc    Update cart item
+// route   PUT /api/cart/items/:itemId
+// access  Public (guest token) or Private
+router.put('/items/:itemId',
+  optionalAuth,
+  sanitizeInput,
+  validateUpdateCartItem,
+  CartController.updateItem
+);
+
+// desc    Remove item from cart
+// route   DELETE /api/cart/items/:itemId
+// access  Public (guest token) or Private
+router.delete('/items/:itemId',
+  optionalAuth,
+  validateCartItemId,
+  CartController.removeItem
+);
+
+// desc    Apply coupon to cart
+// route   POST /api/cart/coupon
+// access  Public (guest token) or Private
+router.post('/coupon',
+  optionalAuth,
+  sanitizeInput,
+  validateApplyCoupon,
+  CartController.applyCoupon
+);
+
+// desc    Remove coupon from cart
+// route   DELETE /api/cart/coupon
+// access  Public (guest token) or Private
+router.delete('/coupon',
+  optionalAuth,
+  CartController.removeCoupon
+);
+
+// desc    Merge guest cart into user's cart
+// route   POST /api/cart/merge
+// access  Private
+router.post('/merge',
+  protect,
+  sanitizeInput,
+  CartController.mergeCart
+);
+
+export default router;
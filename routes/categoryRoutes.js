@@ -1,7 +1,7 @@
 // routes/categoryRoutes.js
 import express from 'express';
 import CategoryController from '../controllers/categoryController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import { 
   validateObjectId, 
   validateCategory 
@@ -32,10 +32,10 @@ router.get('/:id',
 
 // desc    Create category
 // route   POST /api/categories
-// access  Private/Admin
+// access  Private (catalog.edit)
 router.post('/', 
   protect,
-  authorize('admin'),
+  requirePermission('catalog.edit'),
   sanitizeInput,
   uploadCategoryImage.single('icon'),
   validateCategory,
@@ -45,10 +45,10 @@ router.post('/',
 
 // desc    Update category
 // route   PUT /api/categories/:id
-// access  Private/Admin
+// access  Private (catalog.edit)
 router.put('/:id', 
   protect,
-  authorize('admin'),
+  requirePermission('catalog.edit'),
   validateObjectId('id'),
   sanitizeInput,
   uploadCategoryImage.single('icon'),
@@ -59,10 +59,10 @@ router.put('/:id',
 
 // desc    Delete category
 // route   DELETE /api/categories/:id
-// access  Private/Admin
+// access  Private (catalog.delete)
 router.delete('/:id', 
   protect,
-  authorize('admin'),
+  requirePermission('catalog.delete'),
   validateObjectId('id'),
   CategoryController.deleteCategory
 );
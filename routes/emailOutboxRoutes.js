@@ -0,0 +1,36 @@
+// routes/emailOutboxRoutes.js
+import express from 'express';
+import EmailOutboxController from '../controllers/EmailOutboxController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validateOutboxQuery } from '../middleware/emailOutboxValidation.js';
+import { validateObjectId } from '../middleware/orderValidation.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('admin'));
+
+// desc    List outbox messages
+// route   GET /api/email-outbox
+// access  Private/Admin
+router.get('/',
+  validateOutboxQuery,
+  EmailOutboxController.getMessages
+);
+
+// desc    Get an outbox message
+// route   GET /api/email-outbox/:id
+// access  Private/Admin
+router.get('/:id',
+  validateObjectId('id'),
+  EmailOutboxController.getMessage
+);
+
+// desc    Resend a failed message
+// route   POST /api/email-outbox/:id/resend
+// access  Private/Admin
+router.post('/:id/resend',
+  validateObjectId('id'),
+  EmailOutboxController.resendMessage
+);
+
+export default router;
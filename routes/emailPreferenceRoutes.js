@@ -0,0 +1,56 @@
+// routes/emailPreferenceRoutes.js
+import express from 'express';
+import EmailPreferenceController from '../controllers/EmailPreferenceController.js';
+import { protect } from '../middleware/auth.js';
+import {
+  validateUpdatePreferences,
+  validatePreferenceToken,
+  validateUpdatePreferencesByToken
+} from '../middleware/emailPreferenceValidation.js';
+
+const router = express.Router();
+
+// desc    Unsubscribe with a signed email link (one-click)
+// route   POST /api/email-preferences/unsubscribe?token=
+// access  Public
+router.post('/unsubscribe',
+  validatePreferenceToken,
+  EmailPreferenceController.unsubscribe
+);
+
+// desc    Get email preferences with a signed email link
+// route   GET /api/email-preferences/manage?token=
+// access  Public
+router.get('/manage',
+  validatePreferenceToken,
+  EmailPreferenceController.getPreferencesByToken
+);
+
+// desc    Update email preferences with a signed email link
+// route   PUT /api/email-preferences/manage?token=
+// access  Public
+router.put('/manage',
+  validateUpdatePreferencesByToken,
+  EmailPreferenceController.updatePreferencesByToken
+);
+
+// desc    Get my consent history
+// route   GET /api/email-preferences/history
+// access  Private
+router.get('/history', protect, EmailPreferenceController.getConsentHistory);
+
+// desc    Get my email preferences
+// route   GET /api/email-preferences
+// access  Private
+router.get('/', protect, EmailPreferenceController.getPreferences);
+
+// desc    Update my email preferences
+// route   PUT /api/email-preferences
+// access  Private
+router.put('/',
+  protect,
+  validateUpdatePreferences,
+  EmailPreferenceController.updatePreferences
+);
+
+export default router;
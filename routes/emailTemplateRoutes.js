@@ -0,0 +1,54 @@
+// routes/emailTemplateRoutes.js
+import express from 'express';
+import EmailTemplateController from '../controllers/EmailTemplateController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  validateTemplateQuery,
+  validateSaveTemplate,
+  validateTemplateLocale,
+  validatePreviewTemplate
+} from '../middleware/emailTemplateValidation.js';
+
+const router = express.Router();
+
+// Template bodies are HTML, so these routes don't use sanitizeInput
+router.use(protect, authorize('admin'));
+
+// desc    List email templates
+// route   GET /api/email-templates
+// access  Private/Admin
+router.get('/', EmailTemplateController.getAllTemplates);
+
+// desc    Get a template for a locale
+// route   GET /api/email-templates/:name
+// access  Private/Admin
+router.get('/:name',
+  validateTemplateQuery,
+  EmailTemplateController.getTemplate
+);
+
+// desc    Preview a template with sample data
+// route   POST /api/email-templates/:name/preview
+// access  Private/Admin
+router.post('/:name/preview',
+  validatePreviewTemplate,
+  EmailTemplateController.previewTemplate
+);
+
+// desc    Save the database version of a template
+// route   PUT /api/email-templates/:name/:locale
+// access  Private/Admin
+router.put('/:name/:locale',
+  validateSaveTemplate,
+  EmailTemplateController.saveTemplate
+);
+
+// desc    Delete the database version of a template
+// route   DELETE /api/email-templates/:name/:locale
+// access  Private/Admin
+router.delete('/:name/:locale',
+  validateTemplateLocale,
+  EmailTemplateController.deleteTemplate
+);
+
+export default router;
@@ -1,13 +1,21 @@
 // routes/orderRoutes.js
 import express from "express";
 import OrderController from "../controllers/OrderController.js";
-import { protect, authorize } from "../middleware/auth.js";
+import PaymentController from "../controllers/PaymentController.js";
+import ShipmentController from "../controllers/ShipmentController.js";
+import { protect, authorize, allowApiKey } from "../middleware/auth.js";
 import { 
   validateOrder, 
   validateOrderStatus, 
   validatePaymentStatus,
+  validatePayOrder,
+  validateOrderQuery,
   validateObjectId 
 } from '../middleware/orderValidation.js';
+import {
+  validateCreateShipment,
+  validateUpdateShipment,
+} from "../middleware/shipmentValidation.js";
 import {
   checkOrderOwnership,
   validateStockAvailability,
@@ -21,23 +29,82 @@ const router = express.Router();
 // access  Private/Admin
 router.get(
   "/",
+  allowApiKey("orders:read"),
   protect,
   authorize("admin"),
   sanitizeInput,
+  validateOrderQuery,
   OrderController.getAllOrders
 );
 
+// desc    Get user's orders
+// route   GET /api/orders/my-orders
+// access  Private
+router.get(
+  "/my-orders",
+  protect,
+  sanitizeInput,
+  validateOrderQuery,
+  OrderController.getUserOrders
+);
+
+// desc    Get order statistics
+// route   GET /api/orders/stats/overview
+// access  Private/Admin
+router.get(
+  "/stats/overview",
+  allowApiKey("orders:read"),
+  protect,
+  authorize("admin"),
+  OrderController.getOrderStats
+);
+
+// desc    Get order by order number
+// route   GET /api/orders/order-number/:orderNumber
+// access  Private (Own orders) or Admin
+router.get(
+  "/order-number/:orderNumber",
+  allowApiKey("orders:read"),
+  protect,
+  OrderController.getOrderByNumber
+);
+
 // desc    Get single order
 // route   GET /api/orders/:id
 // access  Private (Own orders) or Admin
 router.get(
   "/:id",
+  allowApiKey("orders:read"),
   protect,
   validateObjectId("id"),
   checkOrderOwnership,
   OrderController.getSingleOrder
 );
 
+// desc    Download order invoice
+// route   GET /api/orders/:id/invoice.pdf
+// access  Private (Own orders) or Admin
+router.get(
+  "/:id/invoice.pdf",
+  allowApiKey("orders:read"),
+  protect,
+  validateObjectId("id"),
+  checkOrderOwnership,
+  OrderController.getInvoice
+);
+
+// desc    Download order packing slip
+// route   GET /api/orders/:id/packing-slip.pdf
+// access  Private/Admin
+router.get(
+  "/:id/packing-slip.pdf",
+  allowApiKey("orders:read"),
+  protect,
+  authorize("admin"),
+  validateObjectId("id"),
+  OrderController.getPackingSlip
+);
+
 // desc    Create new order
 // route   POST /api/orders
 // access  Private
@@ -55,6 +122,7 @@ router.post(
 // access  Private/Admin
 router.put(
   "/:id/status",
+  allowApiKey("orders:write"),
   protect,
   authorize("admin"),
   validateObjectId("id"),
@@ -76,43 +144,92 @@ router.put(
   OrderController.updatePaymentStatus
 );
 
-// desc    Cancel order (User can cancel their own pending orders)
-// route   PUT /api/orders/:id/cancel
-// access  Private
-router.put(
-  "/:id/cancel",
+// desc    Pay for an order through its payment provider
+// route   POST /api/orders/:id/pay
+// access  Private (Own orders)
+router.post(
+  "/:id/pay",
   protect,
   validateObjectId("id"),
-  OrderController.cancelOrder
+  checkOrderOwnership,
+  sanitizeInput,
+  validatePayOrder,
+  PaymentController.payOrder
 );
 
-// desc    Get user's orders
-// route   GET /api/orders/my-orders
-// access  Private
+// desc    Capture an authorized payment
+// route   POST /api/orders/:id/capture
+// access  Private/Admin
+router.post(
+  "/:id/capture",
+  protect,
+  authorize("admin"),
+  validateObjectId("id"),
+  PaymentController.captureOrder
+);
+
+// desc    Get payment transactions for an order
+// route   GET /api/orders/:id/payments
+// access  Private (Own orders) or Admin
 router.get(
-  "/my-orders",
+  "/:id/payments",
+  allowApiKey("orders:read"),
+  protect,
+  validateObjectId("id"),
+  checkOrderOwnership,
+  PaymentController.getOrderPayments
+);
+
+// desc    Get shipments and tracking for an order
+// route   GET /api/orders/:id/shipments
+// access  Private (Own orders) or Admin
+router.get(
+  "/:id/shipments",
+  allowApiKey("orders:read"),
+  protect,
+  validateObjectId("id"),
+  checkOrderOwnership,
+  ShipmentController.getOrderShipments
+);
+
+// desc    Ship some or all items of an order
+// route   POST /api/orders/:id/shipments
+// access  Private/Admin
+router.post(
+  "/:id/shipments",
+  allowApiKey("orders:write"),
   protect,
+  authorize("admin"),
+  validateObjectId("id"),
   sanitizeInput,
-  OrderController.getUserOrders
+  validateCreateShipment,
+  ShipmentController.createShipment
 );
 
-// desc    Get order statistics
-// route   GET /api/orders/stats/overview
+// desc    Update a shipment's status or tracking details
+// route   PUT /api/orders/:id/shipments/:shipmentId
 // access  Private/Admin
-router.get(
-  "/stats/overview",
+router.put(
+  "/:id/shipments/:shipmentId",
+  allowApiKey("orders:write"),
   protect,
   authorize("admin"),
-  OrderController.getOrderStats
+  validateObjectId("id"),
+  validateObjectId("shipmentId"),
+  sanitizeInput,
+  validateUpdateShipment,
+  ShipmentController.updateShipment
 );
 
-// desc    Get order by order number
-// route   GET /api/orders/order-number/:orderNumber
-// access  Private (Own orders) or Admin
-router.get(
-  "/order-number/:orderNumber",
+// desc    Cancel order (User can cancel their own pending orders)
+// route   PUT /api/orders/:id/cancel
+// access  Private
+router.put(
+  "/:id/cancel",
   protect,
-  OrderController.getOrderByNumber
+  validateObjectId("id"),
+  sanitizeInput,
+  OrderController.cancelOrder
 );
 
 export default router;
\ No newline at end of file
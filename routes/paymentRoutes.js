@@ -0,0 +1,16 @@
+// routes/paymentRoutes.js
+import express from 'express';
+import PaymentController from '../controllers/PaymentController.js';
+
+const router = express.Router();
+
+// desc    Receive a signed event from a payment provider
+// route   POST /api/payments/webhook/:provider
+// access  Public (verified by signature)
+router.post(
+  '/webhook/:provider',
+  express.raw({ type: 'application/json', limit: '1mb' }),
+  PaymentController.handleWebhook
+);
+
+export default router;
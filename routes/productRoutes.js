@@ -1,11 +1,13 @@
 // routes/productRoutes.js
 import express from 'express';
 import ProductController from '../controllers/productController.js';
-import { protect, authorize, optionalAuth } from '../middleware/auth.js';
+import ReviewController from '../controllers/ReviewController.js';
+import { protect, requirePermission, optionalAuth, allowApiKey } from '../middleware/auth.js';
 import { 
   validateObjectId, 
   validateProduct,
   validateProductQuery,
+  validatePriceQuery,
   validateRating 
 } from '../middleware/productValidation.js';
 import { 
@@ -17,6 +19,10 @@ import {
   processMediaFiles,
   handleUploadError 
 } from '../middleware/upload.js';
+import {
+  validateCreateReview,
+  validateReviewQuery
+} from '../middleware/reviewValidation.js';
 import { sanitizeInput } from '../middleware/security.js';
 
 const router = express.Router();
@@ -25,6 +31,7 @@ const router = express.Router();
 // route   GET /api/products
 // access  Public
 router.get('/', 
+  allowApiKey('products:read'),
   optionalAuth,
   sanitizeInput,
   validateProductQuery,
@@ -35,17 +42,29 @@ router.get('/',
 // route   GET /api/products/:id
 // access  Public
 router.get('/:id', 
+  allowApiKey('products:read'),
   optionalAuth,
   validateObjectId('id'),
   ProductController.getSingleProduct
 );
 
+// desc    Calculate price for selected variant, options, services and version
+// route   GET /api/products/:id/price
+// access  Public
+router.get('/:id/price', 
+  validateObjectId('id'),
+  sanitizeInput,
+  validatePriceQuery,
+  ProductController.getProductPrice
+);
+
 // @desc    Create product
 // @route   POST /api/products
-// @access  Private/Admin
+// @access  Private (catalog.edit)
 router.post('/', 
+  allowApiKey('products:write'),
   protect,
-  authorize('admin'),
+  requirePermission('catalog.edit'),
   sanitizeInput,
   uploadProductImage.single('image'),
   processProductImage,
@@ -56,10 +75,11 @@ router.post('/',
 
 // desc    Update product
 // route   PUT /api/products/:id
-// access  Private/Admin
+// access  Private (catalog.edit)
 router.put('/:id', 
+  allowApiKey('products:write'),
   protect,
-  authorize('admin'),
+  requirePermission('catalog.edit'),
   validateObjectId('id'),
   sanitizeInput,
   uploadProductImage.single('image'),
@@ -71,10 +91,11 @@ router.put('/:id',
 
 // desc    Upload product gallery images
 // route   PUT /api/products/:id/gallery
-// access  Private/Admin
+// access  Private (catalog.edit)
 router.put('/:id/gallery', 
+  allowApiKey('products:write'),
   protect,
-  authorize('admin'),
+  requirePermission('catalog.edit'),
   validateObjectId('id'),
   uploadProductGallery.array('images', 10),
   processGalleryImages,
@@ -84,10 +105,11 @@ router.put('/:id/gallery',
 
 // desc    Upload product media (images/videos)
 // route   PUT /api/products/:id/media
-// access  Private/Admin
+// access  Private (catalog.edit)
 router.put('/:id/media', 
+  allowApiKey('products:write'),
   protect,
-  authorize('admin'),
+  requirePermission('catalog.edit'),
   validateObjectId('id'),
   uploadProductMedia.array('media', 15),
   processMediaFiles,
@@ -113,22 +135,44 @@ router.delete('/:id/wishlist',
   ProductController.removeFromWishlist
 );
 
-// desc    Update product rating
+// desc    Get approved reviews for a product
+// route   GET /api/products/:id/reviews
+// access  Public
+router.get('/:id/reviews',
+  validateObjectId('id'),
+  sanitizeInput,
+  validateReviewQuery,
+  ReviewController.getProductReviews
+);
+
+// desc    Create a review for a product
+// route   POST /api/products/:id/reviews
+// access  Private
+router.post('/:id/reviews',
+  protect,
+  validateObjectId('id'),
+  sanitizeInput,
+  validateCreateReview,
+  ReviewController.createReview
+);
+
+// desc    Rate a product (creates or updates the user's review)
 // route   PUT /api/products/:id/rating
 // access  Private
 router.put('/:id/rating', 
   protect,
   validateObjectId('id'),
   validateRating,
-  ProductController.updateProductRating
+  ReviewController.rateProduct
 );
 
 // @desc    Delete product
 // @route   DELETE /api/products/:id
-// @access  Private/Admin
+// @access  Private (catalog.delete)
 router.delete('/:id', 
+  allowApiKey('products:write'),
   protect,
-  authorize('admin'),
+  requirePermission('catalog.delete'),
   validateObjectId('id'),
   ProductController.deleteProduct
 );
@@ -144,10 +188,11 @@ router.get('/stats/count',
 
 // desc    Get product statistics overview
 // route   GET /api/products/stats/overview
-// access  Private/Admin
+// access  Private (catalog.view)
 router.get('/stats/overview', 
+  allowApiKey('products:read'),
   protect,
-  authorize('admin'),
+  requirePermission('catalog.view'),
   ProductController.getProductStats
 );
 
@@ -181,10 +226,11 @@ router.get('/availability/:status',
 // Bulk Operations Routes
 // desc    Bulk update product availability
 // route   PUT /api/products/bulk/availability
-// access  Private/Admin
+// access  Private (catalog.edit)
 router.put('/bulk/availability', 
+  allowApiKey('products:write'),
   protect,
-  authorize('admin'),
+  requirePermission('catalog.edit'),
   sanitizeInput,
   ProductController.bulkUpdateAvailability
 );
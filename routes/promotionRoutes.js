@@ -0,0 +1,62 @@
+// routes/promotionRoutes.js
+import express from 'express';
+import PromotionController from '../controllers/PromotionController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validateObjectId } from '../middleware/orderValidation.js';
+import {
+  validateCreatePromotion,
+  validateUpdatePromotion,
+  validatePromotionQuery
+} from '../middleware/promotionValidation.js';
+import { sanitizeInput } from '../middleware/security.js';
+
+const router = express.Router();
+
+// Shoppers apply coupons through /api/cart/coupon or couponCode on POST /api/orders
+router.use(protect, authorize('admin'));
+
+// desc    Get all promotions
+// route   GET /api/promotions
+// access  Private/Admin
+router.get('/',
+  sanitizeInput,
+  validatePromotionQuery,
+  PromotionController.getAllPromotions
+);
+
+// desc    Create promotion
+// route   POST /api/promotions
+// access  Private/Admin
+router.post('/',
+  sanitizeInput,
+  validateCreatePromotion,
+  PromotionController.createPromotion
+);
+
+// desc    Get single promotion with usage
+// route   GET /api/promotions/:id
+// access  Private/Admin
+router.get('/:id',
+  validateObjectId('id'),
+  PromotionController.getPromotion
+);
+
+// desc    Update promotion
+// route   PUT /api/promotions/:id
+// access  Private/Admin
+router.put('/:id',
+  validateObjectId('id'),
+  sanitizeInput,
+  validateUpdatePromotion,
+  PromotionController.updatePromotion
+);
+
+// desc    Delete promotion
+// route   DELETE /api/promotions/:id
+// access  Private/Admin
+router.delete('/:id',
+  validateObjectId('id'),
+  PromotionController.deletePromotion
+);
+
+export default router;
@@ -0,0 +1,109 @@
+// routes/returnRoutes.js
+import express from 'express';
+import ReturnController from '../controllers/ReturnController.js';
+import { protect, authorize, requirePermission } from '../middleware/auth.js';
+import { validateObjectId } from '../middleware/orderValidation.js';
+import {
+  validateCreateReturn,
+  validateReturnDecision,
+  validateReceiveReturn,
+  validateRefund,
+  validateReturnQuery
+} from '../middleware/returnValidation.js';
+import { sanitizeInput } from '../middleware/security.js';
+
+const router = express.Router();
+
+// All return routes require authentication
+router.use(protect);
+
+// desc    Get all return requests
+// route   GET /api/returns
+// access  Private/Admin
+router.get('/',
+  authorize('admin'),
+  sanitizeInput,
+  validateReturnQuery,
+  ReturnController.getAllReturns
+);
+
+// desc    Open a return request
+// route   POST /api/returns
+// access  Private
+router.post('/',
+  sanitizeInput,
+  validateCreateReturn,
+  ReturnController.createReturn
+);
+
+// desc    Get logged in user's return requests
+// route   GET /api/returns/mine
+// access  Private
+router.get('/mine',
+  ReturnController.getMyReturns
+);
+
+// desc    Get single return request
+// route   GET /api/returns/:id
+// access  Private (Owner) or Admin
+router.get('/:id',
+  validateObjectId('id'),
+  ReturnController.getReturn
+);
+
+// desc    Approve return request
+// route   PUT /api/returns/:id/approve
+// access  Private/Admin
+router.put('/:id/approve',
+  authorize('admin'),
+  validateObjectId('id'),
+  sanitizeInput,
+  validateReturnDecision,
+  ReturnController.approveReturn
+);
+
+// desc    Reject return request
+// route   PUT /api/returns/:id/reject
+// access  Private/Admin
+router.put('/:id/reject',
+  authorize('admin'),
+  validateObjectId('id'),
+  sanitizeInput,
+  validateReturnDecision,
+  ReturnController.rejectReturn
+);
+
+// desc    Record returned goods as received
+// route   PUT /api/returns/:id/receive
+// access  Private/Admin
+router.put('/:id/receive',
+  authorize('admin'),
+  validateObjectId('id'),
+  sanitizeInput,
+  validateReceiveReturn,
+  ReturnController.receiveReturn
+);
+
+// desc    Refund return request
+// route   POST /api/returns/:id/refund
+// access  Private (orders.refund)
+router.post('/:id/refund',
+  requirePermission('orders.refund'),
+  validateObjectId('id'),
+  sanitizeInput,
+  validateRefund,
+  ReturnController.refundReturn
+);
+
+// desc    Close return request without a refund
+// route   PUT /api/returns/:id/close
+// access  Private/Admin
+router.put('/:id/close',
+  authorize('admin'),
+  validateObjectId('id'),
+  sanitizeInput,
+  validateReturnDecision,
+  ReturnController.closeReturn
+);
+
+export default router;
@@ -0,0 +1,68 @@
+// routes/reviewRoutes.js
+import express from 'express';
+import ReviewController from '../controllers/ReviewController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validateObjectId } from '../middleware/orderValidation.js';
+import {
+  validateUpdateReview,
+  validateModerateReview,
+  validateReviewQuery
+} from '../middleware/reviewValidation.js';
+import { sanitizeInput } from '../middleware/security.js';
+
+const router = express.Router();
+
+// Product reviews are listed and created through /api/products/:id/reviews
+
+// desc    Get logged in user's reviews
+// route   GET /api/reviews/mine
+// access  Private
+router.get('/mine',
+  protect,
+  ReviewController.getMyReviews
+);
+
+// desc    Get reviews for moderation
+// route   GET /api/reviews/moderation
+// access  Private/Admin
+router.get('/moderation',
+  protect,
+  authorize('admin'),
+  sanitizeInput,
+  validateReviewQuery,
+  ReviewController.getModerationQueue
+);
+
+// desc    Update own review
+// route   PUT /api/reviews/:id
+// access  Private (Owner)
+router.put('/:id',
+  protect,
+  validateObjectId('id'),
+  sanitizeInput,
+  validateUpdateReview,
+  ReviewController.updateReview
+);
+
+// desc    Delete review
+// route   DELETE /api/reviews/:id
+// access  Private (Owner) or Admin
+router.delete('/:id',
+  protect,
+  validateObjectId('id'),
+  ReviewController.deleteReview
+);
+
+// desc    Approve or reject a review
+// route   PUT /api/reviews/:id/moderate
+// access  Private/Admin
+router.put('/:id/moderate',
+  protect,
+  authorize('admin'),
+  validateObjectId('id'),
+  sanitizeInput,
+  validateModerateReview,
+  ReviewController.moderateReview
+);
+
+export default router;
@@ -0,0 +1,63 @@
+// routes/roleRoutes.js
+import express from 'express';
+import RoleController from '../controllers/RoleController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validateCreateRole, validateUpdateRole, validateUserRoles } from '../middleware/roleValidation.js';
+import { validateObjectId } from '../middleware/orderValidation.js';
+import { sanitizeInput } from '../middleware/security.js';
+
+const router = express.Router();
+
+router.use(protect, requirePermission('roles.manage'));
+
+// desc    List roles
+// route   GET /api/roles
+// access  Private (roles.manage)
+router.get('/', RoleController.getRoles);
+
+// desc    Create a role
+// route   POST /api/roles
+// access  Private (roles.manage)
+router.post('/',
+  sanitizeInput,
+  validateCreateRole,
+  RoleController.createRole
+);
+
+// desc    Replace a user's extra roles
+// route   PUT /api/roles/users/:userId
+// access  Private (roles.manage)
+router.put('/users/:userId',
+  validateObjectId('userId'),
+  sanitizeInput,
+  validateUserRoles,
+  RoleController.setUserRoles
+);
+
+// desc    Get a role
+// route   GET /api/roles/:id
+// access  Private (roles.manage)
+router.get('/:id',
+  validateObjectId('id'),
+  RoleController.getRole
+);
+
+// desc    Update a role
+// route   PUT /api/roles/:id
+// access  Private (roles.manage)
+router.put('/:id',
+  validateObjectId('id'),
+  sanitizeInput,
+  validateUpdateRole,
+  RoleController.updateRole
+);
+
+// desc    Delete a role
+// route   DELETE /api/roles/:id
+// access  Private (roles.manage)
+router.delete('/:id',
+  validateObjectId('id'),
+  RoleController.deleteRole
+);
+
+export default router;
@@ -0,0 +1,77 @@
+// routes/shippingRoutes.js
+import express from 'express';
+import ShippingController from '../controllers/ShippingController.js';
+import { protect, authorize, optionalAuth } from '../middleware/auth.js';
+import { validateObjectId } from '../middleware/orderValidation.js';
+import {
+  validateShippingQuote,
+  validateCreateZone,
+  validateUpdateZone
+} from '../middleware/shippingValidation.js';
+import { sanitizeInput } from '../middleware/security.js';
+
+const router = express.Router();
+
+// desc    Quote shipping methods for a cart and destination
+// route   POST /api/shipping/quote
+// access  Public (guest token) or Private
+router.post('/quote',
+  optionalAuth,
+  sanitizeInput,
+  validateShippingQuote,
+  ShippingController.getQuote
+);
+
+// desc    Get all shipping zones
+// route   GET /api/shipping/zones
+// access  Private/Admin
+router.get('/zones',
+  protect,
+  authorize('admin'),
+  ShippingController.getAllZones
+);
+
+// desc    Create shipping zone
+// route   POST /api/shipping/zones
+// access  Private/Admin
+router.post('/zones',
+  protect,
+  authorize('admin'),
+  sanitizeInput,
+  validateCreateZone,
+  ShippingController.createZone
+);
+
+// desc    Get single shipping zone
+// route   GET /api/shipping/zones/:id
+// access  Private/Admin
+router.get('/zones/:id',
+  protect,
+  authorize('admin'),
+  validateObjectId('id'),
+  ShippingController.getZone
+);
+
+// desc    Update shipping zone
+// route   PUT /api/shipping/zones/:id
+// access  Private/Admin
+router.put('/zones/:id',
+  protect,
+  authorize('admin'),
+  validateObjectId('id'),
+  sanitizeInput,
+  validateUpdateZone,
+  ShippingController.updateZone
+);
+
+// desc    Delete shipping zone
+// route   DELETE /api/shipping/zones/:id
+// access  Private/Admin
+router.delete('/zones/:id',
+  protect,
+  authorize('admin'),
+  validateObjectId('id'),
+  ShippingController.deleteZone
+);
+
+export default router;
@@ -8,7 +8,7 @@ import {
   checkSubCategoryExists,
   validateObjectId
 } from '../middleware/subCategoryValidation.js';
-import { protect, authorize } from '../middleware/auth.js'; // Assuming you have auth middleware
+import { protect, requirePermission } from '../middleware/auth.js'; // Assuming you have auth middleware
 import { uploadSubCategoryImages, handleUploadError } from '../middleware/upload.js';
 
 const router = express.Router();
@@ -25,10 +25,10 @@ router.get('/:id',
   SubCategoryController.getSingleSubCategory
 );
 
-// Protected routes (Admin only)
+// Protected routes (catalog permissions)
 router.post('/', 
   protect, 
-  authorize('admin'),
+  requirePermission('catalog.edit'),
   uploadSubCategoryImages.fields([
     { name: 'icon', maxCount: 1 },
     { name: 'image', maxCount: 1 }
@@ -41,7 +41,7 @@ router.post('/',
 
 router.put('/:id', 
   protect, 
-  authorize('admin'),
+  requirePermission('catalog.edit'),
   validateObjectId('id'),
   checkSubCategoryExists,
   uploadSubCategoryImages.fields([
@@ -56,7 +56,7 @@ router.put('/:id',
 
 router.delete('/:id', 
   protect, 
-  authorize('admin'),
+  requirePermission('catalog.delete'),
   validateObjectId('id'),
   checkSubCategoryExists,
   SubCategoryController.deleteSubCategory
@@ -0,0 +1,61 @@
+// routes/taxRuleRoutes.js
+import express from 'express';
+import TaxRuleController from '../controllers/TaxRuleController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validateObjectId } from '../middleware/orderValidation.js';
+import {
+  validateCreateTaxRule,
+  validateUpdateTaxRule,
+  validateTaxRuleQuery
+} from '../middleware/taxRuleValidation.js';
+import { sanitizeInput } from '../middleware/security.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('admin'));
+
+// desc    Get all tax rules
+// route   GET /api/tax-rules
+// access  Private/Admin
+router.get('/',
+  sanitizeInput,
+  validateTaxRuleQuery,
+  TaxRuleController.getAllTaxRules
+);
+
+// desc    Create tax rule
+// route   POST /api/tax-rules
+// access  Private/Admin
+router.post('/',
+  sanitizeInput,
+  validateCreateTaxRule,
+  TaxRuleController.createTaxRule
+);
+
+// desc    Get single tax rule
+// route   GET /api/tax-rules/:id
+// access  Private/Admin
+router.get('/:id',
+  validateObjectId('id'),
+  TaxRuleController.getTaxRule
+);
+
+// desc    Update tax rule
+// route   PUT /api/tax-rules/:id
+// access  Private/Admin
+router.put('/:id',
+  validateObjectId('id'),
+  sanitizeInput,
+  validateUpdateTaxRule,
+  TaxRuleController.updateTaxRule
+);
+
+// desc    Delete tax rule
+// route   DELETE /api/tax-rules/:id
+// access  Private/Admin
+router.delete('/:id',
+  validateObjectId('id'),
+  TaxRuleController.deleteTaxRule
+);
+
+export default router;
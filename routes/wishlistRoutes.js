@@ -0,0 +1,31 @@
+// routes/wishlistRoutes.js
+import express from 'express';
+import WishlistController from '../controllers/WishlistController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { sanitizeInput } from '../middleware/security.js';
+import { validateWishlistQuery } from '../middleware/wishlistValidation.js';
+
+const router = express.Router();
+
+// Products are added and removed through PUT/DELETE /api/products/:id/wishlist
+
+// desc    Get logged in user's wishlist
+// route   GET /api/wishlist
+// access  Private
+router.get('/',
+  protect,
+  sanitizeInput,
+  validateWishlistQuery,
+  WishlistController.getWishlist
+);
+
+// desc    Recompute wishlist counts from wishlist entries
+// route   POST /api/wishlist/recount
+// access  Private/Admin
+router.post('/recount',
+  protect,
+  authorize('admin'),
+  WishlistController.recountWishlistCounts
+);
+
+export default router;
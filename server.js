@@ -9,16 +9,33 @@ import mongoSanitize from 'express-mongo-sanitize';
 import xss from 'xss-clean';
 import dotenv from 'dotenv';
 import passport from 'passport';
+import cookieParser from 'cookie-parser';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { connectDB } from './config/database.js';
+import { startEmailWorker, stopEmailWorker } from './utils/emailOutbox.js';
+import { assertPaymentProvidersConfigured } from './utils/payments/index.js';
 
 // Import routes
 import authRoutes from './routes/authRoutes.js';
 import categoryRoutes from './routes/categoryRoutes.js';
 import productRoutes from './routes/productRoutes.js';
-// import orderRoutes from './routes/orderRoutes.js';
+import orderRoutes from './routes/orderRoutes.js';
 import subCategoryRoutes from './routes/subCategoryRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import wishlistRoutes from './routes/wishlistRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import promotionRoutes from './routes/promotionRoutes.js';
+import taxRuleRoutes from './routes/taxRuleRoutes.js';
+import shippingRoutes from './routes/shippingRoutes.js';
+import returnRoutes from './routes/returnRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import emailTemplateRoutes from './routes/emailTemplateRoutes.js';
+import emailOutboxRoutes from './routes/emailOutboxRoutes.js';
+import emailPreferenceRoutes from './routes/emailPreferenceRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import adminUserRoutes from './routes/adminUserRoutes.js';
 
 // Import models
 import User from './models/user.js';
@@ -91,6 +108,10 @@ const apiLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Payment webhooks need the raw body to verify signatures, so they are mounted before JSON parsing.
+// They skip rate limiting: providers retry and burst from shared IPs, and signatures keep out everyone else.
+app.use('/api/payments', paymentRoutes);
+
 // Apply general rate limiting
 app.use(generalLimiter);
 
@@ -102,13 +123,16 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Cart-Token', 'X-API-Key'],
+  exposedHeaders: ['X-Cart-Token'],
 };
 app.use(cors(corsOptions));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Signed cookies carry short-lived state such as the OAuth state parameter
+app.use(cookieParser(process.env.COOKIE_SECRET || process.env.JWT_SECRET));
 
 // Serve static files for uploads
 app.use('/uploads', express.static(path.join(__dirname, 'public/uploads')));
@@ -135,11 +159,26 @@ if (process.env.NODE_ENV === 'development') {
 app.use(passport.initialize());
 
 // API Routes with rate limiting
+// Mounted ahead of the auth router so admin screens aren't held to the login rate limit
+app.use('/api/auth/admin/users', apiLimiter, adminUserRoutes);
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/categories', apiLimiter, categoryRoutes);
 app.use('/api/products', apiLimiter, productRoutes);
-// app.use('/api/orders', apiLimiter, orderRoutes);
+app.use('/api/orders', apiLimiter, orderRoutes);
 app.use('/api/subcategories', subCategoryRoutes);
+app.use('/api/cart', apiLimiter, cartRoutes);
+app.use('/api/wishlist', apiLimiter, wishlistRoutes);
+app.use('/api/reviews', apiLimiter, reviewRoutes);
+app.use('/api/promotions', apiLimiter, promotionRoutes);
+app.use('/api/tax-rules', apiLimiter, taxRuleRoutes);
+app.use('/api/shipping', apiLimiter, shippingRoutes);
+app.use('/api/returns', apiLimiter, returnRoutes);
+app.use('/api/email-templates', apiLimiter, emailTemplateRoutes);
+app.use('/api/email-outbox', apiLimiter, emailOutboxRoutes);
+app.use('/api/email-preferences', apiLimiter, emailPreferenceRoutes);
+app.use('/api/api-keys', apiLimiter, apiKeyRoutes);
+app.use('/api/roles', apiLimiter, roleRoutes);
+app.use('/api/admin/users', apiLimiter, adminUserRoutes); // alias of /api/auth/admin/users
 
 // API versioning support
 // app.use('/api/v1/auth', authLimiter, authRoutes);
@@ -165,7 +204,18 @@ app.get('/api', (req, res) => {
           'POST /api/auth/reset-password',
           'POST /api/auth/verify-email',
           'GET /api/auth/profile',
-          'PUT /api/auth/profile'
+          'PUT /api/auth/profile',
+          'GET /api/auth/sessions',
+          'DELETE /api/auth/sessions',
+          'DELETE /api/auth/sessions/:sessionId',
+          'GET /api/auth/2fa',
+          'POST /api/auth/2fa/setup',
+          'POST /api/auth/2fa/enable',
+          'POST /api/auth/2fa/verify',
+          'POST /api/auth/2fa/recovery-codes',
+          'POST /api/auth/2fa/disable',
+          'GET /api/auth/security-policy (Admin)',
+          'PUT /api/auth/security-policy (Admin)'
         ]
       },
       categories: {
@@ -173,9 +223,9 @@ app.get('/api', (req, res) => {
         routes: [
           'GET /api/categories',
           'GET /api/categories/:id',
-          'POST /api/categories (Admin)',
-          'PUT /api/categories/:id (Admin)',
-          'DELETE /api/categories/:id (Admin)'
+          'POST /api/categories (catalog.edit)',
+          'PUT /api/categories/:id (catalog.edit)',
+          'DELETE /api/categories/:id (catalog.delete)'
         ]
       },
       products: {
@@ -183,14 +233,189 @@ app.get('/api', (req, res) => {
         routes: [
           'GET /api/products',
           'GET /api/products/:id',
-          'POST /api/products (Admin)',
-          'PUT /api/products/:id (Admin)',
-          'DELETE /api/products/:id (Admin)',
-          'PUT /api/products/:id/gallery (Admin)',
+          'GET /api/products/:id/price',
+          'POST /api/products (catalog.edit)',
+          'PUT /api/products/:id (catalog.edit)',
+          'DELETE /api/products/:id (catalog.delete)',
+          'PUT /api/products/:id/gallery (catalog.edit)',
           'GET /api/products/featured/:count',
           'GET /api/products/stats/count',
           'GET /api/products/category/:categoryId'
         ]
+      },
+      orders: {
+        base: '/api/orders',
+        routes: [
+          'GET /api/orders (Admin)',
+          'POST /api/orders',
+          'GET /api/orders/my-orders',
+          'GET /api/orders/:id',
+          'GET /api/orders/order-number/:orderNumber',
+          'PUT /api/orders/:id/cancel',
+          'PUT /api/orders/:id/status (Admin)',
+          'PUT /api/orders/:id/payment (Admin)',
+          'POST /api/orders/:id/pay',
+          'POST /api/orders/:id/capture (Admin)',
+          'GET /api/orders/:id/payments',
+          'GET /api/orders/:id/invoice.pdf',
+          'GET /api/orders/:id/packing-slip.pdf (Admin)',
+          'GET /api/orders/:id/shipments',
+          'POST /api/orders/:id/shipments (Admin)',
+          'PUT /api/orders/:id/shipments/:shipmentId (Admin)',
+          'GET /api/orders/stats/overview (Admin)'
+        ]
+      },
+      cart: {
+        base: '/api/cart',
+        routes: [
+          'GET /api/cart',
+          'DELETE /api/cart',
+          'POST /api/cart/items',
+          'PUT /api/cart/items/:itemId',
+          'DELETE /api/cart/items/:itemId',
+          'POST /api/cart/coupon',
+          'DELETE /api/cart/coupon',
+          'POST /api/cart/merge'
+        ]
+      },
+      wishlist: {
+        base: '/api/wishlist',
+        routes: [
+          'GET /api/wishlist',
+          'PUT /api/products/:id/wishlist',
+          'DELETE /api/products/:id/wishlist',
+          'POST /api/wishlist/recount (Admin)'
+        ]
+      },
+      reviews: {
+        base: '/api/reviews',
+        routes: [
+          'GET /api/products/:id/reviews',
+          'POST /api/products/:id/reviews',
+          'PUT /api/products/:id/rating',
+          'GET /api/reviews/mine',
+          'PUT /api/reviews/:id',
+          'DELETE /api/reviews/:id',
+          'GET /api/reviews/moderation (Admin)',
+          'PUT /api/reviews/:id/moderate (Admin)'
+        ]
+      },
+      promotions: {
+        base: '/api/promotions',
+        routes: [
+          'GET /api/promotions (Admin)',
+          'GET /api/promotions/:id (Admin)',
+          'POST /api/promotions (Admin)',
+          'PUT /api/promotions/:id (Admin)',
+          'DELETE /api/promotions/:id (Admin)'
+        ]
+      },
+      taxRules: {
+        base: '/api/tax-rules',
+        routes: [
+          'GET /api/tax-rules (Admin)',
+          'GET /api/tax-rules/:id (Admin)',
+          'POST /api/tax-rules (Admin)',
+          'PUT /api/tax-rules/:id (Admin)',
+          'DELETE /api/tax-rules/:id (Admin)'
+        ]
+      },
+      shipping: {
+        base: '/api/shipping',
+        routes: [
+          'POST /api/shipping/quote',
+          'GET /api/shipping/zones (Admin)',
+          'GET /api/shipping/zones/:id (Admin)',
+          'POST /api/shipping/zones (Admin)',
+          'PUT /api/shipping/zones/:id (Admin)',
+          'DELETE /api/shipping/zones/:id (Admin)'
+        ]
+      },
+      returns: {
+        base: '/api/returns',
+        routes: [
+          'POST /api/returns',
+          'GET /api/returns/mine',
+          'GET /api/returns/:id',
+          'GET /api/returns (Admin)',
+          'PUT /api/returns/:id/approve (Admin)',
+          'PUT /api/returns/:id/reject (Admin)',
+          'PUT /api/returns/:id/receive (Admin)',
+          'POST /api/returns/:id/refund (orders.refund)',
+          'PUT /api/returns/:id/close (Admin)'
+        ]
+      },
+      payments: {
+        base: '/api/payments',
+        routes: [
+          'POST /api/payments/webhook/:provider'
+        ]
+      },
+      emailTemplates: {
+        base: '/api/email-templates',
+        routes: [
+          'GET /api/email-templates (Admin)',
+          'GET /api/email-templates/:name (Admin)',
+          'POST /api/email-templates/:name/preview (Admin)',
+          'PUT /api/email-templates/:name/:locale (Admin)',
+          'DELETE /api/email-templates/:name/:locale (Admin)'
+        ]
+      },
+      emailOutbox: {
+        base: '/api/email-outbox',
+        routes: [
+          'GET /api/email-outbox (Admin)',
+          'GET /api/email-outbox/:id (Admin)',
+          'POST /api/email-outbox/:id/resend (Admin)'
+        ]
+      },
+      emailPreferences: {
+        base: '/api/email-preferences',
+        routes: [
+          'GET /api/email-preferences (Private)',
+          'PUT /api/email-preferences (Private)',
+          'GET /api/email-preferences/history (Private)',
+          'GET /api/email-preferences/manage?token= (Signed link)',
+          'PUT /api/email-preferences/manage?token= (Signed link)',
+          'POST /api/email-preferences/unsubscribe?token= (Signed link)'
+        ]
+      },
+      apiKeys: {
+        base: '/api/api-keys',
+        routes: [
+          'GET /api/api-keys (Admin)',
+          'POST /api/api-keys (Admin)',
+          'GET /api/api-keys/:id (Admin)',
+          'PUT /api/api-keys/:id (Admin)',
+          'POST /api/api-keys/:id/rotate (Admin)',
+          'DELETE /api/api-keys/:id (Admin)'
+        ]
+      },
+      roles: {
+        base: '/api/roles',
+        routes: [
+          'GET /api/roles (roles.manage)',
+          'POST /api/roles (roles.manage)',
+          'GET /api/roles/:id (roles.manage)',
+          'PUT /api/roles/:id (roles.manage)',
+          'DELETE /api/roles/:id (roles.manage)',
+          'PUT /api/roles/users/:userId (roles.manage)'
+        ]
+      },
+      adminUsers: {
+        base: '/api/auth/admin/users',
+        alias: '/api/admin/users',
+        routes: [
+          'GET /api/auth/admin/users (users.manage)',
+          'GET /api/auth/admin/users/:id (users.manage)',
+          'GET /api/auth/admin/users/:id/orders (users.manage)',
+          'PUT /api/auth/admin/users/:id/roles (users.manage, roles.manage)',
+          'PUT /api/auth/admin/users/:id/deactivate (users.manage)',
+          'PUT /api/auth/admin/users/:id/reactivate (users.manage)',
+          'PUT /api/auth/admin/users/:id/unlock (users.manage)',
+          'POST /api/auth/admin/users/:id/force-password-reset (users.manage)',
+          'POST /api/auth/admin/users/:id/resend-verification (users.manage)'
+        ]
       }
     },
     features: [
@@ -268,6 +493,12 @@ const startServer = async () => {
       }
     });
 
+    // Refuse to start when a configured payment provider doesn't exist
+    assertPaymentProvidersConfigured();
+
+    // Deliver queued emails in the background
+    startEmailWorker();
+
     // Start Express server
     const server = app.listen(PORT, () => {
       console.log(`Server running on http://localhost:${PORT}` );
@@ -287,6 +518,7 @@ const startServer = async () => {
     // Graceful shutdown handlers
     const gracefulShutdown = (signal) => {
       console.log(`${signal} received. Shutting down`);
+      stopEmailWorker();
       
       server.close(async () => {
         console.log('HTTP server closed');
@@ -0,0 +1,85 @@
+// test/sessions.test.js
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_EXPIRE = '15m';
+
+const { default: Session } = await import('../models/session.js');
+const { default: User } = await import('../models/user.js');
+const { startSession, rotateRefreshToken } = await import('../utils/sessions.js');
+
+const req = { headers: { 'user-agent': 'node-test' }, get: () => 'node-test', ip: '127.0.0.1', connection: {} };
+
+// In-memory stand-in for the sessions collection. Like the real query, the
+// rotated session comes back without tokenId because the field is select: false.
+let sessions;
+let user;
+
+beforeEach(() => {
+  mock.restoreAll();
+  sessions = new Map();
+  user = new User({ name: 'Jane Doe', email: 'jane@example.com', role: 'customer' });
+
+  mock.method(Session, 'create', async (data) => {
+    const session = new Session(data);
+    sessions.set(String(session._id), session.toObject());
+    return session;
+  });
+
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const stored = sessions.get(String(filter._id));
+    const matches = stored
+      && String(stored.user) === String(filter.user)
+      && stored.tokenId === filter.tokenId
+      && !stored.revokedAt
+      && stored.expiresAt > filter.expiresAt.$gt;
+    if (!matches) return null;
+
+    const { tokenId, lastUsedAt, lastIpAddress } = update[0].$set;
+    Object.assign(stored, { tokenId, lastUsedAt, lastIpAddress });
+
+    const { tokenId: hidden, ...selected } = stored;
+    return Session.hydrate(selected);
+  });
+
+  mock.method(Session, 'findById', (id) => ({
+    select: async () => {
+      const stored = sessions.get(String(id));
+      return stored ? Session.hydrate(stored) : null;
+    },
+  }));
+
+  mock.method(Session, 'updateOne', async (filter, update) => {
+    const stored = sessions.get(String(filter._id));
+    if (!stored || stored.revokedAt) return { modifiedCount: 0 };
+    Object.assign(stored, update);
+    return { modifiedCount: 1 };
+  });
+
+  mock.method(User, 'findById', async (id) => (String(id) === String(user._id) ? user : null));
+});
+
+test('a refresh token can be rotated again and again', async () => {
+  const login = await startSession(user, req);
+
+  const first = await rotateRefreshToken(login.refreshToken, req);
+  assert.ok(first.tokens.refreshToken);
+  assert.notEqual(first.tokens.refreshToken, login.refreshToken);
+
+  const second = await rotateRefreshToken(first.tokens.refreshToken, req);
+  assert.ok(second.tokens.accessToken);
+  assert.notEqual(second.tokens.refreshToken, first.tokens.refreshToken);
+  assert.equal(String(second.user._id), String(user._id));
+});
+
+test('reusing an old refresh token revokes the session', async () => {
+  const login = await startSession(user, req);
+  const rotated = await rotateRefreshToken(login.refreshToken, req);
+
+  await assert.rejects(rotateRefreshToken(login.refreshToken, req), { statusCode: 401 });
+  await assert.rejects(rotateRefreshToken(rotated.tokens.refreshToken, req), { statusCode: 401 });
+
+  const [stored] = sessions.values();
+  assert.equal(stored.revokedReason, 'reuse_detected');
+});
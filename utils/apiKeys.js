@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import ApiKey from '../models/apiKey.js';
+import User from '../models/user.js';
+import { SUPER_ADMIN_ROLE } from '../models/role.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+import { generateAPIKey, getClientIP } from './helpers.js';
+
+export const API_KEY_HEADER = 'X-API-Key';
+
+const KEY_PREFIX = 'sk_';
+// Last-used details are written at most this often per key
+const USAGE_WRITE_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// A new secret and the fields stored for it
+const generateKey = () => {
+  const key = `${KEY_PREFIX}${generateAPIKey(40)}`;
+  return { key, prefix: key.slice(0, KEY_PREFIX.length + 6), keyHash: hashKey(key) };
+};
+
+/**
+ * Create an API key
+ * param {Object} data - { name, scopes, expiresAt }
+ * param {Object} createdBy - Admin user ID
+ * returns {Object} { apiKey, key } - key is only available now
+ */
+export const createApiKey = async ({ name, scopes, expiresAt }, createdBy) => {
+  const { key, prefix, keyHash } = generateKey();
+  const apiKey = await ApiKey.create({ name, scopes, expiresAt, prefix, keyHash, createdBy });
+  return { apiKey, key };
+};
+
+/**
+ * Replace an API key's secret. The old secret stops working immediately.
+ * param {Object|string} id - ApiKey ID
+ * returns {Object|null} { apiKey, key }, or null if there is no active key with that ID
+ */
+export const rotateApiKey = async (id) => {
+  const { key, prefix, keyHash } = generateKey();
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: id, revokedAt: null },
+    { prefix, keyHash, rotatedAt: new Date() },
+    { new: true }
+  );
+  return apiKey ? { apiKey, key } : null;
+};
+
+/**
+ * Find the key and acting user for a request
+ * param {string} key - Key from the X-API-Key header
+ * param {Object} req - Express request
+ * returns {Object} { apiKey, user }
+ * throws {AppError} 401 if the key is unknown, revoked or expired, or its creator is no longer an active admin
+ */
+export const authenticateApiKey = async (key, req) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+
+  if (!apiKey || !apiKey.isActive) {
+    throw new AppError('Invalid or expired API key', 401);
+  }
+
+  const user = await User.findById(apiKey.createdBy).select('-password');
+  if (!user || !user.isActive || user.role !== SUPER_ADMIN_ROLE) {
+    throw new AppError('API key owner is no longer an active admin', 401);
+  }
+
+  // Track usage without slowing the request down
+  const now = new Date();
+  ApiKey.updateOne(
+    {
+      _id: apiKey._id,
+      $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now.getTime() - USAGE_WRITE_INTERVAL_MS) } }],
+    },
+    { lastUsedAt: now, lastUsedIp: getClientIP(req) }
+  ).catch(error => console.error('Failed to record API key usage:', error.message));
+
+  return { apiKey, user };
+};
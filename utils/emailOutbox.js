@@ -0,0 +1,175 @@
+import nodemailer from 'nodemailer';
+import EmailOutbox from '../models/emailOutbox.js';
+import { retryAsync } from './helpers.js';
+
+const WORKER_INTERVAL_MS = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS, 10) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.EMAIL_RETRY_BASE_MS, 10) || 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// A message still "sending" after this long belonged to a worker that died
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+// Create transporter
+const createTransporter = () => {
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    secure: false, // true for 465, false for other ports
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+  });
+};
+
+/**
+ * Delay before the next attempt: doubles after every failure, up to an hour
+ * param {number} attempts - Attempts made so far
+ * returns {number} Milliseconds
+ */
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+let workerTimer = null;
+let processing = false;
+
+/**
+ * Write an email to the outbox; the worker delivers it
+ * param {Object} options - { to, subject, text, html, template, headers }
+ * returns {Object} EmailOutbox document
+ */
+export const queueEmail = async ({ to, subject, text, html, template, headers }) => {
+  const message = await EmailOutbox.create({ to, subject, text, html, template, headers, maxAttempts: MAX_ATTEMPTS });
+
+  // Deliver straight away when this process runs the worker, instead of waiting for the next tick
+  if (workerTimer) {
+    setImmediate(() => processOutbox().catch(error => console.error('❌ Email outbox error:', error.message)));
+  }
+
+  return message;
+};
+
+// Atomically take the next due message so concurrent workers never send it twice
+const claimNextMessage = () => {
+  const now = new Date();
+  return EmailOutbox.findOneAndUpdate(
+    {
+      $or: [
+        { status: { $in: ['pending', 'retrying'] }, nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+      ],
+    },
+    { status: 'sending', lockedAt: now, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * Send a claimed message and record the outcome.
+ * Quick transport hiccups are retried in place; anything else is rescheduled with
+ * backoff, and the message is dead-lettered once it runs out of attempts.
+ * param {Object} message - EmailOutbox document in "sending" status
+ */
+const deliverMessage = async (message) => {
+  try {
+    const transporter = createTransporter();
+    const info = await retryAsync(() => transporter.sendMail({
+      from: `"${process.env.FROM_NAME || 'E-Commerce App'}" <${process.env.EMAIL_FROM}>`,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      headers: message.headers ? Object.fromEntries(message.headers) : undefined,
+    }), 2, 1000);
+
+    await EmailOutbox.updateOne(
+      { _id: message._id, lockedAt: message.lockedAt },
+      { status: 'sent', sentAt: new Date(), messageId: info.messageId, $unset: { lockedAt: 1, lastError: 1 } }
+    );
+    console.log('📧 Email sent:', info.messageId);
+  } catch (error) {
+    const dead = message.attempts >= message.maxAttempts;
+
+    await EmailOutbox.updateOne(
+      { _id: message._id, lockedAt: message.lockedAt },
+      dead
+        ? { status: 'dead', deadAt: new Date(), lastError: error.message, $unset: { lockedAt: 1 } }
+        : {
+          status: 'retrying',
+          nextAttemptAt: new Date(Date.now() + getRetryDelay(message.attempts)),
+          lastError: error.message,
+          $unset: { lockedAt: 1 },
+        }
+    );
+    console.error(`❌ Email to ${message.to} failed (attempt ${message.attempts}/${message.maxAttempts}):`, error.message);
+  }
+};
+
+/**
+ * Deliver due messages, up to one batch
+ * returns {number} Number of messages attempted
+ */
+export const processOutbox = async () => {
+  // One run at a time per process; other processes are kept apart by the claim
+  if (processing) return 0;
+  processing = true;
+
+  try {
+    let count = 0;
+    while (count < BATCH_SIZE) {
+      const message = await claimNextMessage();
+      if (!message) break;
+      await deliverMessage(message);
+      count++;
+    }
+    return count;
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Start polling the outbox in the background
+ */
+export const startEmailWorker = () => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(() => {
+    processOutbox().catch(error => console.error('❌ Email outbox error:', error.message));
+  }, WORKER_INTERVAL_MS);
+  workerTimer.unref();
+
+  console.log('📬 Email outbox worker started');
+};
+
+/**
+ * Stop polling the outbox
+ */
+export const stopEmailWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+/**
+ * Put a failed or dead message back in the queue with a fresh set of attempts
+ * param {string} id - EmailOutbox ID
+ * returns {Object|null} Updated message, or null if it isn't failed
+ */
+export const requeueEmail = async (id) => {
+  const message = await EmailOutbox.findOneAndUpdate(
+    { _id: id, status: { $in: ['retrying', 'dead'] } },
+    {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      $unset: { deadAt: 1, lockedAt: 1 },
+    },
+    { new: true }
+  );
+
+  if (message && workerTimer) {
+    setImmediate(() => processOutbox().catch(error => console.error('❌ Email outbox error:', error.message)));
+  }
+
+  return message;
+};
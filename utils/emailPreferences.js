@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import User, { EMAIL_CATEGORIES } from '../models/user.js';
+import EmailConsent from '../models/emailConsent.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+import { getClientIP } from './helpers.js';
+
+// Token scope that unsubscribes from every category
+export const ALL_CATEGORIES = 'all';
+
+const getSecret = () => process.env.EMAIL_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+
+/**
+ * Create a signed token identifying a user and an email category.
+ * Tokens don't expire: unsubscribe links must keep working in old emails.
+ * param {Object|string} userId - User ID
+ * param {string} category - Email category, or "all"
+ * returns {string} Token
+ */
+export const createUnsubscribeToken = (userId, category = ALL_CATEGORIES) => {
+  const payload = `${userId}.${category}`;
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Check an unsubscribe token
+ * param {string} token - Token from an email link
+ * returns {Object} { userId, category }
+ * throws {AppError} 400 if the token is malformed or the signature doesn't match
+ */
+export const verifyUnsubscribeToken = (token) => {
+  const [userId, category, signature] = String(token || '').split('.');
+  const validCategory = category === ALL_CATEGORIES || EMAIL_CATEGORIES.includes(category);
+
+  if (mongoose.isValidObjectId(userId) && validCategory && signature) {
+    const expected = Buffer.from(sign(`${userId}.${category}`));
+    const received = Buffer.from(signature);
+    if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+      return { userId, category };
+    }
+  }
+
+  throw new AppError('Invalid unsubscribe link', 400);
+};
+
+/**
+ * Links and headers that let a recipient opt out of an email category
+ * param {Object} user - Recipient
+ * param {string} category - Email category of the message
+ * returns {Object} { unsubscribeUrl, preferencesUrl, headers }
+ */
+export const getUnsubscribeDetails = (user, category) => {
+  const token = createUnsubscribeToken(user._id, category);
+  const oneClickUrl = `${process.env.SERVER_URL}/api/email-preferences/unsubscribe?token=${token}`;
+
+  return {
+    unsubscribeUrl: `${process.env.CLIENT_URL}/unsubscribe?token=${token}`,
+    preferencesUrl: `${process.env.CLIENT_URL}/email-preferences?token=${createUnsubscribeToken(user._id)}`,
+    // RFC 8058 one-click unsubscribe, used by mail clients' own unsubscribe button
+    headers: {
+      'List-Unsubscribe': `<${oneClickUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    },
+  };
+};
+
+/**
+ * Change a user's email preferences and record a consent entry for each category
+ * whose effective value changed
+ * param {Object} user - User document
+ * param {Object} changes - { [category]: boolean }
+ * param {Object} context - { source, req }
+ * returns {Object} Effective preferences after the change
+ */
+export const updateEmailPreferences = async (user, changes, { source, req } = {}) => {
+  const current = user.getEmailPreferences();
+  const set = {};
+  const records = [];
+
+  for (const category of EMAIL_CATEGORIES) {
+    if (typeof changes[category] !== 'boolean') continue;
+
+    set[`emailPreferences.${category}`] = changes[category];
+    if (changes[category] !== current[category]) {
+      records.push({
+        user: user._id,
+        email: user.email,
+        category,
+        granted: changes[category],
+        source,
+        ipAddress: req ? getClientIP(req) : undefined,
+        userAgent: req?.get('User-Agent'),
+      });
+    }
+  }
+
+  if (Object.keys(set).length === 0) return current;
+
+  await User.updateOne({ _id: user._id }, { $set: set });
+  for (const category of EMAIL_CATEGORIES) {
+    if (typeof changes[category] === 'boolean') {
+      user.set(`emailPreferences.${category}`, changes[category]);
+    }
+  }
+
+  if (records.length) {
+    await EmailConsent.insertMany(records);
+  }
+
+  return user.getEmailPreferences();
+};
+
+/**
+ * Opt a user out of the category an unsubscribe token was issued for
+ * param {string} token - Unsubscribe token
+ * param {Object} context - { source, req }
+ * returns {Object} { user, category, preferences }
+ * throws {AppError} 400 for a bad token, 404 if the user no longer exists
+ */
+export const unsubscribeWithToken = async (token, context) => {
+  const { userId, category } = verifyUnsubscribeToken(token);
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const categories = category === ALL_CATEGORIES ? EMAIL_CATEGORIES : [category];
+  const changes = Object.fromEntries(categories.map(name => [name, false]));
+  const preferences = await updateEmailPreferences(user, changes, context);
+
+  return { user, category, preferences };
+};
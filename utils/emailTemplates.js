@@ -0,0 +1,202 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Handlebars from 'handlebars';
+import EmailTemplate from '../models/emailTemplate.js';
+import { SUPPORTED_LOCALES } from '../models/user.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEMPLATE_DIR = path.join(__dirname, '../templates/emails');
+
+export const DEFAULT_LOCALE = 'en';
+
+// Template files hold their parts after these markers: {{!-- subject --}}, {{!-- html --}}, {{!-- text --}}
+const SECTION_MARKER = /^\{\{!-- (subject|html|text) --\}\}\s*$/gm;
+
+const sampleOrder = {
+  name: 'Jane Doe',
+  orderNumber: 'ORD-20250101-00042',
+  orderUrl: 'https://example.com/orders/123',
+  items: [
+    { name: 'Classic Oxford Shirt', options: ['Size: L', 'Color: White'], quantity: 2, total: 79.98 },
+    { name: 'Silk Tie', options: ['+ Gift wrap'], quantity: 1, total: 35 },
+  ],
+  totals: { subtotal: 114.98, discount: 10, shipping: 5.99, tax: 8.4, pricesIncludeTax: false, total: 119.37 },
+};
+
+// Links added to emails the user can unsubscribe from
+const sampleUnsubscribe = {
+  unsubscribeUrl: 'https://example.com/unsubscribe?token=sample',
+  preferencesUrl: 'https://example.com/email-preferences?token=sample',
+};
+
+// Every template that can be sent, with the data used to preview it
+export const TEMPLATE_SAMPLES = {
+  welcome: { name: 'Jane Doe', verificationUrl: 'https://example.com/verify-email?token=sample' },
+  passwordReset: { name: 'Jane Doe', resetUrl: 'https://example.com/reset-password?token=sample' },
+  passwordChanged: { name: 'Jane Doe', changedAt: new Date('2025-01-01T12:00:00Z') },
+  verificationCode: { name: 'Jane Doe', code: '123456' },
+  orderStatus: { ...sampleOrder, ...sampleUnsubscribe, status: 'Processing', note: 'Your order is being prepared.' },
+  orderConfirmation: sampleOrder,
+  paymentReceived: { ...sampleOrder, amount: 119.37 },
+  orderShipped: {
+    ...sampleOrder,
+    ...sampleUnsubscribe,
+    items: [{ name: 'Classic Oxford Shirt', options: ['Size: L', 'Color: White'], quantity: 2 }],
+    shipment: { carrier: 'DHL', trackingNumber: 'JD014600006281230704', trackingUrl: 'https://example.com/track/JD014600006281230704' },
+  },
+  orderDelivered: { ...sampleOrder, ...sampleUnsubscribe },
+  orderCancelled: { ...sampleOrder, reason: 'Ordered by mistake' },
+  refundIssued: { ...sampleOrder, amount: 35, reason: 'Damaged item' },
+};
+
+export const EMAIL_TEMPLATE_NAMES = Object.keys(TEMPLATE_SAMPLES);
+
+const engine = Handlebars.create();
+
+// Helpers read the locale from the root data so amounts and dates follow the recipient's language
+engine.registerHelper('money', (amount, options) =>
+  new Intl.NumberFormat(options.data.root.locale, {
+    style: 'currency',
+    currency: (process.env.CURRENCY || 'USD').toUpperCase(),
+  }).format(amount || 0)
+);
+engine.registerHelper('datetime', (date, options) =>
+  new Date(date || Date.now()).toLocaleString(options.data.root.locale)
+);
+engine.registerHelper('lowercase', (value) => String(value ?? '').toLowerCase());
+engine.registerHelper('join', (values, separator) => (values || []).join(typeof separator === 'string' ? separator : ', '));
+
+// Register the shared layout and partials once
+engine.registerPartial('layout', fs.readFileSync(path.join(TEMPLATE_DIR, 'layouts/default.hbs'), 'utf8'));
+for (const file of fs.readdirSync(path.join(TEMPLATE_DIR, 'partials'))) {
+  if (file.endsWith('.hbs')) {
+    engine.registerPartial(path.basename(file, '.hbs'), fs.readFileSync(path.join(TEMPLATE_DIR, 'partials', file), 'utf8'));
+  }
+}
+
+/**
+ * Split a template file into its subject, html and text parts
+ * param {string} source - File contents
+ * returns {Object} { subject, html, text }
+ */
+const parseTemplateFile = (source) => {
+  const parts = {};
+  const markers = [...source.matchAll(SECTION_MARKER)];
+
+  markers.forEach((marker, index) => {
+    const start = marker.index + marker[0].length;
+    const end = index + 1 < markers.length ? markers[index + 1].index : source.length;
+    parts[marker[1]] = source.slice(start, end).trim();
+  });
+
+  return parts;
+};
+
+const fileCache = new Map();
+
+/**
+ * Read a template file. Files are cached in production and re-read otherwise,
+ * so wording changes show up without a restart while developing.
+ * returns {Object|null} { subject, html, text } or null if there is no file
+ */
+const loadFileTemplate = (name, locale) => {
+  const key = `${locale}/${name}`;
+  if (process.env.NODE_ENV === 'production' && fileCache.has(key)) {
+    return fileCache.get(key);
+  }
+
+  const file = path.join(TEMPLATE_DIR, locale, `${name}.hbs`);
+  const template = fs.existsSync(file) ? parseTemplateFile(fs.readFileSync(file, 'utf8')) : null;
+  fileCache.set(key, template);
+  return template;
+};
+
+/**
+ * Find the template to use for a name and locale.
+ * An active database version wins over the file; the default locale is used
+ * when the requested locale has neither.
+ * param {string} name - Template name
+ * param {string} locale - Preferred locale
+ * returns {Object} { name, locale, source, subject, html, text }
+ * throws {AppError} 404 for unknown templates
+ */
+export const resolveTemplate = async (name, locale = DEFAULT_LOCALE) => {
+  if (!EMAIL_TEMPLATE_NAMES.includes(name)) {
+    throw new AppError(`Unknown email template "${name}"`, 404);
+  }
+
+  const locales = [...new Set([SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE, DEFAULT_LOCALE])];
+
+  for (const candidate of locales) {
+    const stored = await EmailTemplate.findOne({ name, locale: candidate, isActive: true });
+    if (stored) {
+      const { subject, html, text } = stored;
+      return { name, locale: candidate, source: 'database', subject, html, text };
+    }
+
+    const file = loadFileTemplate(name, candidate);
+    if (file) {
+      return { name, locale: candidate, source: 'file', ...file };
+    }
+  }
+
+  throw new AppError(`Email template "${name}" has no ${DEFAULT_LOCALE} version`, 500);
+};
+
+/**
+ * Look up the file version of a template without falling back to another locale
+ * returns {Object|null} { subject, html, text }
+ */
+export const getFileTemplate = (name, locale) => loadFileTemplate(name, locale);
+
+/**
+ * Check that template parts compile
+ * param {Object} parts - { subject, html, text }
+ * throws {AppError} 400 with the syntax error
+ */
+export const validateTemplateSyntax = (parts) => {
+  for (const section of ['subject', 'html', 'text']) {
+    if (parts[section] === undefined) continue;
+    try {
+      engine.precompile(parts[section]);
+    } catch (error) {
+      throw new AppError(`Invalid ${section} template: ${error.message}`, 400);
+    }
+  }
+};
+
+/**
+ * Render template parts with data. HTML is wrapped in the shared layout and escaped;
+ * subject and text are plain text.
+ * param {Object} template - { locale, subject, html, text }
+ * param {Object} data - Template variables
+ * returns {Object} { subject, html, text }
+ */
+export const renderTemplate = (template, data = {}) => {
+  const context = {
+    storeName: process.env.STORE_NAME || 'E-Commerce Platform',
+    year: new Date().getFullYear(),
+    ...data,
+    locale: template.locale,
+  };
+
+  const subject = engine.compile(template.subject, { noEscape: true })(context).trim();
+  const html = engine.compile(`{{#> layout}}\n${template.html}\n{{/layout}}`)({ ...context, subject });
+  const text = engine.compile(template.text, { noEscape: true })(context).replace(/\n{3,}/g, '\n\n').trim();
+
+  return { subject, html, text };
+};
+
+/**
+ * Render an email for a recipient's locale
+ * param {string} name - Template name
+ * param {string} locale - Recipient locale
+ * param {Object} data - Template variables
+ * returns {Object} { subject, html, text }
+ */
+export const renderEmail = async (name, locale, data) => {
+  const template = await resolveTemplate(name, locale);
+  return renderTemplate(template, data);
+};
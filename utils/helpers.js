@@ -202,6 +202,15 @@ export const createSlug = (text) => {
     .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
 };
 
+/**
+ * Escape text so it matches literally inside a regular expression
+ * param {string} text - User input
+ * returns {string} Escaped text
+ */
+export const escapeRegex = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
 /**
  * Debounce function
  * param {Function} func - Function to debounce
@@ -0,0 +1,59 @@
+import Product from '../models/product.js';
+import Order from '../models/order.js';
+import OrderItem from '../models/order-Item.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+
+/**
+ * Release previously reserved stock
+ * param {Array} items - Items with product, quantity and optional variant.variantId
+ */
+export const releaseStock = async (items) => {
+  for (const item of items) {
+    await Product.releaseStock(item.product, item.quantity, item.variant?.variantId);
+  }
+};
+
+/**
+ * Reserve stock for all items, all-or-nothing.
+ * If any item cannot be reserved, everything reserved so far is released again.
+ * param {Array} items - Items with product, name, quantity and optional variant.variantId
+ * throws {AppError} 409 when an item is out of stock
+ */
+export const reserveStock = async (items) => {
+  const reserved = [];
+
+  for (const item of items) {
+    const product = await Product.reserveStock(item.product, item.quantity, item.variant?.variantId);
+
+    if (!product) {
+      await releaseStock(reserved);
+
+      const label = item.variant?.value ? `${item.name} (${item.variant.value})` : item.name;
+      throw new AppError(`Insufficient stock for ${label}`, 409);
+    }
+
+    reserved.push(item);
+  }
+};
+
+/**
+ * Restore the stock held by an order exactly once.
+ * The stockReserved flag is flipped atomically so concurrent cancel/return
+ * requests cannot put the same stock back twice.
+ * param {Object} order - Order document
+ * returns {boolean} Whether stock was restored by this call
+ */
+export const restoreOrderStock = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockReserved: true },
+    { $set: { stockReserved: false } }
+  );
+
+  if (!claimed) return false;
+
+  const items = await OrderItem.find({ _id: { $in: claimed.orderItems } });
+  await releaseStock(items);
+
+  order.stockReserved = false;
+  return true;
+};
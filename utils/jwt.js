@@ -1,5 +1,12 @@
 import jwt from 'jsonwebtoken';
 
+// Access and refresh tokens use different audiences (and secrets, when JWT_REFRESH_SECRET
+// is set), so one can never be used in place of the other
+const ACCESS_AUDIENCE = 'access';
+const REFRESH_AUDIENCE = 'refresh';
+
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
 /**
  * Generate JWT token
  * @param {Object} payload - Token payload
@@ -9,20 +16,25 @@ export const generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE,
     issuer: 'ecommerce-api',
+    audience: ACCESS_AUDIENCE,
     subject: payload.id.toString(),
   });
 };
 
 /**
  * Generate refresh token (longer expiry)
- * param {Object} payload - Token payload
+ * param {Object} payload - Token payload with the user id and session id (sid)
+ * param {string} tokenId - Unique id (jti) stored on the session
+ * param {number} expiresIn - Lifetime in seconds
  * returns {String} Refresh token
  */
-export const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: '7d', // 7 days for refresh token
+export const generateRefreshToken = (payload, tokenId, expiresIn) => {
+  return jwt.sign(payload, getRefreshSecret(), {
+    expiresIn,
     issuer: 'ecommerce-api',
+    audience: REFRESH_AUDIENCE,
     subject: payload.id.toString(),
+    jwtid: tokenId,
   });
 };
 
@@ -34,6 +46,49 @@ export const generateRefreshToken = (payload) => {
 export const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET, {
     issuer: 'ecommerce-api',
+    audience: ACCESS_AUDIENCE,
+  });
+};
+
+/**
+ * Verify refresh token
+ * param {String} token - Refresh token
+ * param {Object} options - { ignoreExpiration }
+ * returns {Object} Decoded payload
+ */
+export const verifyRefreshToken = (token, { ignoreExpiration = false } = {}) => {
+  return jwt.verify(token, getRefreshSecret(), {
+    issuer: 'ecommerce-api',
+    audience: REFRESH_AUDIENCE,
+    ignoreExpiration,
+  });
+};
+
+/**
+ * Generate a short-lived token for the second step of a login
+ * param {Object} payload - { id, rememberMe }
+ * param {string} purpose - "verify" to enter a code, "enroll" to set up two-factor first
+ * returns {String} Challenge token
+ */
+export const generateChallengeToken = (payload, purpose) => {
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: '10m',
+    issuer: 'ecommerce-api',
+    audience: `2fa-${purpose}`,
+    subject: payload.id.toString(),
+  });
+};
+
+/**
+ * Verify a challenge token
+ * param {String} token - Challenge token
+ * param {string} purpose - Purpose the token must have been issued for
+ * returns {Object} Decoded payload
+ */
+export const verifyChallengeToken = (token, purpose) => {
+  return jwt.verify(token, process.env.JWT_SECRET, {
+    issuer: 'ecommerce-api',
+    audience: `2fa-${purpose}`,
   });
 };
 
@@ -64,18 +119,10 @@ export const getTokenFromHeader = (req) => {
 /**
  * Create authentication response with tokens
  * param {Object} user - User object
+ * param {Object} tokens - { accessToken, refreshToken, refreshExpiresAt } from startSession
  * returns {Object} Authentication response
  */
-export const createAuthResponse = (user) => {
-  const tokenPayload = {
-    id: user._id,
-    email: user.email,
-    role: user.role,
-  };
-  
-  const accessToken = generateToken(tokenPayload);
-  const refreshToken = generateRefreshToken(tokenPayload);
-  
+export const createAuthResponse = (user, { accessToken, refreshToken, refreshExpiresAt }) => {
   return {
     success: true,
     message: 'Authentication successful',
@@ -96,6 +143,7 @@ export const createAuthResponse = (user) => {
         refreshToken,
         tokenType: 'Bearer',
         expiresIn: process.env.JWT_EXPIRE,
+        refreshExpiresAt,
       },
     },
   };
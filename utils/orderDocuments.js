@@ -0,0 +1,273 @@
+import PDFDocument from 'pdfkit';
+
+const PAGE_MARGIN = 50;
+const FONT = 'Helvetica';
+const FONT_BOLD = 'Helvetica-Bold';
+
+const getStoreDetails = () => ({
+  name: process.env.STORE_NAME || 'E-Commerce Platform',
+  address: process.env.STORE_ADDRESS,
+  taxId: process.env.STORE_TAX_ID,
+});
+
+const formatMoney = (amount) =>
+  new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: (process.env.CURRENCY || 'USD').toUpperCase(),
+  }).format(amount || 0);
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+
+const formatAddress = (address = {}) => [
+  [address.street, address.apartment].filter(Boolean).join(', '),
+  [address.city, address.state, address.postalCode].filter(Boolean).join(', '),
+  address.country,
+].filter(Boolean);
+
+/**
+ * Describe the options chosen for an order item, one per line
+ * param {Object} item - OrderItem document
+ * returns {Array} Lines such as "Size: XL" or "Gift wrap"
+ */
+export const describeItemOptions = (item) => {
+  const lines = [];
+
+  if (item.variant?.name) lines.push(`${item.variant.name}: ${item.variant.value}`);
+  if (item.version?.version) lines.push(`Version: ${item.version.version}`);
+  for (const option of item.colorMaterialOptions || []) {
+    lines.push(`${option.type ? option.type[0].toUpperCase() + option.type.slice(1) : 'Option'}: ${option.name}`);
+  }
+  for (const service of item.additionalServices || []) {
+    lines.push(`+ ${service.name}`);
+  }
+
+  return lines;
+};
+
+// Collect a finished document into a buffer
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+// Start a new page when fewer than `height` points are left
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+};
+
+const drawHeader = (doc, title, details) => {
+  const store = getStoreDetails();
+  const top = doc.y;
+
+  doc.font(FONT_BOLD).fontSize(18).text(store.name, PAGE_MARGIN, top);
+  doc.font(FONT).fontSize(9);
+  if (store.address) doc.text(store.address);
+  if (store.taxId) doc.text(`Tax ID: ${store.taxId}`);
+  const leftBottom = doc.y;
+
+  doc.font(FONT_BOLD).fontSize(16).text(title, 300, top, { width: 245, align: 'right' });
+  doc.font(FONT).fontSize(9);
+  for (const [label, value] of details) {
+    doc.text(`${label}: ${value}`, 300, doc.y, { width: 245, align: 'right' });
+  }
+
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+};
+
+const drawAddressBlocks = (doc, blocks) => {
+  const top = doc.y;
+  let bottom = top;
+
+  blocks.forEach(([heading, lines], index) => {
+    const x = PAGE_MARGIN + index * 250;
+    doc.font(FONT_BOLD).fontSize(10).text(heading, x, top, { width: 230 });
+    doc.font(FONT).fontSize(9);
+    for (const line of lines) doc.text(line, x, doc.y, { width: 230 });
+    bottom = Math.max(bottom, doc.y);
+  });
+
+  doc.y = bottom + 20;
+};
+
+/**
+ * Draw a table with a repeated header row on every page
+ * param {Object} doc - PDFDocument
+ * param {Array} columns - { header, width, align }
+ * param {Array} rows - Each row is an array of cells; a cell may be a string or an array of lines
+ */
+const drawTable = (doc, columns, rows) => {
+  const drawRow = (cells, font) => {
+    const top = doc.y;
+    let x = PAGE_MARGIN;
+    let bottom = top;
+
+    cells.forEach((cell, index) => {
+      const { width, align = 'left' } = columns[index];
+      const [first, ...rest] = Array.isArray(cell) ? cell : [cell];
+
+      doc.font(font).fontSize(9).text(first ?? '', x, top, { width, align });
+      if (rest.length) {
+        doc.font(FONT).fontSize(8).fillColor('#555555').text(rest.join('\n'), x, doc.y, { width, align });
+        doc.fillColor('#000000');
+      }
+
+      bottom = Math.max(bottom, doc.y);
+      x += width;
+    });
+
+    doc.y = bottom + 6;
+  };
+
+  const drawHeaderRow = () => {
+    drawRow(columns.map(column => column.header), FONT_BOLD);
+    doc.moveTo(PAGE_MARGIN, doc.y - 3).lineTo(doc.page.width - PAGE_MARGIN, doc.y - 3).stroke();
+  };
+
+  drawHeaderRow();
+  for (const row of rows) {
+    const lineCount = Array.isArray(row[0]) ? row[0].length : 1;
+    if (doc.y + lineCount * 12 + 6 > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+      drawHeaderRow();
+    }
+    drawRow(row, FONT);
+  }
+
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).stroke();
+  doc.y += 10;
+};
+
+const drawTotals = (doc, rows) => {
+  ensureSpace(doc, rows.length * 16);
+
+  for (const { label, value, bold } of rows) {
+    const top = doc.y;
+    doc.font(bold ? FONT_BOLD : FONT).fontSize(bold ? 11 : 9);
+    doc.text(label, 300, top, { width: 145, align: 'right' });
+    doc.text(value, 445, top, { width: 100, align: 'right' });
+    doc.y += 4;
+  }
+};
+
+/**
+ * Render an invoice for an order
+ * param {Object} order - Order with user and orderItems populated and an invoice number
+ * returns {Promise<Buffer>} PDF file
+ */
+export const renderInvoicePdf = (order) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `Invoice ${order.invoiceNumber}` } });
+
+  drawHeader(doc, 'INVOICE', [
+    ['Invoice number', order.invoiceNumber],
+    ['Invoice date', formatDate(order.invoicedAt)],
+    ['Order number', order.orderNumber],
+    ['Order date', formatDate(order.createdAt)],
+    ['Payment', `${order.paymentMethod} (${order.paymentStatus})`],
+  ]);
+
+  drawAddressBlocks(doc, [
+    ['Bill to', [order.user?.name, order.user?.email, order.phone].filter(Boolean)],
+    ['Ship to', formatAddress(order.shippingAddress)],
+  ]);
+
+  drawTable(
+    doc,
+    [
+      { header: 'Item', width: 235 },
+      { header: 'Qty', width: 40, align: 'right' },
+      { header: 'Unit price', width: 80, align: 'right' },
+      { header: 'Tax', width: 60, align: 'right' },
+      { header: 'Amount', width: 80, align: 'right' },
+    ],
+    order.orderItems.map(item => [
+      [item.name, ...(item.sku ? [`SKU: ${item.sku}`] : []), ...describeItemOptions(item)],
+      String(item.quantity),
+      formatMoney(item.price),
+      `${item.taxRate || 0}%`,
+      formatMoney(item.lineTotal),
+    ])
+  );
+
+  const totals = [{ label: 'Subtotal', value: formatMoney(order.itemsPrice) }];
+
+  if (order.discountPrice > 0) {
+    const names = order.promotions.map(promotion => promotion.code || promotion.name).filter(Boolean);
+    totals.push({
+      label: names.length ? `Discount (${names.join(', ')})` : 'Discount',
+      value: `-${formatMoney(order.discountPrice)}`,
+    });
+  }
+
+  totals.push({
+    label: order.shippingMethod?.name ? `Shipping (${order.shippingMethod.name})` : 'Shipping',
+    value: formatMoney(order.shippingPrice),
+  });
+
+  const taxLines = order.taxBreakdown.length
+    ? order.taxBreakdown
+    : [{ name: 'Tax', amount: order.taxPrice }];
+  for (const line of taxLines) {
+    const rate = line.rate !== undefined ? ` ${line.rate}%` : '';
+    const base = line.taxableAmount !== undefined ? ` on ${formatMoney(line.taxableAmount)}` : '';
+    totals.push({
+      label: `${line.name || 'Tax'}${rate}${base}${order.pricesIncludeTax ? ' (included)' : ''}`,
+      value: formatMoney(line.amount),
+    });
+  }
+
+  totals.push({ label: 'Total', value: formatMoney(order.totalPrice), bold: true });
+
+  if (order.refundedAmount > 0) {
+    totals.push({ label: 'Refunded', value: `-${formatMoney(order.refundedAmount)}` });
+  }
+
+  drawTotals(doc, totals);
+
+  return toBuffer(doc);
+};
+
+/**
+ * Render a packing slip for an order. It lists what to pack, without prices.
+ * param {Object} order - Order with orderItems populated
+ * returns {Promise<Buffer>} PDF file
+ */
+export const renderPackingSlipPdf = (order) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `Packing slip ${order.orderNumber}` } });
+
+  drawHeader(doc, 'PACKING SLIP', [
+    ['Order number', order.orderNumber],
+    ['Order date', formatDate(order.createdAt)],
+    ['Shipping method', order.shippingMethod?.name || '-'],
+  ]);
+
+  drawAddressBlocks(doc, [
+    ['Ship to', [order.user?.name, ...formatAddress(order.shippingAddress), order.phone].filter(Boolean)],
+  ]);
+
+  drawTable(
+    doc,
+    [
+      { header: 'Item', width: 295 },
+      { header: 'SKU', width: 150 },
+      { header: 'Qty', width: 50, align: 'right' },
+    ],
+    order.orderItems.map(item => [
+      [item.name, ...describeItemOptions(item)],
+      item.variant?.sku || item.sku || '-',
+      String(item.quantity),
+    ])
+  );
+
+  if (order.notes) {
+    ensureSpace(doc, 40);
+    doc.font(FONT_BOLD).fontSize(10).text('Notes', PAGE_MARGIN, doc.y);
+    doc.font(FONT).fontSize(9).text(order.notes, PAGE_MARGIN, doc.y, { width: 495 });
+  }
+
+  return toBuffer(doc);
+};
@@ -0,0 +1,66 @@
+import Order from '../models/order.js';
+import User from '../models/user.js';
+import {
+  sendOrderConfirmationEmail,
+  sendPaymentReceivedEmail,
+  sendOrderShippedEmail,
+  sendOrderDeliveredEmail,
+  sendOrderCancelledEmail,
+  sendRefundIssuedEmail,
+  sendOrderStatusEmail,
+} from './email.js';
+
+// Sender for each order email, called with (user, order, details).
+// Status, shipped and delivered emails are order updates the user can opt out of;
+// the rest are receipts and always sent.
+const ORDER_EMAILS = {
+  confirmation: (user, order) => sendOrderConfirmationEmail(user, order),
+  paymentReceived: (user, order) => sendPaymentReceivedEmail(user, order),
+  shipped: (user, order, { shipment }) => sendOrderShippedEmail(user, order, shipment),
+  delivered: (user, order) => sendOrderDeliveredEmail(user, order),
+  cancelled: (user, order, { note }) => sendOrderCancelledEmail(user, order, order.cancellationReason || note),
+  refundIssued: (user, order, { refund }) => sendRefundIssuedEmail(user, order, refund),
+  status: (user, order, { note }) => sendOrderStatusEmail(user, order, note),
+};
+
+/**
+ * Email the customer about an order event.
+ * Failures are logged and never thrown, so a mail outage can't undo the action that triggered it.
+ * param {string} type - Key of ORDER_EMAILS
+ * param {Object|string} orderId - Order ID
+ * param {Object} details - Extra data for the email, e.g. { shipment } or { refund }
+ */
+export const notifyOrder = async (type, orderId, details = {}) => {
+  try {
+    const order = await Order.findById(orderId).populate('orderItems');
+    if (!order) return;
+
+    const user = await User.findById(order.user).select('name email locale marketingEmails emailPreferences');
+    if (!user) return;
+
+    await ORDER_EMAILS[type](user, order, details);
+  } catch (error) {
+    console.error(`❌ Order ${orderId} ${type} email failed:`, error.message);
+  }
+};
+
+/**
+ * Email the customer about an order status change.
+ * Shipping statuses are skipped because each shipment sends its own email with tracking.
+ * param {Object} order - Order document
+ * param {string} status - Status the order moved to
+ * param {string} note - Optional note from the person who changed the status
+ */
+export const notifyOrderStatus = (order, status, note) => {
+  switch (status) {
+    case 'Partially Shipped':
+    case 'Shipped':
+      return undefined;
+    case 'Delivered':
+      return notifyOrder('delivered', order._id);
+    case 'Cancelled':
+      return notifyOrder('cancelled', order._id, { note });
+    default:
+      return notifyOrder('status', order._id, { note });
+  }
+};
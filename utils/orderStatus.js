@@ -0,0 +1,85 @@
+import Order from '../models/order.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+import { restoreOrderStock } from './inventory.js';
+import { releasePromotions } from './promotions.js';
+import { notifyOrderStatus } from './orderNotifications.js';
+
+// Timestamp set when an order enters a status
+const STATUS_TIMESTAMPS = {
+  Shipped: 'shippedAt',
+  Delivered: 'deliveredAt',
+  Cancelled: 'cancelledAt',
+  Returned: 'returnedAt',
+};
+
+// Side effects keyed by the status being entered ('*' runs for every change)
+const statusHooks = new Map();
+
+/**
+ * Register a side effect to run after an order enters a status
+ * param {string} status - Order status, or '*' for every change
+ * param {Function} handler - async (order, { from, to, changedBy, note }) => void
+ */
+export const onOrderStatus = (status, handler) => {
+  if (!statusHooks.has(status)) statusHooks.set(status, []);
+  statusHooks.get(status).push(handler);
+};
+
+/**
+ * Move an order to a new status.
+ * The transition is checked against ORDER_STATUS_TRANSITIONS and applied atomically,
+ * so two admins can't both move the same order out of its current status.
+ * Hooks run after the change is stored; a failing hook is logged and does not undo it.
+ * param {Object} order - Order document
+ * param {string} status - New status
+ * param {Object} options - { changedBy, note, update } where update holds extra fields to set
+ * returns {Object} Updated order document
+ * throws {AppError} 400 for a disallowed transition, 409 if the order changed meanwhile
+ */
+export const changeOrderStatus = async (order, status, { changedBy, note, update = {} } = {}) => {
+  const from = order.status;
+
+  if (!order.canTransitionTo(status)) {
+    throw new AppError(`Order cannot be moved from ${from} to ${status}`, 400);
+  }
+
+  const changedAt = new Date();
+  const set = { ...update, status };
+  if (STATUS_TIMESTAMPS[status]) {
+    set[STATUS_TIMESTAMPS[status]] = changedAt;
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: from },
+    {
+      $set: set,
+      $push: { statusHistory: { status, from, changedBy, note, changedAt } },
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw new AppError('Order status was changed by someone else. Please reload and try again.', 409);
+  }
+
+  const hooks = [...(statusHooks.get(status) || []), ...(statusHooks.get('*') || [])];
+  for (const hook of hooks) {
+    try {
+      await hook(updated, { from, to: status, changedBy, note });
+    } catch (error) {
+      console.error(`❌ Order ${updated.orderNumber} ${status} hook failed:`, error.message);
+    }
+  }
+
+  return updated;
+};
+
+// Cancelled and returned goods go back into stock
+onOrderStatus('Cancelled', (order) => restoreOrderStock(order));
+onOrderStatus('Returned', (order) => restoreOrderStock(order));
+
+// Coupons used on an order that never went through can be used again
+onOrderStatus('Cancelled', (order) => releasePromotions(order._id));
+
+// Let the customer know about every change
+onOrderStatus('*', (order, { to, note }) => notifyOrderStatus(order, to, note));
@@ -0,0 +1,59 @@
+// Normalized event types every provider reports
+export const PAYMENT_EVENTS = {
+  AUTHORIZED: 'payment.authorized',
+  CAPTURED: 'payment.captured',
+  FAILED: 'payment.failed',
+  REFUNDED: 'payment.refunded',
+};
+
+/**
+ * Base class for payment providers.
+ * Every call returns a normalized event:
+ * { id, type, transactionId, amount, currency, refundId, message, occurredAt }
+ * which is applied to the payment and order by applyPaymentEvent.
+ */
+export default class PaymentProvider {
+  /**
+   * param {string} name - Provider name used in routes and stored on payments
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Reserve funds for an order
+   * param {Object} options - { amount, currency, reference, paymentDetails }
+   * returns {Promise<Object>} AUTHORIZED or FAILED event
+   */
+  async authorize() {
+    throw new Error(`${this.name} provider does not implement authorize`);
+  }
+
+  /**
+   * Collect previously authorized funds
+   * param {Object} options - { transactionId, amount, currency }
+   * returns {Promise<Object>} CAPTURED or FAILED event
+   */
+  async capture() {
+    throw new Error(`${this.name} provider does not implement capture`);
+  }
+
+  /**
+   * Give back captured funds
+   * param {Object} options - { transactionId, amount, currency, reason }
+   * returns {Promise<Object>} REFUNDED event
+   */
+  async refund() {
+    throw new Error(`${this.name} provider does not implement refund`);
+  }
+
+  /**
+   * Verify and parse a webhook request from the provider
+   * param {Object} request - { rawBody, headers }
+   * returns {Object} Normalized event
+   * throws {Error} When the signature is invalid
+   */
+  parseWebhook() {
+    throw new Error(`${this.name} provider does not implement webhooks`);
+  }
+}
@@ -0,0 +1,326 @@
+import Order, { PAYMENT_METHODS } from '../../models/order.js';
+import Payment from '../../models/payment.js';
+import { AppError } from '../../middleware/errorMiddleware.js';
+import { roundPrice } from '../pricing.js';
+import { notifyOrder } from '../orderNotifications.js';
+import { PAYMENT_EVENTS } from './PaymentProvider.js';
+import MockPaymentProvider from './mockProvider.js';
+
+export { PAYMENT_EVENTS };
+
+// Paid outside the app and settled by hand
+export const MANUAL_PAYMENT_METHODS = ['Cash on Delivery', 'Bank Transfer'];
+
+const providers = new Map();
+
+/**
+ * Make a provider available by its name
+ * param {Object} provider - PaymentProvider instance
+ */
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Look up a registered provider
+ * param {string} name - Provider name
+ * returns {Object|undefined} PaymentProvider instance
+ */
+export const getPaymentProvider = (name) => providers.get(name);
+
+// Settings variable naming the provider for a payment method, e.g. PAYMENT_PROVIDER_CREDIT_CARD
+const getProviderSetting = (method) => `PAYMENT_PROVIDER_${method.toUpperCase().replace(/\W+/g, '_')}`;
+
+/**
+ * Provider that handles a payment method: PAYMENT_PROVIDER_<METHOD>, then PAYMENT_PROVIDER.
+ * Outside production an unconfigured method falls back to the mock provider; in
+ * production every online method needs a real provider and the mock is refused.
+ * returns null for manual methods such as cash on delivery.
+ * param {string} method - One of PAYMENT_METHODS
+ * returns {Object|null} PaymentProvider instance
+ * throws {AppError} 500 when the method has no usable provider
+ */
+export const getProviderForMethod = (method) => {
+  if (MANUAL_PAYMENT_METHODS.includes(method)) return null;
+
+  const production = process.env.NODE_ENV === 'production';
+  const name = process.env[getProviderSetting(method)] || process.env.PAYMENT_PROVIDER || (production ? null : 'mock');
+
+  if (!name) {
+    throw new AppError(`No payment provider is configured for ${method}; set ${getProviderSetting(method)}`, 500);
+  }
+  if (production && name === 'mock') {
+    throw new AppError(`The mock payment provider cannot take ${method} payments in production`, 500);
+  }
+
+  const provider = getPaymentProvider(name);
+  if (!provider) {
+    throw new AppError(`Payment provider "${name}" is not configured`, 500);
+  }
+  return provider;
+};
+
+/**
+ * Provider that handles an order's payment method, see getProviderForMethod
+ * param {Object} order - Order document
+ * returns {Object|null} PaymentProvider instance
+ */
+export const getProviderForOrder = (order) => getProviderForMethod(order.paymentMethod);
+
+/**
+ * Check at startup that the providers named in the settings exist, so a typo
+ * stops the server instead of the first checkout. Methods without a setting are
+ * left alone; a shop may only take offline payments, and paying for such an
+ * order online fails in payOrder.
+ * throws {AppError} naming the first method whose provider can't be used
+ */
+export const assertPaymentProvidersConfigured = () => {
+  for (const method of PAYMENT_METHODS) {
+    if (process.env[getProviderSetting(method)] || process.env.PAYMENT_PROVIDER) {
+      getProviderForMethod(method);
+    }
+  }
+};
+
+const getCurrency = () => (process.env.CURRENCY || 'USD').toUpperCase();
+
+/**
+ * Apply a normalized provider event to its payment and order.
+ * Updates are conditional on the current status, so an event can only move
+ * a payment forward (e.g. a late "authorized" can't undo a capture), and a
+ * refund is only counted once per provider refund ID.
+ * param {string} providerName - Provider that sent the event
+ * param {Object} event - Normalized event
+ * returns {Object} { payment, applied } - payment is null if no payment matches,
+ * applied is false when the event changed nothing
+ */
+export const applyPaymentEvent = async (providerName, event) => {
+  const payment = await Payment.findOne({ provider: providerName, transactionId: event.transactionId });
+  if (!payment) return { payment: null, applied: false };
+
+  const occurredAt = event.occurredAt || new Date();
+
+  switch (event.type) {
+    case PAYMENT_EVENTS.AUTHORIZED: {
+      const updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: 'pending' },
+        { status: 'authorized', authorizedAt: occurredAt },
+        { new: true }
+      );
+      if (updated) {
+        await Order.updateOne(
+          { _id: payment.order, paymentStatus: { $in: ['Pending', 'Failed'] } },
+          { paymentStatus: 'Processing' }
+        );
+      }
+      return { payment: updated || payment, applied: Boolean(updated) };
+    }
+
+    case PAYMENT_EVENTS.CAPTURED: {
+      const updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: ['pending', 'authorized'] } },
+        { status: 'captured', capturedAmount: event.amount ?? payment.amount, capturedAt: occurredAt },
+        { new: true }
+      );
+      if (updated) {
+        const result = await Order.updateOne(
+          { _id: payment.order, paymentStatus: { $in: ['Pending', 'Processing', 'Failed'] } },
+          {
+            paymentStatus: 'Paid',
+            paidAt: occurredAt,
+            paymentResult: {
+              id: payment.transactionId,
+              status: 'captured',
+              updateTime: occurredAt.toISOString(),
+            },
+          }
+        );
+        if (result.modifiedCount > 0) {
+          await notifyOrder('paymentReceived', payment.order);
+        }
+      }
+      return { payment: updated || payment, applied: Boolean(updated) };
+    }
+
+    case PAYMENT_EVENTS.FAILED: {
+      const updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: ['pending', 'authorized'] } },
+        { status: 'failed', failureMessage: event.message, failedAt: occurredAt },
+        { new: true }
+      );
+      if (updated) {
+        await Order.updateOne(
+          { _id: payment.order, paymentStatus: { $in: ['Pending', 'Processing'] } },
+          { paymentStatus: 'Failed' }
+        );
+      }
+      return { payment: updated || payment, applied: Boolean(updated) };
+    }
+
+    case PAYMENT_EVENTS.REFUNDED: {
+      // The order's refunded amount and status are kept by recordRefund
+      const updated = await Payment.findOneAndUpdate(
+        {
+          _id: payment._id,
+          status: { $in: ['captured', 'partially_refunded'] },
+          refundIds: { $ne: event.refundId },
+        },
+        [
+          {
+            $set: {
+              refundedAmount: { $add: ['$refundedAmount', event.amount] },
+              refundIds: { $concatArrays: ['$refundIds', [event.refundId]] },
+            },
+          },
+          {
+            $set: {
+              status: {
+                $cond: [{ $gte: ['$refundedAmount', '$capturedAmount'] }, 'refunded', 'partially_refunded'],
+              },
+            },
+          },
+        ],
+        { new: true }
+      );
+      return { payment: updated || payment, applied: Boolean(updated) };
+    }
+
+    default:
+      return { payment, applied: false };
+  }
+};
+
+/**
+ * Collect the authorized payment on an order
+ * param {Object} order - Order document
+ * returns {Object} Updated payment
+ * throws {AppError} 400 when there is nothing to capture
+ */
+export const captureOrderPayment = async (order) => {
+  const payment = await Payment.findOne({ order: order._id, status: 'authorized' }).sort({ createdAt: -1 });
+  if (!payment) {
+    throw new AppError('There is no authorized payment to capture for this order', 400);
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const event = await provider.capture({
+    transactionId: payment.transactionId,
+    amount: payment.amount,
+    currency: payment.currency,
+  });
+
+  const { payment: updated } = await applyPaymentEvent(provider.name, event);
+  return updated;
+};
+
+// A payment claim older than this belongs to a request that died mid-payment
+const STALE_PAYMENT_LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Start paying for an order through its provider.
+ * The order is claimed atomically before the provider is called, so concurrent
+ * requests can't both charge the customer.
+ * Payments are captured straight away unless PAYMENT_AUTO_CAPTURE=false.
+ * param {Object} order - Order document
+ * param {Object} paymentDetails - Provider specific details such as a card token
+ * returns {Object} Payment
+ * throws {AppError} 400 when the order can't be paid online, 409 while another payment is in progress
+ */
+export const payOrder = async (order, paymentDetails = {}) => {
+  const provider = getProviderForOrder(order);
+
+  if (!provider) {
+    throw new AppError(`${order.paymentMethod} orders are paid offline`, 400);
+  }
+  if (order.status === 'Cancelled') {
+    throw new AppError('Cancelled orders cannot be paid', 400);
+  }
+  if (!['Pending', 'Failed'].includes(order.paymentStatus)) {
+    throw new AppError(`Order payment is already ${order.paymentStatus.toLowerCase()}`, 400);
+  }
+
+  const lockedAt = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: { $ne: 'Cancelled' },
+      paymentStatus: { $in: ['Pending', 'Failed'] },
+      $or: [
+        { paymentLockedAt: null },
+        { paymentLockedAt: { $lt: new Date(lockedAt.getTime() - STALE_PAYMENT_LOCK_MS) } },
+      ],
+    },
+    { paymentLockedAt: lockedAt },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw new AppError('A payment for this order is already in progress', 409);
+  }
+
+  try {
+    if (await Payment.exists({ order: order._id, status: { $in: ['authorized', 'captured'] } })) {
+      throw new AppError('A payment is already authorized for this order', 409);
+    }
+
+    const amount = roundPrice(claimed.totalPrice);
+    const currency = getCurrency();
+    const event = await provider.authorize({
+      amount,
+      currency,
+      reference: claimed.orderNumber,
+      paymentDetails,
+    });
+
+    await Payment.create({
+      order: order._id,
+      user: order.user,
+      provider: provider.name,
+      transactionId: event.transactionId,
+      amount,
+      currency,
+    });
+
+    const { payment } = await applyPaymentEvent(provider.name, event);
+
+    if (event.type === PAYMENT_EVENTS.AUTHORIZED && process.env.PAYMENT_AUTO_CAPTURE !== 'false') {
+      return await captureOrderPayment(order);
+    }
+
+    return payment;
+  } finally {
+    await Order.updateOne({ _id: order._id, paymentLockedAt: lockedAt }, { $unset: { paymentLockedAt: 1 } });
+  }
+};
+
+/**
+ * Send money back through the provider that captured the order's payment.
+ * Orders paid by a manual method have no provider payment; null is returned and
+ * the refund is settled by hand.
+ * param {Object} order - Order document
+ * param {number} amount - Amount to refund
+ * param {string} reason - Reason shown to the provider
+ * returns {Object|null} { provider, refundId }, or null when there is no provider payment
+ */
+export const refundOrderPayment = async (order, amount, reason) => {
+  const payment = await Payment.findOne({
+    order: order._id,
+    status: { $in: ['captured', 'partially_refunded'] },
+  }).sort({ createdAt: -1 });
+
+  if (!payment) return null;
+
+  const provider = getPaymentProvider(payment.provider);
+  const event = await provider.refund({
+    transactionId: payment.transactionId,
+    amount,
+    currency: payment.currency,
+    reason,
+  });
+
+  await applyPaymentEvent(provider.name, event);
+
+  return { provider: provider.name, refundId: event.refundId };
+};
+
+registerPaymentProvider(new MockPaymentProvider());
@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import PaymentProvider, { PAYMENT_EVENTS } from './PaymentProvider.js';
+
+// Card tokens that make the mock behave like a real gateway would on failure
+export const MOCK_DECLINE_TOKENS = {
+  tok_declined: 'Your card was declined',
+  tok_insufficient_funds: 'Your card has insufficient funds',
+};
+
+export const MOCK_SIGNATURE_HEADER = 'x-mock-signature';
+
+// Signatures older than this are rejected to stop replayed webhooks
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const getWebhookSecret = () => {
+  const secret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  if (!secret && process.env.NODE_ENV === 'production') {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not configured');
+  }
+  return secret || 'mock_webhook_secret';
+};
+
+const computeSignature = (timestamp, rawBody) =>
+  crypto.createHmac('sha256', getWebhookSecret()).update(`${timestamp}.${rawBody}`).digest('hex');
+
+/**
+ * Offline payment gateway. Every call succeeds immediately unless a
+ * decline token is used, so the whole checkout can run without network access.
+ */
+class MockPaymentProvider extends PaymentProvider {
+  constructor() {
+    super('mock');
+  }
+
+  event(type, fields) {
+    return {
+      id: newId('evt'),
+      type,
+      occurredAt: new Date(),
+      ...fields,
+    };
+  }
+
+  async authorize({ amount, currency, paymentDetails = {} }) {
+    const transactionId = newId('mock_txn');
+    const declineMessage = MOCK_DECLINE_TOKENS[paymentDetails.token];
+
+    if (declineMessage) {
+      return this.event(PAYMENT_EVENTS.FAILED, { transactionId, amount, currency, message: declineMessage });
+    }
+
+    return this.event(PAYMENT_EVENTS.AUTHORIZED, { transactionId, amount, currency });
+  }
+
+  async capture({ transactionId, amount, currency }) {
+    return this.event(PAYMENT_EVENTS.CAPTURED, { transactionId, amount, currency });
+  }
+
+  async refund({ transactionId, amount, currency }) {
+    return this.event(PAYMENT_EVENTS.REFUNDED, {
+      transactionId,
+      amount,
+      currency,
+      refundId: newId('mock_re'),
+    });
+  }
+
+  /**
+   * Sign a webhook payload the way the mock gateway would, for local testing
+   * param {string} rawBody - JSON payload
+   * returns {string} Value for the x-mock-signature header
+   */
+  signWebhook(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${computeSignature(timestamp, rawBody)}`;
+  }
+
+  parseWebhook({ rawBody, headers }) {
+    const header = headers[MOCK_SIGNATURE_HEADER] || '';
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+
+    if (!timestamp || !parts.v1) {
+      throw new Error('Missing webhook signature');
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Webhook signature has expired');
+    }
+
+    const expected = Buffer.from(computeSignature(timestamp, rawBody));
+    const received = Buffer.from(parts.v1);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const payload = JSON.parse(rawBody);
+    return {
+      id: payload.id,
+      type: payload.type,
+      transactionId: payload.transactionId,
+      amount: payload.amount,
+      currency: payload.currency,
+      refundId: payload.refundId,
+      message: payload.message,
+      occurredAt: payload.occurredAt ? new Date(payload.occurredAt) : new Date(),
+    };
+  }
+}
+
+export default MockPaymentProvider;
@@ -0,0 +1,124 @@
+import Order from '../../models/order.js';
+import Payment from '../../models/payment.js';
+import PaymentEvent from '../../models/paymentEvent.js';
+import Refund from '../../models/refund.js';
+import { AppError } from '../../middleware/errorMiddleware.js';
+import { recordRefund } from '../returns.js';
+import { PAYMENT_EVENTS, applyPaymentEvent } from './index.js';
+
+// A claim older than this is treated as abandoned (e.g. the server restarted mid-event)
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * Put a refund made at the provider (e.g. from its dashboard) on the order.
+ * Refunds started through recordRefund are already known and skipped.
+ * param {string} providerName - Provider that sent the event
+ * param {Object} payment - Payment document
+ * param {Object} event - Normalized REFUNDED event
+ */
+const recordProviderRefund = async (providerName, payment, event) => {
+  const known = payment.refundIds.includes(event.refundId)
+    || await Refund.exists({ provider: providerName, providerRefundId: event.refundId });
+  if (known) return;
+
+  const order = await Order.findById(payment.order);
+  await recordRefund(order, {
+    amount: event.amount,
+    reason: 'Refunded through the payment provider',
+    providerRefund: { provider: providerName, refundId: event.refundId },
+  });
+};
+
+/**
+ * Apply a webhook event to its payment and order
+ * returns {Object} { payment, applied }
+ * throws {AppError} 404 when no payment matches yet, so the provider retries later
+ */
+const handleEvent = async (providerName, event) => {
+  if (!Object.values(PAYMENT_EVENTS).includes(event.type)) {
+    return { payment: null, applied: false };
+  }
+
+  const payment = await Payment.findOne({ provider: providerName, transactionId: event.transactionId });
+  if (!payment) {
+    throw new AppError('No payment matches this event', 404);
+  }
+
+  if (event.type === PAYMENT_EVENTS.REFUNDED) {
+    if (!event.refundId) {
+      throw new AppError('Refund events must include a refund ID', 400);
+    }
+    await recordProviderRefund(providerName, payment, event);
+  }
+
+  const { applied } = await applyPaymentEvent(providerName, event);
+  return { payment, applied };
+};
+
+/**
+ * Store a verified webhook event and apply it exactly once.
+ * Events are deduplicated by provider and event ID; a redelivered event that was
+ * already processed is acknowledged without being applied again, and one that
+ * failed is retried.
+ * param {string} providerName - Provider that sent the event
+ * param {Object} event - Normalized event from provider.parseWebhook
+ * returns {Object} { event, duplicate } - event is the stored PaymentEvent
+ * throws {AppError} 409 while the same event is being processed by another request
+ */
+export const processWebhookEvent = async (providerName, event) => {
+  if (!event.id || !event.type) {
+    throw new AppError('Webhook event must include an ID and type', 400);
+  }
+
+  try {
+    await PaymentEvent.create({
+      provider: providerName,
+      eventId: event.id,
+      type: event.type,
+      transactionId: event.transactionId,
+      payload: event,
+    });
+  } catch (error) {
+    // Duplicate key: the event has been received before
+    if (error.code !== 11000) throw error;
+  }
+
+  const claimed = await PaymentEvent.findOneAndUpdate(
+    {
+      provider: providerName,
+      eventId: event.id,
+      $or: [
+        { status: { $in: ['received', 'failed'] } },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } },
+      ],
+    },
+    { status: 'processing', $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const existing = await PaymentEvent.findOne({ provider: providerName, eventId: event.id });
+    if (existing.status === 'processing') {
+      throw new AppError('Event is already being processed', 409);
+    }
+    return { event: existing, duplicate: true };
+  }
+
+  try {
+    const { payment, applied } = await handleEvent(providerName, event);
+
+    claimed.status = applied ? 'processed' : 'ignored';
+    claimed.payment = payment?._id;
+    claimed.order = payment?.order;
+    claimed.lastError = undefined;
+    claimed.processedAt = new Date();
+    await claimed.save();
+  } catch (error) {
+    claimed.status = 'failed';
+    claimed.lastError = error.message;
+    await claimed.save();
+    throw error;
+  }
+
+  return { event: claimed, duplicate: false };
+};
@@ -0,0 +1,53 @@
+import Role, { PERMISSIONS, SUPER_ADMIN_ROLE } from '../models/role.js';
+import User from '../models/user.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+
+/**
+ * Collect the permissions granted by all of a user's roles
+ * param {Object} user - User document
+ * returns {Set} Permission names
+ */
+export const getUserPermissions = async (user) => {
+  const roleNames = user.getRoleNames();
+  if (roleNames.includes(SUPER_ADMIN_ROLE)) {
+    return new Set(PERMISSIONS);
+  }
+
+  const roles = await Role.find({ name: { $in: roleNames } }).select('permissions').lean();
+  return new Set(roles.flatMap(role => role.permissions));
+};
+
+/**
+ * Check whether the authenticated user has a permission.
+ * The user's permissions are looked up once per request.
+ * param {Object} req - Express request
+ * param {string} permission - One of PERMISSIONS
+ * returns {boolean} false for anonymous requests
+ */
+export const hasPermission = async (req, permission) => {
+  if (!req.user) return false;
+
+  if (!req.permissions) {
+    req.permissions = await getUserPermissions(req.user);
+  }
+  return req.permissions.has(permission);
+};
+
+/**
+ * Replace the extra roles a user holds
+ * param {Object|string} userId - User ID
+ * param {Array} roleNames - Role names
+ * returns {Object|null} Updated user, or null if there is no such user
+ * throws {AppError} 400 if a role doesn't exist
+ */
+export const setUserRoles = async (userId, roleNames) => {
+  const names = [...new Set(roleNames)];
+  const existing = await Role.find({ name: { $in: names } }).distinct('name');
+  const missing = names.filter(name => !existing.includes(name));
+
+  if (missing.length) {
+    throw new AppError(`Unknown role: ${missing.join(', ')}`, 400);
+  }
+
+  return User.findByIdAndUpdate(userId, { roles: names }, { new: true });
+};
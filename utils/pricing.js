@@ -0,0 +1,157 @@
+import { AppError } from '../middleware/errorMiddleware.js';
+
+/**
+ * Round a monetary amount to 2 decimal places
+ * param {number} value - Amount to round
+ * returns {number} Rounded amount
+ */
+export const roundPrice = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Normalize a list of IDs that may arrive as an array or comma separated string
+ * param {Array|string} value - IDs
+ * returns {Array<string>} IDs
+ */
+const toIdList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(String);
+  return String(value).split(',').map(id => id.trim()).filter(Boolean);
+};
+
+/**
+ * Resolve a selection of IDs against a product's sub-documents.
+ * Rejects selections that don't exist or are inactive/unavailable.
+ * param {Object} product - Product document
+ * param {Object} selection - { variant, colorMaterialOptions, additionalServices, version }
+ * returns {Object} Resolved sub-documents
+ * throws {AppError} 400 if the product or any selection cannot be purchased
+ */
+export const resolveSelection = (product, selection = {}) => {
+  if (!product.isActive) {
+    throw new AppError(`${product.name} is not available`, 400);
+  }
+
+  const resolved = {
+    variant: null,
+    colorMaterialOptions: [],
+    additionalServices: [],
+    version: null,
+  };
+
+  if (selection.variant) {
+    const variant = product.variants.id(selection.variant);
+    if (!variant) {
+      throw new AppError(`Selected variant does not exist for ${product.name}`, 400);
+    }
+    if (!variant.isActive) {
+      throw new AppError(`Variant ${variant.name}: ${variant.value} is not available for ${product.name}`, 400);
+    }
+    resolved.variant = variant;
+  }
+
+  for (const id of toIdList(selection.colorMaterialOptions)) {
+    const option = product.colorMaterialOptions.id(id);
+    if (!option) {
+      throw new AppError(`Selected color/material option does not exist for ${product.name}`, 400);
+    }
+    if (!option.isAvailable) {
+      throw new AppError(`${option.name} is not available for ${product.name}`, 400);
+    }
+    resolved.colorMaterialOptions.push(option);
+  }
+
+  for (const id of toIdList(selection.additionalServices)) {
+    const service = product.additionalServices.id(id);
+    if (!service) {
+      throw new AppError(`Selected service does not exist for ${product.name}`, 400);
+    }
+    if (!service.isActive) {
+      throw new AppError(`Service ${service.name} is not available for ${product.name}`, 400);
+    }
+    resolved.additionalServices.push(service);
+  }
+
+  if (selection.version) {
+    const version = product.versions.id(selection.version);
+    if (!version) {
+      throw new AppError(`Selected version does not exist for ${product.name}`, 400);
+    }
+    if (!version.isActive) {
+      throw new AppError(`Version ${version.version} is not available for ${product.name}`, 400);
+    }
+    resolved.version = version;
+  }
+
+  return resolved;
+};
+
+/**
+ * Calculate the price of a product with the chosen options.
+ * This is the single place where unit prices are worked out, so the cart,
+ * orders and product pages always agree.
+ * param {Object} product - Product document
+ * param {Object} selection - { variant, colorMaterialOptions, additionalServices, version }
+ * param {number} quantity - Quantity (default 1)
+ * returns {Object} Unit price, line total, breakdown and resolved selection
+ */
+export const calculateLinePrice = (product, selection = {}, quantity = 1) => {
+  const resolved = resolveSelection(product, selection);
+
+  const breakdown = {
+    basePrice: product.finalPrice,
+    variant: resolved.variant?.additionalPrice || 0,
+    colorMaterialOptions: resolved.colorMaterialOptions
+      .reduce((total, option) => total + (option.additionalPrice || 0), 0),
+    additionalServices: resolved.additionalServices
+      .reduce((total, service) => total + (service.price || 0), 0),
+    version: resolved.version?.additionalPrice || 0,
+  };
+
+  const unitPrice = roundPrice(
+    Object.values(breakdown).reduce((total, amount) => total + amount, 0)
+  );
+
+  return {
+    unitPrice,
+    quantity,
+    lineTotal: roundPrice(unitPrice * quantity),
+    breakdown,
+    selection: resolved,
+  };
+};
+
+/**
+ * Build an order/cart snapshot of the resolved selection
+ * param {Object} resolved - Result of resolveSelection
+ * returns {Object} Plain snapshot safe to persist
+ */
+export const snapshotSelection = (resolved) => ({
+  variant: resolved.variant
+    ? {
+      variantId: resolved.variant._id,
+      name: resolved.variant.name,
+      value: resolved.variant.value,
+      sku: resolved.variant.sku,
+      additionalPrice: resolved.variant.additionalPrice,
+    }
+    : undefined,
+  colorMaterialOptions: resolved.colorMaterialOptions.map(option => ({
+    optionId: option._id,
+    type: option.type,
+    name: option.name,
+    value: option.value,
+    additionalPrice: option.additionalPrice,
+  })),
+  additionalServices: resolved.additionalServices.map(service => ({
+    serviceId: service._id,
+    name: service.name,
+    price: service.price,
+  })),
+  version: resolved.version
+    ? {
+      versionId: resolved.version._id,
+      version: resolved.version.version,
+      additionalPrice: resolved.version.additionalPrice,
+    }
+    : undefined,
+});
@@ -0,0 +1,192 @@
+import Promotion from '../models/promotion.js';
+import PromotionRedemption from '../models/promotionRedemption.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+import { roundPrice } from './pricing.js';
+
+/**
+ * Check whether a promotion can be used right now
+ * param {Object} promotion - Promotion document
+ * param {number} subtotal - Order subtotal before discounts
+ * param {string} userId - Current user, if any
+ * returns {string|null} Reason the promotion cannot be used, or null
+ */
+const getIneligibilityReason = async (promotion, subtotal, userId) => {
+  const now = new Date();
+
+  if (!promotion.isActive) return 'This coupon is not active';
+  if (promotion.startsAt && promotion.startsAt > now) return 'This coupon is not active yet';
+  if (promotion.endsAt && promotion.endsAt <= now) return 'This coupon has expired';
+
+  if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+    return 'This coupon has reached its usage limit';
+  }
+
+  if (promotion.perUserLimit && userId) {
+    const used = await PromotionRedemption.countDocuments({ promotion: promotion._id, user: userId });
+    if (used >= promotion.perUserLimit) return 'You have already used this coupon';
+  }
+
+  if (subtotal < promotion.minOrderValue) {
+    return `A minimum order value of ${promotion.minOrderValue} is required for this coupon`;
+  }
+
+  return null;
+};
+
+/**
+ * Calculate the discount a promotion gives on a set of lines
+ * param {Object} promotion - Promotion document
+ * param {Array} lines - Lines targeted by the promotion
+ * returns {number} Discount amount
+ */
+const calculateDiscount = (promotion, lines) => {
+  const eligibleTotal = lines.reduce((total, line) => total + line.lineTotal, 0);
+
+  switch (promotion.type) {
+    case 'percentage': {
+      const amount = eligibleTotal * promotion.value / 100;
+      return promotion.maxDiscount ? Math.min(amount, promotion.maxDiscount) : amount;
+    }
+    case 'fixed':
+      return Math.min(promotion.value, eligibleTotal);
+    case 'buy_x_get_y': {
+      // Most expensive units are "bought", the cheaper units in each group are discounted
+      const units = lines
+        .flatMap(line => Array(line.quantity).fill(line.unitPrice))
+        .sort((a, b) => b - a);
+      const groupSize = promotion.buyQuantity + promotion.getQuantity;
+
+      let amount = 0;
+      for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+        for (let i = start + promotion.buyQuantity; i < start + groupSize; i++) {
+          amount += units[i] * promotion.getDiscountPercent / 100;
+        }
+      }
+      return amount;
+    }
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Apply automatic promotions and an optional coupon to priced lines.
+ * Automatic promotions that don't qualify are skipped; an unusable coupon is an error.
+ * param {Array} lines - [{ product, quantity, unitPrice, lineTotal }] with product documents
+ * param {Object} options - { couponCode, userId }
+ * returns {Object} { subtotal, discounts, discountTotal, freeShipping }
+ * throws {AppError} 400 when the coupon cannot be used
+ */
+export const applyPromotions = async (lines, { couponCode, userId } = {}) => {
+  const subtotal = roundPrice(lines.reduce((total, line) => total + line.lineTotal, 0));
+
+  const candidates = (await Promotion.findRunning({ code: { $exists: false } }).sort({ createdAt: 1 }))
+    .map(promotion => ({ promotion, isCoupon: false }));
+
+  if (couponCode) {
+    const coupon = await Promotion.findByCode(couponCode);
+    if (!coupon) {
+      throw new AppError('Invalid coupon code', 400);
+    }
+    candidates.push({ promotion: coupon, isCoupon: true });
+  }
+
+  const discounts = [];
+  let remaining = subtotal;
+  let freeShipping = false;
+
+  for (const { promotion, isCoupon } of candidates) {
+    const reason = await getIneligibilityReason(promotion, subtotal, userId);
+    const eligibleLines = lines.filter(line => promotion.appliesToProduct(line.product));
+    const amount = roundPrice(Math.min(calculateDiscount(promotion, eligibleLines), remaining));
+    const qualifies = !reason && eligibleLines.length > 0 &&
+      (promotion.type === 'free_shipping' || amount > 0);
+
+    if (!qualifies) {
+      if (!isCoupon) continue;
+      throw new AppError(reason || 'This coupon does not apply to any items in your order', 400);
+    }
+
+    if (promotion.type === 'free_shipping') freeShipping = true;
+    remaining = roundPrice(remaining - amount);
+
+    discounts.push({
+      promotion: promotion._id,
+      name: promotion.name,
+      code: promotion.code,
+      type: promotion.type,
+      amount,
+    });
+  }
+
+  return {
+    subtotal,
+    discounts,
+    discountTotal: roundPrice(subtotal - remaining),
+    freeShipping,
+  };
+};
+
+/**
+ * Give back the usage taken by an order's promotions.
+ * Each redemption is deleted before its usage is decremented, so this is safe to call twice.
+ * param {string} orderId - Order ID
+ */
+export const releasePromotions = async (orderId) => {
+  const redemptions = await PromotionRedemption.find({ order: orderId }).select('_id');
+
+  for (const { _id } of redemptions) {
+    const deleted = await PromotionRedemption.findOneAndDelete({ _id });
+    if (deleted) {
+      await Promotion.updateOne(
+        { _id: deleted.promotion, usageCount: { $gt: 0 } },
+        { $inc: { usageCount: -1 } }
+      );
+    }
+  }
+};
+
+/**
+ * Record the promotions used by an order, all-or-nothing.
+ * Usage limits are enforced atomically so a coupon cannot be oversubscribed.
+ * param {Array} discounts - Discounts returned by applyPromotions
+ * param {string} userId - Ordering user
+ * param {string} orderId - Order the promotions are used on
+ * throws {AppError} 409 when a promotion ran out in the meantime
+ */
+export const redeemPromotions = async (discounts, userId, orderId) => {
+  for (const discount of discounts) {
+    const label = discount.code || discount.name;
+
+    const promotion = await Promotion.findOneAndUpdate(
+      {
+        _id: discount.promotion,
+        isActive: true,
+        $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }],
+      },
+      { $inc: { usageCount: 1 } }
+    );
+
+    if (!promotion) {
+      await releasePromotions(orderId);
+      throw new AppError(`${label} is no longer available`, 409);
+    }
+
+    await PromotionRedemption.create({
+      promotion: promotion._id,
+      user: userId,
+      order: orderId,
+      code: discount.code,
+      amount: discount.amount,
+    });
+
+    // Checked after inserting so concurrent orders can't both slip under the limit
+    if (promotion.perUserLimit) {
+      const used = await PromotionRedemption.countDocuments({ promotion: promotion._id, user: userId });
+      if (used > promotion.perUserLimit) {
+        await releasePromotions(orderId);
+        throw new AppError(`You have already used ${label}`, 409);
+      }
+    }
+  }
+};
@@ -0,0 +1,221 @@
+import Order from '../models/order.js';
+import Product from '../models/product.js';
+import Refund from '../models/refund.js';
+import ReturnRequest from '../models/returnRequest.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+import { roundPrice } from './pricing.js';
+import { changeOrderStatus } from './orderStatus.js';
+import { refundOrderPayment } from './payments/index.js';
+import { notifyOrder } from './orderNotifications.js';
+
+// Payment statuses an order must be in before money can be given back
+const REFUNDABLE_PAYMENT_STATUSES = ['Paid', 'Partially Refunded'];
+
+/**
+ * Suggested refund for returned items: what the customer paid for them,
+ * after their share of order discounts and including their tax.
+ * param {Object} order - Order document
+ * param {Array} items - Return items
+ * param {Map} orderItems - Order items keyed by ID
+ * returns {number} Amount
+ */
+export const calculateRefundAmount = (order, items, orderItems) => {
+  const total = items.reduce((sum, item) => {
+    const orderItem = orderItems.get(String(item.orderItem));
+    if (!orderItem) return sum;
+
+    const value = orderItem.price * item.quantity;
+    const discount = order.itemsPrice ? order.discountPrice * value / order.itemsPrice : 0;
+    // Inclusive prices already contain the tax
+    const tax = order.pricesIncludeTax ? 0 : orderItem.taxAmount * item.quantity / orderItem.quantity;
+
+    return sum + value - discount + tax;
+  }, 0);
+
+  return roundPrice(total);
+};
+
+/**
+ * Record a refund and update the order's refunded amount and payment status.
+ * The refunded amount is increased atomically and can never exceed the order total.
+ * Orders paid through a provider are refunded through it; manual payments are settled by hand.
+ * Pass providerRefund ({ provider, refundId }) for a refund the provider has already made.
+ * param {Object} order - Order document
+ * param {Object} options - { amount, reason, processedBy, returnRequest, providerRefund }
+ * returns {Object} { refund, order }
+ * throws {AppError} 400 if the order isn't paid or the amount is more than is left to refund
+ */
+export const recordRefund = async (order, { amount, reason, processedBy, returnRequest, providerRefund }) => {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw new AppError(`Order cannot be refunded while payment is ${order.paymentStatus.toLowerCase()}`, 400);
+  }
+
+  amount = roundPrice(amount);
+
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      paymentStatus: { $in: REFUNDABLE_PAYMENT_STATUSES },
+      $expr: { $lte: [{ $add: ['$refundedAmount', amount] }, { $add: ['$totalPrice', 0.001] }] },
+    },
+    { $inc: { refundedAmount: amount } },
+    { new: true }
+  );
+
+  if (!updated) {
+    const remaining = roundPrice(order.totalPrice - order.refundedAmount);
+    throw new AppError(`Refund exceeds the amount left to refund (${remaining})`, 400);
+  }
+
+  if (!providerRefund) {
+    try {
+      // null when the order was paid by hand and the refund is settled by hand too
+      providerRefund = await refundOrderPayment(order, amount, reason);
+    } catch (error) {
+      // The money never left, so release the amount claimed above
+      await Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: -amount } });
+      throw new AppError(`Payment provider refund failed: ${error.message}`, 502);
+    }
+  }
+
+  // Derived from the stored total so concurrent refunds can't leave a stale status behind
+  await Order.updateOne({ _id: order._id }, [{
+    $set: {
+      paymentStatus: {
+        $cond: [
+          { $gte: ['$refundedAmount', { $subtract: ['$totalPrice', 0.001] }] },
+          'Refunded',
+          'Partially Refunded',
+        ],
+      },
+    },
+  }]);
+
+  updated.refundedAmount = roundPrice(updated.refundedAmount);
+  updated.paymentStatus = updated.refundedAmount >= updated.totalPrice - 0.001 ? 'Refunded' : 'Partially Refunded';
+
+  const refund = await Refund.create({
+    order: order._id,
+    returnRequest,
+    amount,
+    reason,
+    processedBy,
+    provider: providerRefund?.provider,
+    providerRefundId: providerRefund?.refundId,
+    paymentStatus: updated.paymentStatus,
+  });
+
+  await notifyOrder('refundIssued', order._id, { refund });
+
+  return { refund, order: updated };
+};
+
+/**
+ * Give back what is left of an order's payment before the order is cancelled.
+ * It runs before the status change, so a failed provider refund leaves the order
+ * as it was. Orders paid by hand get a refund record to settle by hand.
+ * param {Object} order - Order document
+ * param {string} processedBy - User cancelling the order
+ * returns {Object|null} { refund, order }, or null when nothing was paid
+ */
+export const refundCancelledOrder = async (order, processedBy) => {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) return null;
+
+  const amount = roundPrice(order.totalPrice - order.refundedAmount);
+  if (amount <= 0) return null;
+
+  return recordRefund(order, { amount, reason: 'Order cancelled', processedBy });
+};
+
+/**
+ * Put received items back into stock
+ * param {Array} items - Return items to restock
+ * param {Map} orderItems - Order items keyed by ID
+ */
+export const restockReturnItems = async (items, orderItems) => {
+  for (const item of items) {
+    const orderItem = orderItems.get(String(item.orderItem));
+    if (!orderItem) continue;
+
+    await Product.releaseStock(orderItem.product, item.quantity, orderItem.variant?.variantId);
+    item.restocked = true;
+  }
+};
+
+/**
+ * Mark the order Returned once every unit has been received back.
+ * Stock was already handled item by item, so the order's own stock claim is
+ * dropped first to stop the Returned hook restocking everything again.
+ * param {Object} order - Order document
+ * param {string} changedBy - User making the change
+ * returns {boolean} Whether the order was marked Returned
+ */
+export const completeOrderReturn = async (order, changedBy) => {
+  if (!order.canTransitionTo('Returned')) return false;
+
+  const received = await ReturnRequest.find({
+    order: order._id,
+    receivedAt: { $exists: true },
+    status: { $ne: 'rejected' },
+  });
+
+  const receivedQuantities = new Map();
+  received.forEach(request => request.items.forEach(item => {
+    const key = String(item.orderItem);
+    receivedQuantities.set(key, (receivedQuantities.get(key) || 0) + item.quantity);
+  }));
+
+  await order.populate('orderItems');
+  const fullyReturned = order.orderItems.every(
+    orderItem => (receivedQuantities.get(String(orderItem._id)) || 0) >= orderItem.quantity
+  );
+
+  if (!fullyReturned) return false;
+
+  await Order.updateOne({ _id: order._id }, { stockReserved: false });
+  order.stockReserved = false;
+
+  await changeOrderStatus(order, 'Returned', { changedBy, note: 'All items returned' });
+  return true;
+};
+
+// Timestamp set when a return enters a status
+const RETURN_STATUS_TIMESTAMPS = {
+  approved: 'approvedAt',
+  rejected: 'rejectedAt',
+  received: 'receivedAt',
+  refunded: 'refundedAt',
+  closed: 'closedAt',
+};
+
+/**
+ * Move a return request to a new status, atomically and with a history entry
+ * param {Object} returnRequest - ReturnRequest document
+ * param {string} status - New status
+ * param {Object} options - { changedBy, note, update } where update holds extra fields to set
+ * returns {Object} Updated return request
+ * throws {AppError} 400 for a disallowed transition, 409 if the return changed meanwhile
+ */
+export const changeReturnStatus = async (returnRequest, status, { changedBy, note, update = {} } = {}) => {
+  const from = returnRequest.status;
+
+  if (!returnRequest.canTransitionTo(status)) {
+    throw new AppError(`Return cannot be moved from ${from} to ${status}`, 400);
+  }
+
+  const changedAt = new Date();
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: from },
+    {
+      $set: { ...update, status, [RETURN_STATUS_TIMESTAMPS[status]]: changedAt },
+      $push: { history: { status, changedBy, note, changedAt } },
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw new AppError('Return was changed by someone else. Please reload and try again.', 409);
+  }
+
+  return updated;
+};
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import Session from '../models/session.js';
+import User from '../models/user.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+import { generateToken, generateRefreshToken, verifyRefreshToken } from './jwt.js';
+import { getClientIP, getUserAgentInfo } from './helpers.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 7;
+const REMEMBER_ME_DAYS = 30;
+
+const newTokenId = () => crypto.randomBytes(16).toString('hex');
+
+const getLifetimeSeconds = (rememberMe) => (rememberMe ? REMEMBER_ME_DAYS : REFRESH_TOKEN_DAYS) * DAY_SECONDS;
+
+// Sign an access token and a refresh token for a session
+const issueTokens = (user, session) => {
+  const lifetime = Math.round((session.expiresAt.getTime() - Date.now()) / 1000);
+
+  return {
+    accessToken: generateToken({ id: user._id, email: user.email, role: user.role, sid: session._id }),
+    refreshToken: generateRefreshToken({ id: user._id, sid: session._id }, session.tokenId, lifetime),
+    refreshExpiresAt: session.expiresAt,
+  };
+};
+
+// Device details of the request that started a session
+const describeDevice = (req) => {
+  const agent = getUserAgentInfo(req);
+  let device = 'desktop';
+  if (agent.isTablet) device = 'tablet';
+  else if (agent.isMobile) device = 'mobile';
+
+  return {
+    device,
+    browser: agent.browser,
+    os: agent.os,
+    userAgent: agent.raw.slice(0, 500),
+    ipAddress: getClientIP(req),
+  };
+};
+
+/**
+ * Start a session for a user who just authenticated
+ * param {Object} user - User document
+ * param {Object} req - Express request, for the device and IP address
+ * param {Object} options - { rememberMe } keeps the session alive for 30 days instead of 7
+ * returns {Object} { accessToken, refreshToken, refreshExpiresAt }
+ */
+export const startSession = async (user, req, { rememberMe = false } = {}) => {
+  const session = await Session.create({
+    user: user._id,
+    tokenId: newTokenId(),
+    rememberMe,
+    ...describeDevice(req),
+    expiresAt: new Date(Date.now() + getLifetimeSeconds(rememberMe) * 1000),
+  });
+
+  return issueTokens(user, session);
+};
+
+/**
+ * Revoke a session so its refresh tokens stop working
+ * param {Object|string} sessionId - Session ID
+ * param {string} reason - One of SESSION_REVOKE_REASONS
+ * returns {boolean} Whether an active session was revoked
+ */
+export const revokeSession = async (sessionId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every session of a user
+ * param {Object|string} userId - User ID
+ * param {Object} options - { reason, except } where except is a session ID to keep
+ * returns {number} Number of sessions revoked
+ */
+export const revokeUserSessions = async (userId, { reason, except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token.
+ * The old refresh token stops working. If it is presented again, it was copied
+ * by someone else, so the whole session is revoked.
+ * param {string} refreshToken - Refresh token from the client
+ * param {Object} req - Express request, for the IP address
+ * returns {Object} { user, tokens }
+ * throws {AppError} 401 if the token is invalid, revoked, reused or its user is inactive
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const now = new Date();
+  const tokenId = newTokenId();
+  const session = await Session.findOneAndUpdate(
+    { _id: decoded.sid, user: decoded.id, tokenId: decoded.jti, revokedAt: null, expiresAt: { $gt: now } },
+    // Each use extends the session by its full lifetime
+    [{
+      $set: {
+        tokenId,
+        lastUsedAt: now,
+        lastIpAddress: getClientIP(req),
+        expiresAt: {
+          $add: [now, { $cond: ['$rememberMe', getLifetimeSeconds(true) * 1000, getLifetimeSeconds(false) * 1000] }],
+        },
+      },
+    }],
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(decoded.sid).select('+tokenId');
+    if (existing && !existing.revokedAt && existing.tokenId !== decoded.jti) {
+      await revokeSession(existing._id, 'reuse_detected');
+      throw new AppError('Refresh token has already been used. Please log in again.', 401);
+    }
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user || !user.isActive) {
+    throw new AppError('User not found or inactive', 401);
+  }
+
+  // tokenId isn't selected by default, so the returned session doesn't carry it
+  session.tokenId = tokenId;
+  return { user, tokens: issueTokens(user, session) };
+};
+
+/**
+ * Check that the session an access token was issued for is still active
+ * param {Object|string} sessionId - Session ID from the token
+ * param {Object|string} userId - User ID from the token
+ * returns {boolean}
+ */
+export const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) return false;
+
+  const session = await Session.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(session);
+};
@@ -0,0 +1,173 @@
+import Order from '../models/order.js';
+import OrderItem from '../models/order-Item.js';
+import Shipment from '../models/shipment.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+import { changeOrderStatus } from './orderStatus.js';
+import { notifyOrder } from './orderNotifications.js';
+
+// Order statuses in which more items can be shipped
+const SHIPPABLE_ORDER_STATUSES = ['Processing', 'Partially Shipped'];
+
+/**
+ * Work out the order status implied by its shipments
+ * param {Array} orderItems - OrderItem documents of the order
+ * param {Array} shipments - Shipment documents of the order
+ * returns {string|null} 'Partially Shipped', 'Shipped', 'Delivered', or null with no shipments
+ */
+export const deriveShippingStatus = (orderItems, shipments) => {
+  if (shipments.length === 0) return null;
+
+  const fullyShipped = orderItems.every(item => (item.shippedQuantity || 0) >= item.quantity);
+  if (!fullyShipped) return 'Partially Shipped';
+
+  return shipments.every(shipment => shipment.status === 'delivered') ? 'Delivered' : 'Shipped';
+};
+
+/**
+ * Move an order to the status implied by its shipments.
+ * Orders that have since been cancelled or returned are left alone.
+ * param {Object} order - Order document
+ * param {Object} options - { changedBy, note }
+ * returns {Object} Order document after the change
+ */
+export const syncOrderShippingStatus = async (order, { changedBy, note } = {}) => {
+  // Another shipment may change the order at the same time; reload and retry once
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const current = attempt === 0 ? order : await Order.findById(order._id);
+    const [orderItems, shipments] = await Promise.all([
+      OrderItem.find({ _id: { $in: current.orderItems } }),
+      Shipment.find({ order: current._id }),
+    ]);
+
+    const target = deriveShippingStatus(orderItems, shipments);
+    if (!target || target === current.status) return current;
+
+    try {
+      let updated = current;
+      // Everything shipped and arrived before the order was marked shipped
+      if (target === 'Delivered' && !updated.canTransitionTo('Delivered') && updated.canTransitionTo('Shipped')) {
+        updated = await changeOrderStatus(updated, 'Shipped', { changedBy, note });
+      }
+      if (!updated.canTransitionTo(target)) return updated;
+
+      return await changeOrderStatus(updated, target, { changedBy, note });
+    } catch (error) {
+      if (error.statusCode !== 409 || attempt > 0) throw error;
+    }
+  }
+};
+
+/**
+ * Create a shipment for some or all of an order's items.
+ * Shipped quantities are claimed atomically per item, so two shipments can never
+ * send more units than were ordered.
+ * param {Object} order - Order document with orderItems populated
+ * param {Object} data - { items: [{ orderItem, quantity }], carrier, trackingNumber, trackingUrl, notes }
+ * param {Object} createdBy - User ID of the person creating the shipment
+ * returns {Object} { shipment, order }
+ * throws {AppError} 400 if the order can't be shipped or an item is over-shipped
+ */
+export const createShipment = async (order, { items, carrier, trackingNumber, trackingUrl, notes }, createdBy) => {
+  if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+    throw new AppError(`Orders that are ${order.status.toLowerCase()} cannot be shipped`, 400);
+  }
+
+  const claimed = [];
+  let shipment;
+
+  try {
+    for (const item of items) {
+      const orderItem = order.orderItems.find(candidate => candidate._id.toString() === String(item.orderItem));
+      if (!orderItem) {
+        throw new AppError('Item does not belong to this order', 400);
+      }
+
+      const updated = await OrderItem.findOneAndUpdate(
+        {
+          _id: orderItem._id,
+          $expr: { $lte: [{ $add: [{ $ifNull: ['$shippedQuantity', 0] }, item.quantity] }, '$quantity'] },
+        },
+        { $inc: { shippedQuantity: item.quantity } },
+        { new: true }
+      );
+
+      if (!updated) {
+        const current = await OrderItem.findById(orderItem._id).select('quantity shippedQuantity');
+        const remaining = current.quantity - (current.shippedQuantity || 0);
+        throw new AppError(`Only ${remaining} of ${orderItem.name} left to ship`, 400);
+      }
+
+      claimed.push({ orderItem: orderItem._id, name: orderItem.name, quantity: item.quantity });
+    }
+
+    shipment = await Shipment.create({
+      order: order._id,
+      items: claimed,
+      carrier,
+      trackingNumber,
+      trackingUrl,
+      notes,
+      createdBy,
+    });
+  } catch (error) {
+    // Give back the quantities claimed before the failure
+    await Promise.all(claimed.map(line =>
+      OrderItem.updateOne({ _id: line.orderItem }, { $inc: { shippedQuantity: -line.quantity } })
+    ));
+    throw error;
+  }
+
+  const tracking = trackingNumber ? ` (${trackingNumber})` : '';
+  const updatedOrder = await syncOrderShippingStatus(order, {
+    changedBy: createdBy,
+    note: `Shipped via ${carrier}${tracking}`,
+  });
+
+  await notifyOrder('shipped', order._id, { shipment });
+
+  return { shipment, order: updatedOrder };
+};
+
+/**
+ * Update a shipment's delivery status or tracking details, then the order status.
+ * param {Object} shipment - Shipment document
+ * param {Object} changes - { status, carrier, trackingNumber, trackingUrl, notes }
+ * param {Object} changedBy - User ID of the person updating the shipment
+ * returns {Object} { shipment, order }
+ * throws {AppError} 400 for a disallowed status change, 409 if the shipment changed meanwhile
+ */
+export const updateShipment = async (shipment, { status, ...details }, changedBy) => {
+  const set = {};
+  for (const field of ['carrier', 'trackingNumber', 'trackingUrl', 'notes']) {
+    if (details[field] !== undefined) set[field] = details[field];
+  }
+
+  const statusChanged = status && status !== shipment.status;
+  if (statusChanged) {
+    if (!shipment.canTransitionTo(status)) {
+      throw new AppError(`Shipment cannot be moved from ${shipment.status} to ${status}`, 400);
+    }
+    set.status = status;
+    if (status === 'delivered') set.deliveredAt = new Date();
+  }
+
+  const updated = await Shipment.findOneAndUpdate(
+    { _id: shipment._id, status: shipment.status },
+    { $set: set },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw new AppError('Shipment was changed by someone else. Please reload and try again.', 409);
+  }
+
+  let order = await Order.findById(shipment.order);
+  if (statusChanged) {
+    order = await syncOrderShippingStatus(order, {
+      changedBy,
+      note: `Shipment via ${updated.carrier} ${status.replace('_', ' ')}`,
+    });
+  }
+
+  return { shipment: updated, order };
+};
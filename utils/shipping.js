@@ -0,0 +1,107 @@
+import ShippingZone from '../models/shippingZone.js';
+import { roundPrice } from './pricing.js';
+
+const normalize = (value) => (value ? String(value).trim().toUpperCase() : '');
+
+/**
+ * Work out the parcel for a set of lines. Products flagged freeShipping
+ * travel free, so they don't count towards weight or volume.
+ * param {Array} lines - [{ product, quantity }] with product documents
+ * returns {Object} { weight, volume, shippingClasses, allFree }
+ */
+export const buildParcel = (lines) => {
+  const parcel = { weight: 0, volume: 0, shippingClasses: [], allFree: lines.length > 0 };
+
+  lines.forEach(({ product, quantity }) => {
+    const shipping = product.shipping || {};
+    if (shipping.freeShipping) return;
+
+    parcel.allFree = false;
+    parcel.weight += (shipping.weight || 0) * quantity;
+
+    const { length = 0, width = 0, height = 0 } = shipping.dimensions || {};
+    parcel.volume += length * width * height * quantity;
+
+    if (shipping.shippingClass && !parcel.shippingClasses.includes(shipping.shippingClass)) {
+      parcel.shippingClasses.push(shipping.shippingClass);
+    }
+  });
+
+  return parcel;
+};
+
+/**
+ * Price a shipping method for a parcel
+ * param {Object} method - Shipping method sub-document
+ * param {Object} parcel - Parcel from buildParcel
+ * param {number} subtotal - Order value after discounts
+ * returns {number|null} Price, or null if the method can't carry the parcel
+ */
+export const priceMethod = (method, parcel, subtotal) => {
+  const restricted = method.shippingClasses.length > 0 &&
+    parcel.shippingClasses.some(shippingClass => !method.shippingClasses.includes(shippingClass));
+  if (restricted) return null;
+
+  const dimensionalWeight = parcel.volume / method.dimensionalDivisor;
+
+  if (method.maxWeight && Math.max(parcel.weight, dimensionalWeight) > method.maxWeight) {
+    return null;
+  }
+
+  switch (method.type) {
+    case 'flat_rate':
+      return method.baseRate;
+    case 'weight_based':
+      return method.baseRate + method.ratePerKg * parcel.weight;
+    case 'dimensional_weight':
+      // Carriers charge whichever is greater: actual or dimensional weight
+      return method.baseRate + method.ratePerKg * Math.max(parcel.weight, dimensionalWeight);
+    case 'free_over_threshold':
+      return subtotal >= method.freeThreshold ? 0 : method.baseRate;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Quote every shipping method available for lines shipped to an address
+ * param {Array} lines - [{ product, quantity }] with product documents
+ * param {Object} address - Object with country and state/region
+ * param {Object} options - { subtotal, freeShipping } where freeShipping comes from promotions
+ * returns {Object} { zone, methods } with methods sorted cheapest first
+ */
+export const quoteShipping = async (lines, address = {}, { subtotal = 0, freeShipping = false } = {}) => {
+  const zone = await ShippingZone.findForAddress(
+    normalize(address.country),
+    normalize(address.state || address.region)
+  );
+
+  if (!zone) {
+    return { zone: null, methods: [] };
+  }
+
+  const parcel = buildParcel(lines);
+
+  const methods = zone.methods
+    .filter(method => method.isActive)
+    .map(method => {
+      const price = priceMethod(method, parcel, subtotal);
+      if (price === null) return null;
+
+      return {
+        method: method._id,
+        zone: zone._id,
+        name: method.name,
+        type: method.type,
+        price: freeShipping || parcel.allFree ? 0 : roundPrice(price),
+        estimatedDays: method.estimatedDays?.min !== undefined ? method.estimatedDays : undefined,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.price - b.price);
+
+  return {
+    zone: { id: zone._id, name: zone.name },
+    methods,
+  };
+};
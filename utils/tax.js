@@ -0,0 +1,130 @@
+import TaxRule from '../models/taxRule.js';
+import { roundPrice } from './pricing.js';
+
+/**
+ * Whether catalog prices already include tax (PRICES_INCLUDE_TAX=true).
+ * Inclusive prices have their tax extracted; exclusive prices have tax added on top.
+ * returns {boolean}
+ */
+export const pricesIncludeTax = () => process.env.PRICES_INCLUDE_TAX === 'true';
+
+const normalizeRegion = (value) => (value ? String(value).trim().toUpperCase() : '');
+
+/**
+ * Build the tax location from an address, falling back to the store defaults
+ * param {Object} address - Object with country and state/region
+ * returns {Object} { country, region }
+ */
+export const getTaxLocation = (address = {}) => ({
+  country: normalizeRegion(address.country || process.env.DEFAULT_TAX_COUNTRY),
+  region: normalizeRegion(address.state || address.region || process.env.DEFAULT_TAX_REGION),
+});
+
+// Region rules beat country-wide rules; category rules beat plain class rules
+const ruleSpecificity = (rule) => (rule.region ? 2 : 0) + (rule.taxCategory ? 1 : 0);
+
+/**
+ * Find the tax rate for a product from its taxInfo and the rules for the location.
+ * Falls back to the product's own taxRate when no rule matches.
+ * param {Object} product - Product document
+ * param {Array} rules - Active tax rules for the country
+ * param {string} region - Normalized region
+ * returns {Object} { rate, taxClass, name, rule }
+ */
+export const resolveTaxRate = (product, rules, region) => {
+  const taxInfo = product.taxInfo || {};
+  const taxClass = taxInfo.taxClass || 'standard';
+
+  if (taxInfo.taxable === false || taxClass === 'exempt') {
+    return { rate: 0, taxClass: 'exempt', name: 'Exempt', rule: null };
+  }
+  if (taxClass === 'zero') {
+    return { rate: 0, taxClass, name: 'Zero rated', rule: null };
+  }
+
+  const category = (taxInfo.taxCategory || '').trim().toLowerCase();
+  const [rule] = rules
+    .filter(candidate =>
+      candidate.taxClass === taxClass &&
+      (!candidate.region || candidate.region === region) &&
+      (!candidate.taxCategory || candidate.taxCategory === category))
+    .sort((a, b) => ruleSpecificity(b) - ruleSpecificity(a));
+
+  if (rule) {
+    return { rate: rule.rate, taxClass, name: rule.name, rule: rule._id };
+  }
+
+  if (taxInfo.taxRate !== undefined && taxInfo.taxRate !== null) {
+    return { rate: taxInfo.taxRate, taxClass, name: 'Tax', rule: null };
+  }
+
+  return { rate: 0, taxClass, name: 'No tax', rule: null };
+};
+
+/**
+ * Calculate tax per line and for the whole order.
+ * Order-level discounts are spread across lines in proportion to their value,
+ * so tax is charged on what the customer actually pays.
+ * param {Array} lines - [{ product, lineTotal }] with product documents
+ * param {Object} options - { country, region, discountTotal }
+ * returns {Object} { pricesIncludeTax, country, region, lines, taxTotal, netTotal, grossTotal, breakdown }
+ */
+export const calculateTax = async (lines, { country, region, discountTotal = 0 } = {}) => {
+  const location = getTaxLocation({ country, region });
+  const inclusive = pricesIncludeTax();
+  const rules = await TaxRule.findForCountry(location.country);
+
+  const subtotal = lines.reduce((total, line) => total + line.lineTotal, 0);
+  const discountable = Math.min(discountTotal, subtotal);
+  let discountLeft = discountable;
+
+  const taxedLines = lines.map((line, index) => {
+    const discount = index === lines.length - 1
+      ? discountLeft
+      : roundPrice(subtotal ? discountable * line.lineTotal / subtotal : 0);
+    discountLeft = roundPrice(discountLeft - discount);
+
+    const taxableAmount = roundPrice(Math.max(0, line.lineTotal - discount));
+    const { rate, taxClass, name, rule } = resolveTaxRate(line.product, rules, location.region);
+    const tax = inclusive
+      ? roundPrice(taxableAmount - taxableAmount / (1 + rate / 100))
+      : roundPrice(taxableAmount * rate / 100);
+
+    return {
+      rate,
+      taxClass,
+      name,
+      rule,
+      taxableAmount,
+      tax,
+      net: inclusive ? roundPrice(taxableAmount - tax) : taxableAmount,
+      gross: inclusive ? taxableAmount : roundPrice(taxableAmount + tax),
+    };
+  });
+
+  // Group by rate for invoices ("VAT 20%: 12.00")
+  const breakdown = [];
+  taxedLines.forEach(line => {
+    if (!line.rate) return;
+
+    let group = breakdown.find(entry => entry.name === line.name && entry.rate === line.rate);
+    if (!group) {
+      group = { name: line.name, rate: line.rate, taxableAmount: 0, amount: 0 };
+      breakdown.push(group);
+    }
+    group.taxableAmount = roundPrice(group.taxableAmount + line.taxableAmount);
+    group.amount = roundPrice(group.amount + line.tax);
+  });
+
+  const sum = (field) => roundPrice(taxedLines.reduce((total, line) => total + line[field], 0));
+
+  return {
+    pricesIncludeTax: inclusive,
+    ...location,
+    lines: taxedLines,
+    taxTotal: sum('tax'),
+    netTotal: sum('net'),
+    grossTotal: sum('gross'),
+    breakdown,
+  };
+};
@@ -0,0 +1,248 @@
+import crypto from 'crypto';
+import { authenticator as baseAuthenticator } from 'otplib';
+import QRCode from 'qrcode';
+import User from '../models/user.js';
+import SecurityPolicy from '../models/securityPolicy.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+import { createAuthResponse, generateChallengeToken } from './jwt.js';
+import { startSession } from './sessions.js';
+
+// Accept the previous and next 30-second code too, for clock drift
+const authenticator = baseAuthenticator.clone({ window: 1 });
+const STEP_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+
+// Secrets are encrypted at rest with AES-256-GCM
+const getEncryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+/**
+ * Generate a fresh set of recovery codes
+ * returns {Object} { codes, hashes } - codes are shown once, hashes are stored
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Check whether a user's roles require two-factor authentication
+ * param {Object} user - User document
+ * returns {boolean}
+ */
+export const isTwoFactorRequired = async (user) => {
+  const policy = await SecurityPolicy.getPolicy();
+  return user.getRoleNames().some(role => policy.twoFactorRequiredRoles.includes(role));
+};
+
+/**
+ * Build the response for a user who proved who they are. Users with two-factor
+ * get a challenge token to exchange for real tokens once they enter a code;
+ * users whose role requires two-factor but who haven't set it up get a token
+ * that only allows setting it up.
+ * param {Object} user - User document
+ * param {Object} req - Express request
+ * param {Object} options - { rememberMe, message }
+ * returns {Object} Authentication response or challenge response
+ * throws {AppError} 401 if the account has been deactivated, 403 while an admin requires a password reset
+ */
+export const createLoginResponse = async (user, req, { rememberMe = false, message } = {}) => {
+  if (!user.isActive) {
+    throw new AppError('Account has been deactivated.', 401);
+  }
+  if (user.passwordResetRequired) {
+    throw new AppError('Your password must be reset before you can log in. Check your email for a reset link or request a new one.', 403);
+  }
+
+  let purpose = null;
+  if (user.twoFactorEnabled) purpose = 'verify';
+  else if (await isTwoFactorRequired(user)) purpose = 'enroll';
+
+  if (purpose) {
+    return {
+      success: true,
+      message: purpose === 'verify'
+        ? 'Enter the code from your authenticator app to finish logging in'
+        : 'Two-factor authentication must be set up before you can log in',
+      data: {
+        twoFactorRequired: true,
+        twoFactorSetupRequired: purpose === 'enroll',
+        challengeToken: generateChallengeToken({ id: user._id, rememberMe }, purpose),
+      },
+    };
+  }
+
+  const authResponse = createAuthResponse(user, await startSession(user, req, { rememberMe }));
+  return message ? { ...authResponse, message } : authResponse;
+};
+
+/**
+ * Start two-factor setup by generating a secret for the user's authenticator app
+ * param {Object} user - User document
+ * returns {Object} { secret, otpauthUrl, qrCode }
+ * throws {AppError} 400 if two-factor is already enabled
+ */
+export const beginTwoFactorSetup = async (user) => {
+  if (user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = authenticator.generateSecret(20);
+  await User.updateOne({ _id: user._id }, { twoFactorPendingSecret: encryptSecret(secret) });
+
+  const otpauthUrl = authenticator.keyuri(user.email, process.env.STORE_NAME || 'E-Commerce Platform', secret);
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl),
+  };
+};
+
+/**
+ * Check a code against a secret, refusing codes at or before the last accepted step
+ * returns {number|null} Time step of the code, or null if it is wrong or already used
+ */
+const checkCode = (code, secret, lastStep) => {
+  const delta = authenticator.checkDelta(String(code), secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+  return lastStep !== undefined && step <= lastStep ? null : step;
+};
+
+/**
+ * Finish setup with the first code from the authenticator app
+ * param {Object} user - User document
+ * param {string} code - 6-digit code
+ * returns {Array} Recovery codes, shown to the user once
+ * throws {AppError} 400 if setup wasn't started or the code is wrong
+ */
+export const enableTwoFactor = async (user, code) => {
+  const stored = await User.findById(user._id).select('+twoFactorPendingSecret');
+  if (user.twoFactorEnabled || !stored?.twoFactorPendingSecret) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+
+  const step = checkCode(code, decryptSecret(stored.twoFactorPendingSecret));
+  if (step === null) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorEnabled: { $ne: true }, twoFactorPendingSecret: stored.twoFactorPendingSecret },
+    {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorSecret: stored.twoFactorPendingSecret,
+        twoFactorRecoveryCodes: hashes,
+        twoFactorLastStep: step,
+      },
+      $unset: { twoFactorPendingSecret: 1 },
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new AppError('Two-factor setup changed meanwhile. Please start again.', 409);
+  }
+
+  user.twoFactorEnabled = true;
+  return codes;
+};
+
+/**
+ * Check a code from the authenticator app, or a recovery code, for a user with two-factor enabled.
+ * Recovery codes work once.
+ * param {Object} user - User document
+ * param {Object} factor - { code } or { recoveryCode }
+ * returns {boolean} Whether the factor was accepted
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hashRecoveryCode(recoveryCode) },
+      { $pull: { twoFactorRecoveryCodes: hashRecoveryCode(recoveryCode) } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  const stored = await User.findById(user._id).select('+twoFactorSecret +twoFactorLastStep');
+  if (!stored?.twoFactorSecret || !code) return false;
+
+  const step = checkCode(code, decryptSecret(stored.twoFactorSecret), stored.twoFactorLastStep);
+  if (step === null) return false;
+
+  // Claim the step so the same code can't be replayed, even concurrently
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ twoFactorLastStep: { $exists: false } }, { twoFactorLastStep: { $lt: step } }],
+    },
+    { twoFactorLastStep: step }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Replace a user's recovery codes
+ * param {Object} user - User document
+ * returns {Array} New recovery codes
+ */
+export const regenerateRecoveryCodes = async (user) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { twoFactorRecoveryCodes: hashes });
+  return codes;
+};
+
+/**
+ * Count the recovery codes a user has left
+ * param {Object} user - User document
+ * returns {number}
+ */
+export const countRecoveryCodes = async (user) => {
+  const stored = await User.findById(user._id).select('+twoFactorRecoveryCodes');
+  return stored?.twoFactorRecoveryCodes?.length || 0;
+};
+
+/**
+ * Turn two-factor authentication off
+ * param {Object} user - User document
+ */
+export const disableTwoFactor = async (user) => {
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { twoFactorEnabled: false },
+      $unset: {
+        twoFactorEnabledAt: 1,
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastStep: 1,
+      },
+    }
+  );
+  user.twoFactorEnabled = false;
+};